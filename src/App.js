@@ -11,6 +11,17 @@ import FooterSimple from './components/FooterSimple';
 import MaintenanceModeDisplay from './components/MaintenanceModeDisplay';
 import PrivateRoute from './components/PrivateRoute';
 import ErrorBoundary from './components/ErrorBoundary';
+import usePixelArtWorker from './hooks/usePixelArtWorker';
+import useSettingsHistory from './hooks/useSettingsHistory';
+import useTransformedSource from './hooks/useTransformedSource';
+import { DEFAULT_SETTINGS, newImageSettings, renderFullSize } from './utils/pixelPipeline';
+import { downloadBlob } from './utils/download';
+import { exportGrid, gridToPreviewCanvas, canvasToBlob } from './utils/exportImage';
+import { baseName } from './utils/fileNames';
+import { paletteDisplayName } from './utils/palettes';
+import { extractPalette } from './utils/paletteExtraction';
+import { recipeFromHash } from './utils/recipe';
+import { loadSession, saveSessionSource, saveSessionSettings, clearSession, clearSessionSource } from './utils/session';
 
 // Lazy load admin pages for code splitting
 const Login = lazy(() => import('./pages/Login'));
@@ -18,175 +29,225 @@ const Signup = lazy(() => import('./pages/Signup'));
 const Dashboard = lazy(() => import('./pages/Dashboard'));
 const AdminPanelJSON = lazy(() => import('./pages/AdminPanelJSON'));
 
+// Delay before re-rendering after a control change, so dragging a slider
+// does not queue a render for every intermediate value
+const RENDER_DEBOUNCE_MS = 150;
+
+// Settings are written to the saved session once they stop changing for this long
+const SESSION_SAVE_DEBOUNCE_MS = 1000;
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
 function App() {
   const [uploadedImage, setUploadedImage] = useState(null);
-  const [pixelatedImage, setPixelatedImage] = useState(null);
-  const [pixelSize, setPixelSize] = useState(10);
-  const [brightness, setBrightness] = useState(1);
-  const [contrast, setContrast] = useState(1);
-  const [shadow, setShadow] = useState(0);
-  const [isGenerating, setIsGenerating] = useState(false);
+  const [sourceName, setSourceName] = useState('');
+  const [animationFrames, setAnimationFrames] = useState(null);
+  const settingsHistory = useSettingsHistory(DEFAULT_SETTINGS);
+  const { settings, updateSettings, loadSettings, undo, redo } = settingsHistory;
+  const { result, isGenerating, error: renderError, setSource, render } = usePixelArtWorker();
+  const [edits, setEdits] = useState(null);
+  const [recipeNotice, setRecipeNotice] = useState(null);
+  const keepImageSettingsRef = useRef(false);
+  const [savedSession, setSavedSession] = useState(null);
+  const sourcePreview = useTransformedSource(uploadedImage, settings.transform);
   const mainToolRef = useRef(null);
 
+  // Hand edits win over the render; show the original image until the first render lands
+  const pixelatedImage = edits?.url || (result ? result.url : uploadedImage?.src || null);
+  const pixelGrid = edits?.grid || result?.grid || null;
+
   const scrollToMainTool = () => {
     mainToolRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const generatePixelatedImage = useCallback((image, overrides = {}) => {
-    if (!image) {
-      return;
-    }
-
-    const {
-      pixelSize: pixelSizeValue = pixelSize,
-      brightness: brightnessValue = brightness,
-      contrast: contrastValue = contrast,
-      shadow: shadowValue = shadow,
-    } = overrides;
-
-    console.log('Generating image with effects:', {
-      pixelSize: pixelSizeValue,
-      brightness: brightnessValue,
-      contrast: contrastValue,
-      shadow: shadowValue,
-    });
-
-    // Set loading state
-    setIsGenerating(true);
-
-    // Check if image is already loaded
-    if (!image.complete || image.naturalWidth === 0) {
-      console.log('Image not loaded yet, waiting...');
-      image.onload = () => {
-        image.onload = null;
-        generatePixelatedImage(image, overrides);
-      };
-      return;
+  useEffect(() => {
+    if (!uploadedImage) {
+      return undefined;
     }
+    const timer = setTimeout(() => render(settings), RENDER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [uploadedImage, settings, render]);
 
-    try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      // Set canvas size to match image
-      canvas.width = image.width;
-      canvas.height = image.height;
-
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-      // Apply canvas filters for real-time effects
-      ctx.filter = `
-        brightness(${brightnessValue})
-        contrast(${contrastValue})
-        drop-shadow(0 0 ${shadowValue}px rgba(0, 0, 0, 0.6))
-      `;
-
-      // When pixel size is 0, show original image
-      if (pixelSizeValue <= 0) {
-        console.log('Showing original image (no pixelation)');
-        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
-      } else {
-        console.log('Applying pixelation with size:', pixelSizeValue);
-
-        // Disable image smoothing for crisp pixel art
-        ctx.imageSmoothingEnabled = false;
-
-        // Calculate dimensions for pixelation
-        const w = Math.ceil(canvas.width / pixelSizeValue);
-        const h = Math.ceil(canvas.height / pixelSizeValue);
-
-        console.log('Pixelation dimensions:', w, 'x', h);
-
-        // Create temporary canvas for downscaling
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = w;
-        tempCanvas.height = h;
-
-        // Disable smoothing on temp canvas too
-        tempCtx.imageSmoothingEnabled = false;
-
-        // Draw image scaled down to get average colors
-        tempCtx.drawImage(image, 0, 0, w, h);
+  // A new render replaces any edits made to the previous one
+  useEffect(() => {
+    setEdits(null);
+  }, [result]);
+
+  useEffect(() => () => {
+    if (edits) URL.revokeObjectURL(edits.url);
+  }, [edits]);
+
+  // The preview is the grid blown up by the cell size, which can differ from the source size
+  const resultSize = result?.grid
+    ? { width: Math.round(result.grid.width * result.cell.width), height: Math.round(result.grid.height * result.cell.height) }
+    : sourcePreview;
+
+  const handleApplyEdits = async (grid) => {
+    const canvas = gridToPreviewCanvas(grid, result.cell, resultSize.width, resultSize.height);
+    const blob = await canvasToBlob(canvas);
+    setEdits({ grid, url: URL.createObjectURL(blob) });
+  };
 
-        // Scale the small image back up to create pixelation effect
-        ctx.drawImage(tempCanvas, 0, 0, w, h, 0, 0, canvas.width, canvas.height);
+  // Decoded frames hold GPU memory, so release them as soon as another upload replaces them
+  useEffect(() => () => {
+    if (animationFrames) animationFrames.forEach((frame) => frame.image.close());
+  }, [animationFrames]);
+
+  // source names where the recipe came from ("link" or a file name) in the history and the notice
+  const applyRecipe = useCallback(({ settings: recipeSettings, ignored }, source) => {
+    loadSettings(recipeSettings, `Recipe from ${source}`);
+    // The recipe's crop and extracted colors may have been tuned by hand; keep them for the next upload
+    keepImageSettingsRef.current = true;
+    setRecipeNotice(ignored.length
+      ? { type: 'warning', text: `Recipe loaded from ${source}; skipped unknown or invalid settings: ${ignored.join(', ')}` }
+      : { type: 'success', text: `Recipe loaded from ${source}` });
+  }, [loadSettings]);
+
+  // Shared links carry the recipe in the hash; also pick up a link pasted into an open tab
+  useEffect(() => {
+    const loadFromHash = () => {
+      try {
+        const recipe = recipeFromHash(window.location.hash);
+        if (recipe) applyRecipe(recipe, 'link');
+      } catch (recipeError) {
+        console.error('Error reading recipe link:', recipeError);
+        setRecipeNotice({ type: 'error', text: recipeError.message });
       }
+    };
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, [applyRecipe]);
 
-      console.log('Image processing complete with filters');
-
-      // Convert to dataURL and set state
-      const dataURL = canvas.toDataURL('image/png');
-      setPixelatedImage(dataURL);
-      setIsGenerating(false);
-
-    } catch (error) {
-      console.error('Error in image processing:', error);
-      setIsGenerating(false);
-    }
-  }, [pixelSize, brightness, contrast, shadow]);
+  // The previous visit's image is offered back rather than restored unasked
+  useEffect(() => {
+    let cancelled = false;
+    loadSession()
+      .then((session) => {
+        if (!cancelled && session) setSavedSession(session);
+      })
+      .catch((sessionError) => console.error('Error loading saved session:', sessionError));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  // Ensure pixelated image is generated when component mounts with uploaded image
   useEffect(() => {
-    if (uploadedImage && !pixelatedImage) {
-      console.log('Regenerating pixelated image on mount');
-      generatePixelatedImage(uploadedImage);
+    if (!uploadedImage) {
+      return undefined;
     }
-  }, [uploadedImage, pixelatedImage, generatePixelatedImage]);
-
-  const handleImageUpload = (image) => {
-    console.log('Image uploaded:', image);
-    console.log('Image src:', image.src);
-    console.log('Image dimensions:', image.width, 'x', image.height);
-
-    setUploadedImage(image);
+    const timer = setTimeout(() => {
+      saveSessionSettings(settings).catch((sessionError) => console.error('Error saving session settings:', sessionError));
+    }, SESSION_SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [uploadedImage, settings]);
+
+  // Loads the saved settings and returns the saved file for MainTool to open like an upload
+  const handleRestoreSession = () => {
+    const session = savedSession;
+    setSavedSession(null);
+    if (session.settings) {
+      loadSettings(session.settings, 'Restored session');
+      keepImageSettingsRef.current = true;
+    }
+    return new File([session.blob], session.fileName, { type: session.blob.type });
+  };
 
-    // Show original image immediately as fallback
-    setPixelatedImage(image.src);
+  const handleDismissSession = () => {
+    setSavedSession(null);
+    clearSession().catch((sessionError) => console.error('Error clearing saved session:', sessionError));
+  };
 
-    // Generate pixelated version
-    generatePixelatedImage(image);
+  // Back to the upload screen; the settings and their history stay for the next image,
+  // which drops the crop and extracted colors of this one when it opens
+  const handleReset = () => {
+    setUploadedImage(null);
+    setSourceName('');
+    setAnimationFrames(null);
+    setSource(null);
+    setEdits(null);
+    clearSessionSource().catch((sessionError) => console.error('Error clearing saved session:', sessionError));
+    scrollToMainTool();
   };
 
-  const handlePixelSizeChange = (newSize) => {
-    setPixelSize(newSize);
-    if (uploadedImage) {
-      generatePixelatedImage(uploadedImage, { pixelSize: newSize });
+  // frames is set for animated images and videos; image is then their first frame.
+  // file is the picked file, kept so the next visit can restore it
+  const handleImageUpload = (image, fileName, frames = null, file = null) => {
+    console.log('Image uploaded:', image.width, 'x', image.height);
+    setUploadedImage(image);
+    setSourceName(fileName || '');
+    setAnimationFrames(frames);
+    setSource(image);
+    setSavedSession(null);
+    if (file) {
+      saveSessionSource(file, fileName || file.name)
+        .catch((sessionError) => console.error('Error saving session image:', sessionError));
     }
-  };
 
-  const handleBrightnessChange = (newBrightness) => {
-    setBrightness(newBrightness);
-    if (uploadedImage) {
-      generatePixelatedImage(uploadedImage, { brightness: newBrightness });
+    // The crop and extracted palette belong to the previous image, unless a recipe
+    // or the restored session just supplied them
+    if (keepImageSettingsRef.current) {
+      keepImageSettingsRef.current = false;
+      return;
+    }
+    const changes = newImageSettings(settings, (count) => extractPalette(image, count));
+    if (Object.keys(changes).length) {
+      handleSettingsChange(changes);
     }
   };
 
-  const handleContrastChange = (newContrast) => {
-    setContrast(newContrast);
-    if (uploadedImage) {
-      generatePixelatedImage(uploadedImage, { contrast: newContrast });
-    }
+  const handleSettingsChange = (changes) => {
+    updateSettings(changes);
   };
 
-  const handleShadowChange = (newShadow) => {
-    setShadow(newShadow);
-    if (uploadedImage) {
-      generatePixelatedImage(uploadedImage, { shadow: newShadow });
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) step through the settings history, except while typing
+  useEffect(() => {
+    if (!uploadedImage) {
+      return undefined;
     }
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      const isTyping = target.isContentEditable ||
+        target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'color', 'button'].includes(target.type));
+      if (isTyping) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) redo();
+        else undo();
+      } else if (key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [uploadedImage, undo, redo]);
+
+  // scale is 'original' for the full-size image, or an integer multiple of the pixel grid
+  const downloadPixelatedImage = async ({ format, scale, fileName, gridLines }) => {
+    if (!uploadedImage) {
+      return;
+    }
+    // The preview carries the soft drop shadow, so the full-size file is drawn again
+    const blob = scale === 'original' || !pixelGrid
+      ? await canvasToBlob(renderFullSize({ grid: pixelGrid, cell: result?.cell, image: uploadedImage, settings }, createDomCanvas))
+      : await exportGrid(pixelGrid, format, scale, { gridLines });
+    downloadBlob(blob, fileName);
   };
 
-
-  const downloadPixelatedImage = () => {
-    if (pixelatedImage) {
-      const link = document.createElement('a');
-      link.href = pixelatedImage;
-      link.download = 'pixelated-image.png';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-    }
+  const fileNameValues = {
+    name: baseName(sourceName),
+    palette: paletteDisplayName(settings),
+    colors: result?.palette ? result.palette.length : '',
   };
 
   return (
@@ -234,17 +295,28 @@ function App() {
               <MainTool
                 onImageUpload={handleImageUpload}
                 uploadedImage={uploadedImage}
+                animationFrames={animationFrames}
                 pixelatedImage={pixelatedImage}
-                pixelSize={pixelSize}
-                onPixelSizeChange={handlePixelSizeChange}
-                brightness={brightness}
-                onBrightnessChange={handleBrightnessChange}
-                contrast={contrast}
-                onContrastChange={handleContrastChange}
-                shadow={shadow}
-                onShadowChange={handleShadowChange}
+                settings={settings}
+                onSettingsChange={handleSettingsChange}
+                settingsHistory={settingsHistory}
+                pixelGrid={pixelGrid}
+                sourcePreview={sourcePreview}
+                resultSize={resultSize}
+                pixelPalette={result?.palette || null}
+                hasEdits={Boolean(edits)}
+                onApplyEdits={handleApplyEdits}
+                onRevertEdits={() => setEdits(null)}
                 isGenerating={isGenerating}
+                renderError={renderError}
                 onDownload={downloadPixelatedImage}
+                fileNameValues={fileNameValues}
+                onLoadRecipe={applyRecipe}
+                recipeNotice={recipeNotice}
+                savedSession={savedSession}
+                onRestoreSession={handleRestoreSession}
+                onDismissSession={handleDismissSession}
+                onReset={handleReset}
               />
             </div>
             <HowItWorks />
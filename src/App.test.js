@@ -1,8 +1,33 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Workers are created from import.meta.url, which Jest cannot load, and the
+// content services talk to remote backends; the home page only needs their shape
+jest.mock('./hooks/usePixelArtWorker', () => () => ({
+  result: null,
+  isGenerating: false,
+  setSource: jest.fn(),
+  render: jest.fn(),
+}));
+jest.mock('./hooks/useBatchConverter', () => () => ({ items: [], addFiles: jest.fn() }));
+jest.mock('./hooks/useAnimationRenderer', () => () => ({}));
+jest.mock('./supabaseService', () => ({
+  loadContent: jest.fn((slug, parseJSON, defaultContent) => Promise.resolve(defaultContent)),
+  saveContent: jest.fn(() => Promise.resolve({ success: true })),
+  subscribeToContent: jest.fn(() => () => {}),
+}));
+jest.mock('./firebase', () => ({ auth: null, db: null, storage: null, analytics: null }));
+// jsdom has no IndexedDB; start without a saved session
+jest.mock('./utils/session', () => ({
+  loadSession: () => Promise.resolve(null),
+  saveSessionSource: () => Promise.resolve(),
+  saveSessionSettings: () => Promise.resolve(),
+  clearSession: () => Promise.resolve(),
+  clearSessionSource: () => Promise.resolve(),
+}));
+
+test('renders the converter upload area', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/create your pixel art/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /choose files/i })).toBeInTheDocument();
 });
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { FaMagic, FaChevronDown, FaChevronUp, FaUndo } from 'react-icons/fa';
+import CurveEditor from './CurveEditor';
+import {
+  DEFAULT_ADJUSTMENTS,
+  DEFAULT_LEVELS,
+  IDENTITY_CURVE,
+  isIdentityAdjustment,
+  isIdentityCurve,
+} from '../utils/adjustments';
+
+const SLIDERS = [
+  { key: 'brightness', label: 'Brightness', min: 0.5, max: 2, step: 0.1, format: (v) => `${v}x` },
+  { key: 'contrast', label: 'Contrast', min: 0.5, max: 2, step: 0.1, format: (v) => `${v}x` },
+  { key: 'saturation', label: 'Saturation', min: 0, max: 2, step: 0.05, format: (v) => `${Math.round(v * 100)}%` },
+  { key: 'hue', label: 'Hue shift', min: -180, max: 180, step: 1, format: (v) => `${v}°` },
+  { key: 'gamma', label: 'Gamma', min: 0.2, max: 3, step: 0.05, format: (v) => v.toFixed(2) },
+  { key: 'posterize', label: 'Posterize', min: 0, max: 16, step: 1, format: (v) => (v < 2 ? 'Off' : `${v} levels`) },
+  { key: 'shadow', label: 'Drop shadow', min: 0, max: 30, step: 1, format: (v) => `${v}px` },
+  { key: 'innerShadow', label: 'Inner shadow', min: 0, max: 30, step: 1, format: (v) => `${v}px` },
+];
+
+const LEVEL_SLIDERS = [
+  { key: 'inputBlack', label: 'Input black' },
+  { key: 'inputWhite', label: 'Input white' },
+  { key: 'outputBlack', label: 'Output black' },
+  { key: 'outputWhite', label: 'Output white' },
+];
+
+const sliderClass = 'w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring';
+
+// Tone and color sliders, with levels and the tone curve folded away until needed
+const AdjustmentControls = ({ settings, onChange }) => {
+  const [isToneOpen, setIsToneOpen] = useState(false);
+  const levels = { ...DEFAULT_LEVELS, ...settings.levels };
+  const curve = settings.curve || IDENTITY_CURVE;
+  const isToneEdited = !isIdentityCurve(curve) || LEVEL_SLIDERS.some(({ key }) => levels[key] !== DEFAULT_LEVELS[key]);
+
+  // Black and white input points may not cross
+  const handleLevelChange = (key, value) => {
+    const next = { ...levels, [key]: value };
+    if (key === 'inputBlack') next.inputBlack = Math.min(value, levels.inputWhite - 1);
+    if (key === 'inputWhite') next.inputWhite = Math.max(value, levels.inputBlack + 1);
+    onChange({ levels: next });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="block text-white font-semibold flex items-center">
+          <FaMagic className="mr-2 text-primary" />
+          Adjustments
+        </label>
+        <button
+          onClick={() => onChange({ ...DEFAULT_ADJUSTMENTS })}
+          disabled={isIdentityAdjustment(settings)}
+          className="text-xs text-gray-400 hover:text-white disabled:opacity-40 disabled:cursor-not-allowed flex items-center space-x-1"
+        >
+          <FaUndo />
+          <span>Reset</span>
+        </button>
+      </div>
+
+      {SLIDERS.map(({ key, label, min, max, step, format }) => (
+        <div key={key} className="space-y-1">
+          <div className="flex justify-between text-sm text-gray-300">
+            <span>{label}</span>
+            <span>{format(settings[key])}</span>
+          </div>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={settings[key]}
+            onChange={(e) => onChange({ [key]: parseFloat(e.target.value) })}
+            onDoubleClick={() => onChange({ [key]: DEFAULT_ADJUSTMENTS[key] })}
+            className={sliderClass}
+            aria-label={label}
+          />
+        </div>
+      ))}
+
+      <button
+        onClick={() => setIsToneOpen((open) => !open)}
+        className="w-full bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200 flex items-center justify-between"
+        aria-expanded={isToneOpen}
+      >
+        <span>Levels & curve{isToneEdited ? ' (edited)' : ''}</span>
+        {isToneOpen ? <FaChevronUp /> : <FaChevronDown />}
+      </button>
+
+      {isToneOpen && (
+        <div className="space-y-3 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+          {LEVEL_SLIDERS.map(({ key, label }) => (
+            <div key={key} className="space-y-1">
+              <div className="flex justify-between text-xs text-gray-300">
+                <span>{label}</span>
+                <span>{levels[key]}</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="255"
+                step="1"
+                value={levels[key]}
+                onChange={(e) => handleLevelChange(key, parseInt(e.target.value))}
+                className={sliderClass}
+                aria-label={label}
+              />
+            </div>
+          ))}
+
+          <div className="space-y-2">
+            <div className="flex justify-between items-center text-xs text-gray-300">
+              <span>Curve</span>
+              <button
+                onClick={() => onChange({ curve: IDENTITY_CURVE })}
+                disabled={isIdentityCurve(curve)}
+                className="text-gray-400 hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Reset curve
+              </button>
+            </div>
+            <CurveEditor curve={curve} onChange={(next) => onChange({ curve: next })} />
+            <p className="text-xs text-gray-400">
+              Click to add a point, drag to shape the curve, double-click a point to remove it.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdjustmentControls;
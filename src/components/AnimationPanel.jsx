@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaFilm, FaPlay, FaPause, FaDownload, FaSyncAlt } from 'react-icons/fa';
+import useAnimationRenderer from '../hooks/useAnimationRenderer';
+import { encodeAnimatedGif } from '../utils/imageEncoders';
+import { EXPORT_SCALES, buildSpriteSheet, scaleImageData, canvasToBlob, gridToCanvas } from '../utils/exportImage';
+import { formatFileName, loadFileNameTemplate } from '../utils/fileNames';
+import { downloadBlob } from '../utils/download';
+
+const ANIMATION_FORMATS = [
+  { id: 'gif', name: 'Animated GIF', extension: 'gif' },
+  { id: 'sheet', name: 'Sprite sheet (PNG)', extension: 'png' },
+];
+
+// Renders every frame with the current settings and one shared palette, then plays and exports them
+const AnimationPanel = ({ frames, settings, isPixelated, fileNameValues }) => {
+  const { result, renderedSettings, progress, error, render } = useAnimationRenderer(frames);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [format, setFormat] = useState('gif');
+  const [scale, setScale] = useState(4);
+  const [columns, setColumns] = useState(8);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const canvasRef = useRef(null);
+
+  const totalMs = frames.reduce((sum, frame) => sum + frame.delay, 0);
+  const isStale = Boolean(result) && renderedSettings !== settings;
+  const frameCount = result ? result.grids.length : 0;
+  const currentFrame = frameCount ? Math.min(frameIndex, frameCount - 1) : 0;
+
+  useEffect(() => {
+    setFrameIndex(0);
+  }, [result]);
+
+  useEffect(() => {
+    if (!result || !canvasRef.current) {
+      return;
+    }
+    const grid = result.grids[currentFrame];
+    const canvas = canvasRef.current;
+    canvas.width = grid.width;
+    canvas.height = grid.height;
+    canvas.getContext('2d').putImageData(grid, 0, 0);
+  }, [result, currentFrame]);
+
+  useEffect(() => {
+    if (!result || !isPlaying || frameCount < 2) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setFrameIndex((currentFrame + 1) % frameCount), result.delays[currentFrame]);
+    return () => clearTimeout(timer);
+  }, [result, isPlaying, currentFrame, frameCount]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const { grids, delays, palette } = result;
+      const scaled = scale > 1 ? grids.map((grid) => scaleImageData(grid, scale)) : grids;
+      const blob = format === 'gif'
+        ? encodeAnimatedGif(scaled, delays, palette)
+        : await canvasToBlob(gridToCanvas(buildSpriteSheet(grids, columns), scale));
+      const size = format === 'gif'
+        ? { width: scaled[0].width, height: scaled[0].height }
+        : { width: grids[0].width * scale, height: grids[0].height * scale };
+      const fileName = formatFileName(
+        loadFileNameTemplate(),
+        {
+          ...fileNameValues,
+          width: size.width,
+          height: size.height,
+          scale: `${scale}x`,
+          colors: palette.length,
+          date: new Date().toISOString().slice(0, 10),
+        },
+        ANIMATION_FORMATS.find((option) => option.id === format).extension
+      );
+      downloadBlob(blob, format === 'sheet' ? fileName.replace(/\.png$/, '-sheet.png') : fileName);
+    } catch (encodeError) {
+      console.error('Error exporting animation:', encodeError);
+      setExportError(encodeError.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800/50 rounded-2xl p-6 border border-gray-700 shadow-xl space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-2xl font-semibold text-white flex items-center">
+          <FaFilm className="mr-3 text-primary" />
+          Animation
+        </h3>
+        <span className="text-sm text-gray-400">
+          {frames.length} frames · {(totalMs / 1000).toFixed(1)}s
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-400">
+        The editor above works on the first frame. Render the animation to run every frame
+        through the same settings with one shared palette, so colors stay put from frame to frame.
+      </p>
+
+      <button
+        onClick={() => render(settings)}
+        disabled={!isPixelated || Boolean(progress)}
+        className="w-full bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg font-semibold flex items-center justify-center space-x-3 transition-all duration-300"
+      >
+        <FaSyncAlt className={progress ? 'animate-spin' : ''} />
+        <span>
+          {progress
+            ? `Rendering frame ${progress.done}/${progress.total}...`
+            : isStale
+              ? 'Settings changed: render again'
+              : result
+                ? 'Render again'
+                : `Render ${frames.length} frames`}
+        </span>
+      </button>
+      {!isPixelated && <p className="text-sm text-yellow-400">Turn pixelation on to render the animation.</p>}
+
+      {progress && (
+        <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-primary transition-all duration-200"
+            style={{ width: `${(progress.done / progress.total) * 100}%` }}
+          />
+        </div>
+      )}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {result && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <div className="bg-gray-900 rounded-lg p-2 border border-gray-700 flex items-center justify-center">
+              <canvas
+                ref={canvasRef}
+                className="max-w-full max-h-80 w-full object-contain"
+                style={{ imageRendering: 'pixelated' }}
+              />
+            </div>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setIsPlaying((playing) => !playing)}
+                className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg p-2 transition-colors duration-200"
+                aria-label={isPlaying ? 'Pause' : 'Play'}
+              >
+                {isPlaying ? <FaPause /> : <FaPlay />}
+              </button>
+              <input
+                type="range"
+                min="0"
+                max={frameCount - 1}
+                value={currentFrame}
+                onChange={(e) => {
+                  setIsPlaying(false);
+                  setFrameIndex(parseInt(e.target.value));
+                }}
+                className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider focus-ring"
+                aria-label="Frame"
+              />
+              <span className="text-xs text-gray-400 w-16 text-right">
+                {currentFrame + 1}/{frameCount}
+              </span>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+              aria-label="Animation format"
+            >
+              {ANIMATION_FORMATS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={scale}
+              onChange={(e) => setScale(parseInt(e.target.value))}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+              aria-label="Animation scale"
+            >
+              {EXPORT_SCALES.map((option) => (
+                <option key={option} value={option}>
+                  {option === 1 ? 'Native pixels' : `${option}× pixels`} ({result.grids[0].width * option}×{result.grids[0].height * option})
+                </option>
+              ))}
+            </select>
+            {format === 'sheet' && (
+              <label className="block text-sm text-gray-300 space-y-1">
+                <span className="block">Frames per row</span>
+                <input
+                  type="number"
+                  min="1"
+                  max={frameCount}
+                  value={columns}
+                  onChange={(e) => setColumns(Math.max(1, parseInt(e.target.value) || 1))}
+                  className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+                />
+              </label>
+            )}
+            <button
+              onClick={handleExport}
+              disabled={isExporting || isStale}
+              className="w-full bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg px-3 py-2 transition-colors duration-200 flex items-center justify-center space-x-2"
+            >
+              <FaDownload />
+              <span>{isExporting ? 'Exporting...' : `Download ${format === 'gif' ? 'GIF' : 'sprite sheet'}`}</span>
+            </button>
+            {isStale && <p className="text-xs text-gray-400">Render again to export with the new settings.</p>}
+            {exportError && <p className="text-sm text-red-400">{exportError}</p>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnimationPanel;
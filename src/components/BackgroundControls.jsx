@@ -0,0 +1,91 @@
+import React from 'react';
+import { FaCut } from 'react-icons/fa';
+import { BACKGROUND_MODES } from '../utils/background';
+
+// Background removal mode, key color and tolerance, plus the alpha cutoff applied to every render
+const BackgroundControls = ({ settings, onChange }) => {
+  const { background, backgroundColor, backgroundTolerance, alphaThreshold } = settings;
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-white font-semibold flex items-center">
+        <FaCut className="mr-2 text-primary" />
+        Background
+      </label>
+      <select
+        value={background}
+        onChange={(e) => onChange({ background: e.target.value })}
+        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+      >
+        {BACKGROUND_MODES.map((mode) => (
+          <option key={mode.id} value={mode.id}>
+            {mode.name}
+          </option>
+        ))}
+      </select>
+
+      <div className="space-y-3 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+        {background !== 'keep' && (
+          <>
+            <div className="space-y-2">
+              <span className="block text-sm text-gray-300">Key color</span>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => onChange({ backgroundColor: null })}
+                  className={`px-2 py-1 rounded text-xs transition-colors duration-200 ${
+                    backgroundColor === null ? 'bg-primary text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                  }`}
+                  aria-pressed={backgroundColor === null}
+                  title="Use the most common color along the image edges"
+                >
+                  Auto (edges)
+                </button>
+                <input
+                  type="color"
+                  value={backgroundColor || '#ffffff'}
+                  onChange={(e) => onChange({ backgroundColor: e.target.value })}
+                  className="w-8 h-8 bg-transparent rounded cursor-pointer"
+                  aria-label="Background key color"
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <span className="block text-sm text-gray-300">
+                Tolerance: {Math.round(backgroundTolerance * 100)}%
+              </span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                value={backgroundTolerance}
+                onChange={(e) => onChange({ backgroundTolerance: parseFloat(e.target.value) })}
+                className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
+              />
+            </div>
+          </>
+        )}
+
+        <div className="space-y-2">
+          <span className="block text-sm text-gray-300">Alpha threshold: {alphaThreshold}</span>
+          <input
+            type="range"
+            min="1"
+            max="255"
+            step="1"
+            value={alphaThreshold}
+            onChange={(e) => onChange({ alphaThreshold: parseInt(e.target.value) })}
+            className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
+          />
+          <div className="flex justify-between text-xs text-gray-400">
+            <span>Keep faint pixels</span>
+            <span>Only solid pixels</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackgroundControls;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { FaLayerGroup, FaFileArchive, FaRedo, FaTimes, FaSpinner, FaClock, FaCheck, FaExclamationTriangle } from 'react-icons/fa';
+import { EXPORT_FORMATS, EXPORT_SCALES, canvasToBlob, exportGrid, getExportFormat } from '../utils/exportImage';
+import { renderFullSize } from '../utils/pixelPipeline';
+import { loadImageElement } from '../hooks/useBatchConverter';
+import { baseName, formatFileName, loadFileNameTemplate } from '../utils/fileNames';
+import { paletteDisplayName } from '../utils/palettes';
+import { createZip } from '../utils/batch';
+import { downloadBlob } from '../utils/download';
+
+const STATUS_ICONS = {
+  queued: <FaClock className="text-gray-500" />,
+  processing: <FaSpinner className="text-primary animate-spin" />,
+  done: <FaCheck className="text-green-400" />,
+  error: <FaExclamationTriangle className="text-red-400" />,
+};
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// The preview carries the soft drop shadow, so full-size files are drawn again without it
+const fullSizeBlob = async ({ grid, cell, previewBlob, file, settings }) => {
+  if (!grid && !settings.shadow) {
+    return previewBlob;
+  }
+  const image = grid ? null : await loadImageElement(file);
+  return canvasToBlob(renderFullSize({ grid, cell, image, settings }, createDomCanvas));
+};
+
+// Encode one finished item; without a pixel grid (pixel size 0) only the full-size PNG exists
+const exportItem = async (item, format, scale, template, date) => {
+  const { grid, previewSize, file, folder, settings, palette } = item;
+  const useFullSize = scale === 'original' || !grid;
+  const effectiveFormat = useFullSize ? 'png' : format;
+  const blob = useFullSize ? await fullSizeBlob(item) : await exportGrid(grid, format, scale);
+  const size = useFullSize
+    ? previewSize || { width: '', height: '' }
+    : { width: grid.width * scale, height: grid.height * scale };
+  const name = formatFileName(
+    template,
+    {
+      name: baseName(file.name),
+      width: size.width,
+      height: size.height,
+      scale: useFullSize ? 'full' : `${scale}x`,
+      palette: paletteDisplayName(settings),
+      colors: palette ? palette.length : '',
+      date,
+    },
+    getExportFormat(effectiveFormat).extension
+  );
+  return { path: `${folder}${name}`, blob };
+};
+
+// Progress list for a batch run, with one ZIP download for everything that converted
+const BatchQueue = ({ batch, settings }) => {
+  const { items, isRunning, doneCount, errorCount, rerun, removeItem, clear } = batch;
+  const [format, setFormat] = useState('png');
+  const [scale, setScale] = useState('original');
+  const [isZipping, setIsZipping] = useState(false);
+  const [error, setError] = useState(null);
+
+  const finishedCount = doneCount + errorCount;
+  const progress = items.length ? Math.round((finishedCount / items.length) * 100) : 0;
+  const effectiveScale = scale === 'original' && format !== 'png' ? 1 : scale;
+
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    setError(null);
+    try {
+      const template = loadFileNameTemplate();
+      const date = new Date().toISOString().slice(0, 10);
+      const files = [];
+      for (const item of items) {
+        if (item.status === 'done') {
+          files.push(await exportItem(item, format, effectiveScale, template, date));
+        }
+      }
+      downloadBlob(await createZip(files), `pixel-art-batch-${date}.zip`);
+    } catch (zipError) {
+      console.error('Error building batch ZIP:', zipError);
+      setError(zipError.message);
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800/50 rounded-2xl p-6 border border-gray-700 shadow-xl space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-xl font-semibold text-white flex items-center">
+          <FaLayerGroup className="mr-3 text-primary" />
+          Batch ({finishedCount}/{items.length})
+        </h3>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => rerun(settings)}
+            disabled={!items.length}
+            className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200 flex items-center space-x-2 disabled:opacity-50"
+            title="Convert every image again with the current settings"
+          >
+            <FaRedo />
+            <span>Apply current settings</span>
+          </button>
+          <button
+            onClick={clear}
+            className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200 flex items-center space-x-2"
+          >
+            <FaTimes />
+            <span>Clear</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden" role="progressbar" aria-valuenow={progress} aria-valuemin="0" aria-valuemax="100">
+        <div className="h-full bg-primary transition-all duration-300" style={{ width: `${progress}%` }} />
+      </div>
+
+      <ul className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-3 max-h-80 overflow-y-auto">
+        {items.map((item) => (
+          <li key={item.id} className="relative bg-gray-900/50 rounded-lg p-2 border border-gray-700 space-y-1">
+            <div className="aspect-square flex items-center justify-center bg-gray-800 rounded overflow-hidden">
+              {item.previewUrl ? (
+                <img
+                  src={item.previewUrl}
+                  alt={item.file.name}
+                  className="max-w-full max-h-full object-contain"
+                  style={{ imageRendering: 'pixelated' }}
+                />
+              ) : (
+                <span className="text-2xl">{STATUS_ICONS[item.status]}</span>
+              )}
+            </div>
+            <div className="flex items-center space-x-1 text-xs text-gray-300" title={item.error || `${item.folder}${item.file.name}`}>
+              {STATUS_ICONS[item.status]}
+              <span className="truncate">{item.file.name}</span>
+            </div>
+            <button
+              onClick={() => removeItem(item.id)}
+              className="absolute top-1 right-1 p-1 rounded bg-gray-900/80 text-gray-400 hover:text-white"
+              aria-label={`Remove ${item.file.name}`}
+            >
+              <FaTimes className="text-xs" />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid sm:grid-cols-3 gap-3 items-end">
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+          aria-label="Batch format"
+        >
+          {EXPORT_FORMATS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={effectiveScale}
+          onChange={(e) => setScale(e.target.value === 'original' ? 'original' : parseInt(e.target.value))}
+          className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+          aria-label="Batch size"
+        >
+          {format === 'png' && <option value="original">Full size</option>}
+          {EXPORT_SCALES.map((option) => (
+            <option key={option} value={option}>
+              {option === 1 ? 'Native pixels' : `${option}× pixels`}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleDownloadZip}
+          disabled={isZipping || isRunning || doneCount === 0}
+          className="w-full bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg font-semibold flex items-center justify-center space-x-2 transition-all duration-300"
+        >
+          <FaFileArchive />
+          <span>{isZipping ? 'Zipping...' : isRunning ? 'Converting...' : `Download ZIP (${doneCount})`}</span>
+        </button>
+      </div>
+
+      {errorCount > 0 && (
+        <p className="text-sm text-red-400">
+          {errorCount} image{errorCount === 1 ? '' : 's'} could not be converted and will be left out.
+        </p>
+      )}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default BatchQueue;
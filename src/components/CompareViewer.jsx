@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FaExpand } from 'react-icons/fa';
+
+export const COMPARE_MODES = [
+  { id: 'hold', name: 'Hold' },
+  { id: 'wipe', name: 'Wipe' },
+  { id: 'split', name: 'Side by side' },
+];
+
+const MAX_ZOOM = 16;
+const DEFAULT_VIEW = { zoom: 1, x: 0, y: 0 };
+
+const imageClass = 'w-full h-auto max-w-full object-contain rounded-lg shadow-lg select-none';
+
+const Badge = ({ children, className = '' }) => (
+  <span className={`absolute top-2 px-2 py-0.5 rounded bg-black/60 text-xs text-white pointer-events-none ${className}`}>
+    {children}
+  </span>
+);
+
+// Result image with the original flashed on top while the pointer is held down
+const HoldView = ({ originalSrc, resultSrc, resultKey, overlay }) => {
+  const [isHolding, setIsHolding] = useState(false);
+  const release = () => setIsHolding(false);
+
+  return (
+    <div
+      className="relative cursor-pointer touch-none"
+      onPointerDown={() => setIsHolding(true)}
+      onPointerUp={release}
+      onPointerLeave={release}
+      onPointerCancel={release}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <motion.img
+        key={resultKey}
+        src={resultSrc}
+        alt="Pixel Art Result"
+        draggable={false}
+        className={`${imageClass} transition-all duration-500 image-transition`}
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        transition={{
+          duration: 0.6,
+          ease: "easeOut"
+        }}
+        onLoad={() => {
+          console.log('Pixel art result loaded successfully');
+        }}
+        onError={(e) => {
+          console.error('Pixel art result failed to load:', e);
+        }}
+      />
+      {!isHolding && overlay}
+      {isHolding && (
+        <>
+          <img src={originalSrc} alt="Original" draggable={false} className={`${imageClass} absolute inset-0 h-full`} />
+          <Badge className="left-2">Original</Badge>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Original on the left of a draggable divider, result on the right
+const WipeView = ({ originalSrc, resultSrc, overlay }) => {
+  const [position, setPosition] = useState(50);
+  const containerRef = useRef(null);
+  const isDraggingRef = useRef(false);
+
+  const moveTo = (event) => {
+    const bounds = containerRef.current.getBoundingClientRect();
+    setPosition(Math.min(100, Math.max(0, ((event.clientX - bounds.left) / bounds.width) * 100)));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowLeft') setPosition((value) => Math.max(0, value - 2));
+    if (event.key === 'ArrowRight') setPosition((value) => Math.min(100, value + 2));
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative cursor-ew-resize touch-none select-none"
+      onPointerDown={(event) => {
+        isDraggingRef.current = true;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        moveTo(event);
+      }}
+      onPointerMove={(event) => isDraggingRef.current && moveTo(event)}
+      onPointerUp={() => {
+        isDraggingRef.current = false;
+      }}
+    >
+      <img src={resultSrc} alt="Pixel Art Result" draggable={false} className={imageClass} />
+      {overlay}
+      <img
+        src={originalSrc}
+        alt="Original"
+        draggable={false}
+        className={`${imageClass} absolute inset-0 h-full`}
+        style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}
+      />
+      <div
+        className="absolute inset-y-0 w-0.5 bg-white shadow-lg"
+        style={{ left: `${position}%` }}
+        role="slider"
+        tabIndex={0}
+        aria-label="Comparison divider"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position)}
+        onKeyDown={handleKeyDown}
+      >
+        <span className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 w-6 h-6 rounded-full bg-white border-2 border-primary" />
+      </div>
+      <Badge className="left-2">Original</Badge>
+      <Badge className="right-2">Result</Badge>
+    </div>
+  );
+};
+
+// Original and result next to each other, zoomed and panned together
+const SplitView = ({ originalSrc, resultSrc, overlay }) => {
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const panesRef = useRef([]);
+  const dragRef = useRef(null);
+
+  const zoomAt = useCallback((factor, pointX, pointY) => {
+    setView((current) => {
+      const zoom = Math.min(MAX_ZOOM, Math.max(1, current.zoom * factor));
+      return {
+        zoom,
+        x: pointX - ((pointX - current.x) / current.zoom) * zoom,
+        y: pointY - ((pointY - current.y) / current.zoom) * zoom,
+      };
+    });
+  }, []);
+
+  // Wheel zoom needs non-passive listeners to keep the page from scrolling
+  useEffect(() => {
+    const panes = panesRef.current.filter(Boolean);
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const bounds = event.currentTarget.getBoundingClientRect();
+      zoomAt(event.deltaY < 0 ? 1.2 : 1 / 1.2, event.clientX - bounds.left, event.clientY - bounds.top);
+    };
+    panes.forEach((pane) => pane.addEventListener('wheel', handleWheel, { passive: false }));
+    return () => panes.forEach((pane) => pane.removeEventListener('wheel', handleWheel));
+  }, [zoomAt]);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { startX: event.clientX, startY: event.clientY, origin: view };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView({
+      ...drag.origin,
+      x: drag.origin.x + event.clientX - drag.startX,
+      y: drag.origin.y + event.clientY - drag.startY,
+    });
+  };
+
+  const transform = {
+    transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+    transformOrigin: '0 0',
+    imageRendering: view.zoom > 1 ? 'pixelated' : 'auto',
+  };
+
+  const panes = [
+    { label: 'Original', src: originalSrc, overlay: null },
+    { label: 'Result', src: resultSrc, overlay },
+  ];
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        {panes.map((pane, index) => (
+          <div
+            key={pane.label}
+            ref={(node) => {
+              panesRef.current[index] = node;
+            }}
+            className="relative overflow-hidden rounded-lg bg-gray-900 cursor-grab touch-none select-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => {
+              dragRef.current = null;
+            }}
+          >
+            <div className="relative" style={transform}>
+              <img src={pane.src} alt={pane.label} draggable={false} className={imageClass} />
+              {pane.overlay}
+            </div>
+            <Badge className="left-2">{pane.label}</Badge>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-between text-xs text-gray-400">
+        <span>Scroll to zoom, drag to pan · {Math.round(view.zoom * 100)}%</span>
+        <button
+          onClick={() => setView(DEFAULT_VIEW)}
+          className="flex items-center space-x-1 text-gray-400 hover:text-white transition-colors duration-200"
+        >
+          <FaExpand />
+          <span>Reset view</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Before/after viewer for the result preview.
+ * overlay is laid over the result image only (e.g. the pixel grid).
+ */
+const CompareViewer = ({ mode, originalSrc, resultSrc, resultKey, overlay = null }) => {
+  if (mode === 'wipe') {
+    return <WipeView originalSrc={originalSrc} resultSrc={resultSrc} overlay={overlay} />;
+  }
+  if (mode === 'split') {
+    return <SplitView originalSrc={originalSrc} resultSrc={resultSrc} overlay={overlay} />;
+  }
+  return <HoldView originalSrc={originalSrc} resultSrc={resultSrc} resultKey={resultKey} overlay={overlay} />;
+};
+
+export default CompareViewer;
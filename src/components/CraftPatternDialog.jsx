@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { FaBorderAll, FaTimes, FaDownload } from 'react-icons/fa';
+import { CRAFT_BRANDS, FABRIC_COUNTS, getCraftBrand } from '../utils/craftColors';
+import {
+  PATTERN_FORMATS,
+  CELL_SIZES,
+  buildPattern,
+  finishedSize,
+  planChartPages,
+  layoutPattern,
+  pageToSvg,
+} from '../utils/craftPattern';
+import { PAGE_SIZES, encodePdf } from '../utils/pdf';
+import { formatFileName, loadFileNameTemplate } from '../utils/fileNames';
+import { createZip } from '../utils/batch';
+import { downloadBlob } from '../utils/download';
+
+const selectClassName = 'w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring';
+
+// Turns the native pixel grid into a cross-stitch, bead or brick chart with symbols and a legend
+const CraftPatternDialog = ({ isOpen, onClose, pixelGrid, fileNameValues }) => {
+  const [brandId, setBrandId] = useState('dmc');
+  const [format, setFormat] = useState('pdf');
+  const [pageSizeId, setPageSizeId] = useState('a4');
+  const [cellSizeId, setCellSizeId] = useState('medium');
+  const [fabricCount, setFabricCount] = useState(14);
+  const [colorCells, setColorCells] = useState(true);
+  const [title, setTitle] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const previewRef = useRef(null);
+
+  const brand = getCraftBrand(brandId);
+  const pageSize = PAGE_SIZES.find((option) => option.id === pageSizeId);
+  const cellSize = CELL_SIZES.find((option) => option.id === cellSizeId).size;
+
+  const pattern = useMemo(
+    () => (isOpen && pixelGrid ? buildPattern(pixelGrid, brand) : null),
+    [isOpen, pixelGrid, brand]
+  );
+
+  useEffect(() => {
+    if (isOpen) setTitle(fileNameValues.name);
+  }, [isOpen, fileNameValues.name]);
+
+  useEffect(() => {
+    if (!pattern || !previewRef.current) {
+      return;
+    }
+    const canvas = previewRef.current;
+    canvas.width = pattern.width;
+    canvas.height = pattern.height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(pattern.width, pattern.height);
+    pattern.cells.forEach((index, i) => {
+      if (index < 0) return;
+      image.data.set([...pattern.legend[index].rgb, 255], i * 4);
+    });
+    ctx.putImageData(image, 0, 0);
+  }, [pattern]);
+
+  if (!isOpen || !pixelGrid) {
+    return null;
+  }
+
+  const size = finishedSize(pattern, brand, fabricCount);
+  const chartPages = planChartPages(pattern, pageSize, cellSize).length;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const pages = layoutPattern(pattern, brand, {
+        title: title || fileNameValues.name,
+        pageSize,
+        cellSize,
+        colorCells,
+        fabricCount,
+      });
+      const fileName = formatFileName(
+        loadFileNameTemplate(),
+        {
+          ...fileNameValues,
+          width: pattern.width,
+          height: pattern.height,
+          scale: '1x',
+          colors: pattern.legend.length,
+          date: new Date().toISOString().slice(0, 10),
+        },
+        format
+      );
+      const base = `${fileName.replace(/\.[^.]+$/, '')}-${brand.id}-pattern`;
+
+      if (format === 'pdf') {
+        downloadBlob(encodePdf(pages, { title: title || fileNameValues.name }), `${base}.pdf`);
+      } else if (pages.length === 1) {
+        downloadBlob(new Blob([pageToSvg(pages[0])], { type: 'image/svg+xml' }), `${base}.svg`);
+      } else {
+        const digits = String(pages.length).length;
+        const files = pages.map((page, index) => ({
+          path: `${base}-page-${String(index + 1).padStart(digits, '0')}.svg`,
+          blob: new Blob([pageToSvg(page)], { type: 'image/svg+xml' }),
+        }));
+        downloadBlob(await createZip(files), `${base}.zip`);
+      }
+      onClose();
+    } catch (exportError) {
+      console.error('Error exporting pattern:', exportError);
+      setError(exportError.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-3xl max-h-full overflow-y-auto bg-gray-800 rounded-2xl p-6 border border-gray-700 shadow-xl space-y-5"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="craft-dialog-title"
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="craft-dialog-title" className="text-xl font-semibold text-white flex items-center">
+            <FaBorderAll className="mr-3 text-primary" />
+            Craft Pattern
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-5">
+          <div className="space-y-3">
+            <select value={brandId} onChange={(e) => setBrandId(e.target.value)} className={selectClassName} aria-label="Colors">
+              {CRAFT_BRANDS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.name} ({option.colors.length} colors)
+                </option>
+              ))}
+            </select>
+
+            {!brand.pitchMm && (
+              <select
+                value={fabricCount}
+                onChange={(e) => setFabricCount(parseInt(e.target.value))}
+                className={selectClassName}
+                aria-label="Fabric count"
+              >
+                {FABRIC_COUNTS.map((count) => (
+                  <option key={count} value={count}>
+                    {count}-count Aida
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <label className="block text-sm text-gray-300 space-y-1">
+              <span className="block">Title</span>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+              />
+            </label>
+
+            <div className="grid grid-cols-2 gap-3">
+              <select value={pageSizeId} onChange={(e) => setPageSizeId(e.target.value)} className={selectClassName} aria-label="Page size">
+                {PAGE_SIZES.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.name}
+                  </option>
+                ))}
+              </select>
+              <select value={cellSizeId} onChange={(e) => setCellSizeId(e.target.value)} className={selectClassName} aria-label="Cell size">
+                {CELL_SIZES.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={selectClassName} aria-label="Pattern format">
+              {PATTERN_FORMATS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+              <input type="checkbox" checked={colorCells} onChange={(e) => setColorCells(e.target.checked)} className="rounded" />
+              <span>Color-filled cells (uncheck for a black and white chart)</span>
+            </label>
+
+            <p className="text-sm text-gray-400">
+              {pattern.width}×{pattern.height} {brand.unit} · about {size.widthCm.toFixed(1)}×{size.heightCm.toFixed(1)} cm
+              {size.boards && ` · ${size.boards.columns}×${size.boards.rows} boards`}
+              {` · ${chartPages} chart page${chartPages === 1 ? '' : 's'}`}
+            </p>
+          </div>
+
+          <div className="space-y-3">
+            <div className="bg-gray-900 rounded-lg p-2 border border-gray-700 flex items-center justify-center">
+              <canvas
+                ref={previewRef}
+                className="max-w-full max-h-48 w-full object-contain"
+                style={{ imageRendering: 'pixelated' }}
+              />
+            </div>
+            <div className="max-h-56 overflow-y-auto rounded-lg border border-gray-700 divide-y divide-gray-700">
+              {pattern.legend.map((entry) => (
+                <div key={entry.code} className="flex items-center space-x-2 px-2 py-1 text-sm">
+                  <span
+                    className="w-5 h-5 rounded flex items-center justify-center text-xs font-bold border border-gray-600"
+                    style={{ backgroundColor: entry.hex, color: entry.symbolColor }}
+                  >
+                    {entry.symbol}
+                  </span>
+                  <span className="text-white font-mono w-12">{entry.code}</span>
+                  <span className="text-gray-300 flex-1 truncate">{entry.name}</span>
+                  <span className="text-gray-400">{entry.count}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          onClick={handleExport}
+          disabled={isExporting || !pattern.legend.length}
+          className="w-full bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg font-semibold flex items-center justify-center space-x-3 transition-all duration-300 shadow-lg"
+        >
+          <FaDownload />
+          <span>{isExporting ? 'Exporting...' : `Download ${format.toUpperCase()} pattern`}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CraftPatternDialog;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaCrop, FaTimes, FaCheck, FaUndoAlt, FaRedoAlt, FaArrowsAltH, FaArrowsAltV } from 'react-icons/fa';
+import {
+  DEFAULT_TRANSFORM,
+  FULL_CROP,
+  MAX_STRAIGHTEN,
+  ASPECT_RATIOS,
+  orientedSize,
+  fractionalRatio,
+  transformSource,
+  rotateCrop,
+  flipCrop,
+  fitCropToRatio,
+  cropFromPoints,
+  moveCrop,
+} from '../utils/transform';
+
+// Crops smaller than this fraction of the frame are treated as a stray click
+const MIN_CROP = 0.01;
+
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Corner opposite the dragged handle, which stays put while resizing
+const oppositeCorner = (crop, corner) => ({
+  x: corner.includes('w') ? crop.x + crop.width : crop.x,
+  y: corner.includes('n') ? crop.y + crop.height : crop.y,
+});
+
+const CropDialog = ({ isOpen, image, transform, onApply, onClose }) => {
+  const [draft, setDraft] = useState(DEFAULT_TRANSFORM);
+  const [aspect, setAspect] = useState('free');
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft({ ...DEFAULT_TRANSFORM, ...transform });
+      setAspect('free');
+    }
+  }, [isOpen, transform]);
+
+  const { rotation, flipH, flipV, straighten } = draft;
+
+  // Preview of the rotated, flipped and straightened image; the crop is drawn on top
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!isOpen || !image || !canvas) return;
+    const oriented = transformSource(image, { rotation, flipH, flipV, straighten, crop: null }, createDomCanvas);
+    canvas.width = oriented.width;
+    canvas.height = oriented.height;
+    canvas.getContext('2d').drawImage(oriented, 0, 0);
+  }, [isOpen, image, rotation, flipH, flipV, straighten]);
+
+  if (!isOpen || !image) {
+    return null;
+  }
+
+  const frame = orientedSize(image.width, image.height, rotation);
+  const crop = draft.crop || FULL_CROP;
+  const aspectOption = ASPECT_RATIOS.find((option) => option.id === aspect);
+  let ratio = null;
+  if (aspect === 'original') {
+    ratio = 1;
+  } else if (aspectOption.ratio) {
+    ratio = fractionalRatio(aspectOption.ratio, frame);
+  }
+
+  const setCrop = (nextCrop) => setDraft((current) => ({ ...current, crop: nextCrop }));
+
+  const handleAspectChange = (id) => {
+    setAspect(id);
+    const option = ASPECT_RATIOS.find((entry) => entry.id === id);
+    if (id === 'original') {
+      setCrop(fitCropToRatio(draft.crop, 1));
+    } else if (option.ratio) {
+      setCrop(fitCropToRatio(draft.crop, fractionalRatio(option.ratio, frame)));
+    }
+  };
+
+  const rotate = (direction) => {
+    setDraft((current) => ({
+      ...current,
+      rotation: (current.rotation + direction * 90 + 360) % 360,
+      crop: rotateCrop(current.crop, direction),
+    }));
+    setAspect((current) => ASPECT_RATIOS.find((option) => option.id === current).inverse);
+  };
+
+  const flip = (axis) => {
+    setDraft((current) => ({
+      ...current,
+      flipH: axis === 'h' ? !current.flipH : current.flipH,
+      flipV: axis === 'v' ? !current.flipV : current.flipV,
+      crop: flipCrop(current.crop, axis),
+    }));
+  };
+
+  const pointFrom = (event) => {
+    const bounds = frameRef.current.getBoundingClientRect();
+    return {
+      x: clamp01((event.clientX - bounds.left) / bounds.width),
+      y: clamp01((event.clientY - bounds.top) / bounds.height),
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = pointFrom(event);
+    const { corner } = event.target.dataset;
+    const isInside = draft.crop &&
+      point.x >= crop.x && point.x <= crop.x + crop.width &&
+      point.y >= crop.y && point.y <= crop.y + crop.height;
+
+    if (corner) {
+      dragRef.current = { mode: 'resize', anchor: oppositeCorner(crop, corner) };
+    } else if (isInside) {
+      dragRef.current = { mode: 'move', start: point, origin: crop };
+    } else {
+      dragRef.current = { mode: 'resize', anchor: point, previous: draft.crop };
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = pointFrom(event);
+    if (drag.mode === 'move') {
+      setCrop(moveCrop(drag.origin, point.x - drag.start.x, point.y - drag.start.y));
+    } else {
+      setCrop(cropFromPoints(drag.anchor, point, ratio));
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && draft.crop && (draft.crop.width < MIN_CROP || draft.crop.height < MIN_CROP)) {
+      setCrop(drag.previous || null);
+    }
+  };
+
+  const handleApply = () => {
+    const isFullFrame = crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1;
+    onApply({ ...draft, crop: isFullFrame ? null : draft.crop });
+    onClose();
+  };
+
+  const outputWidth = Math.max(1, Math.round(crop.width * frame.width));
+  const outputHeight = Math.max(1, Math.round(crop.height * frame.height));
+  const buttonClass = 'bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm flex items-center space-x-2 transition-colors duration-200';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div
+        className="w-full max-w-4xl bg-gray-800 rounded-2xl p-4 border border-gray-700 shadow-xl space-y-4"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="crop-dialog-title"
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="crop-dialog-title" className="text-xl font-semibold text-white flex items-center">
+            <FaCrop className="mr-3 text-primary" />
+            Crop &amp; Rotate
+            <span className="ml-3 text-sm font-normal text-gray-400">
+              {outputWidth}×{outputHeight}
+            </span>
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={aspect}
+            onChange={(e) => handleAspectChange(e.target.value)}
+            className="bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring text-sm"
+            aria-label="Aspect ratio"
+          >
+            {ASPECT_RATIOS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => rotate(-1)} className={buttonClass} title="Rotate left">
+            <FaUndoAlt />
+            <span>90°</span>
+          </button>
+          <button onClick={() => rotate(1)} className={buttonClass} title="Rotate right">
+            <FaRedoAlt />
+            <span>90°</span>
+          </button>
+          <button onClick={() => flip('h')} className={`${buttonClass} ${flipH ? 'ring-2 ring-primary' : ''}`} title="Flip horizontally">
+            <FaArrowsAltH />
+            <span>Flip</span>
+          </button>
+          <button onClick={() => flip('v')} className={`${buttonClass} ${flipV ? 'ring-2 ring-primary' : ''}`} title="Flip vertically">
+            <FaArrowsAltV />
+            <span>Flip</span>
+          </button>
+          <button
+            onClick={() => {
+              setDraft(DEFAULT_TRANSFORM);
+              setAspect('free');
+            }}
+            className="text-sm text-gray-400 hover:text-white transition-colors duration-200 px-2"
+          >
+            Reset
+          </button>
+        </div>
+
+        <div className="flex justify-center bg-gray-900 rounded-lg p-2">
+          <div
+            ref={frameRef}
+            className="relative inline-block overflow-hidden cursor-crosshair touch-none select-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            <canvas ref={canvasRef} className="block max-w-full max-h-[55vh]" />
+            {draft.crop && (
+              <div
+                className="absolute border-2 border-white cursor-move"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`,
+                  boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)',
+                }}
+              >
+                {CORNERS.map((corner) => (
+                  <span
+                    key={corner}
+                    data-corner={corner}
+                    className={`absolute w-3 h-3 bg-white border border-primary ${corner.includes('n') ? '-top-1.5' : '-bottom-1.5'} ${corner.includes('w') ? '-left-1.5' : '-right-1.5'} ${corner === 'nw' || corner === 'se' ? 'cursor-nwse-resize' : 'cursor-nesw-resize'}`}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-white font-semibold text-sm">
+            Straighten: {straighten.toFixed(1)}°
+          </label>
+          <input
+            type="range"
+            min={-MAX_STRAIGHTEN}
+            max={MAX_STRAIGHTEN}
+            step="0.5"
+            value={straighten}
+            onChange={(e) => setDraft((current) => ({ ...current, straighten: parseFloat(e.target.value) }))}
+            onDoubleClick={() => setDraft((current) => ({ ...current, straighten: 0 }))}
+            className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-gray-400">
+            Drag on the image to crop. The uploaded file is never changed.
+          </p>
+          <div className="flex space-x-2">
+            <button onClick={onClose} className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-4 py-2 text-sm transition-colors duration-200">
+              Cancel
+            </button>
+            <button
+              onClick={handleApply}
+              className="bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg px-4 py-2 text-sm font-semibold flex items-center space-x-2 transition-all duration-300"
+            >
+              <FaCheck />
+              <span>Apply</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CropDialog;
@@ -0,0 +1,106 @@
+import React, { useRef, useState } from 'react';
+import { curveToLut } from '../utils/adjustments';
+
+const SIZE = 255;
+
+// Points closer than this (in curve units) to an existing one grab it instead of adding a new one
+const HIT_RADIUS = 10;
+
+const clamp = (value) => Math.min(SIZE, Math.max(0, Math.round(value)));
+
+// Tone curve: drag points, click empty space to add one, double-click a point to remove it
+const CurveEditor = ({ curve, onChange }) => {
+  const svgRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const points = [...curve].sort((a, b) => a[0] - b[0]);
+  const lut = curveToLut(points);
+  const path = Array.from(lut, (y, x) => `${x === 0 ? 'M' : 'L'}${x} ${SIZE - y}`).join(' ');
+
+  const toCurve = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      clamp(((event.clientX - rect.left) / rect.width) * SIZE),
+      clamp(SIZE - ((event.clientY - rect.top) / rect.height) * SIZE),
+    ];
+  };
+
+  const findPoint = ([x, y]) =>
+    points.findIndex(([px, py]) => Math.hypot(px - x, py - y) <= HIT_RADIUS);
+
+  // End points may only move vertically, and inner points stay between their neighbours
+  const movePoint = (index, [x, y]) => {
+    const next = points.map((point) => [...point]);
+    const isEnd = index === 0 || index === points.length - 1;
+    next[index] = [
+      isEnd ? points[index][0] : Math.min(points[index + 1][0] - 1, Math.max(points[index - 1][0] + 1, x)),
+      y,
+    ];
+    onChange(next);
+  };
+
+  const handlePointerDown = (event) => {
+    const position = toCurve(event);
+    let index = findPoint(position);
+    if (index === -1) {
+      const insertAt = points.findIndex(([px]) => px > position[0]);
+      if (insertAt <= 0 || points.some(([px]) => px === position[0])) {
+        return;
+      }
+      const next = [...points.slice(0, insertAt), position, ...points.slice(insertAt)];
+      onChange(next);
+      index = insertAt;
+    }
+    svgRef.current.setPointerCapture(event.pointerId);
+    setDragIndex(index);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragIndex !== null) {
+      movePoint(dragIndex, toCurve(event));
+    }
+  };
+
+  const handleDoubleClick = (event) => {
+    const index = findPoint(toCurve(event));
+    if (index > 0 && index < points.length - 1) {
+      onChange(points.filter((_, i) => i !== index));
+    }
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${SIZE} ${SIZE}`}
+      className="w-full aspect-square bg-gray-800 rounded border border-gray-700 cursor-crosshair touch-none"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => setDragIndex(null)}
+      onPointerCancel={() => setDragIndex(null)}
+      onDoubleClick={handleDoubleClick}
+      role="img"
+      aria-label="Tone curve"
+    >
+      {[64, 128, 192].map((line) => (
+        <g key={line} stroke="#374151" strokeWidth="1">
+          <line x1={line} y1="0" x2={line} y2={SIZE} />
+          <line x1="0" y1={line} x2={SIZE} y2={line} />
+        </g>
+      ))}
+      <line x1="0" y1={SIZE} x2={SIZE} y2="0" stroke="#4B5563" strokeDasharray="4 4" />
+      <path d={path} fill="none" stroke="#ffffff" strokeWidth="2" />
+      {points.map(([x, y], index) => (
+        <circle
+          key={index}
+          cx={x}
+          cy={SIZE - y}
+          r="6"
+          fill={dragIndex === index ? '#2563EB' : '#1F2937'}
+          stroke="#ffffff"
+          strokeWidth="2"
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default CurveEditor;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { FaDownload, FaTimes } from 'react-icons/fa';
+import { EXPORT_FORMATS, EXPORT_SCALES, getExportFormat } from '../utils/exportImage';
+import {
+  DEFAULT_FILENAME_TEMPLATE,
+  FILENAME_TEMPLATE_STORAGE_KEY,
+  FILENAME_TOKENS,
+  formatFileName,
+} from '../utils/fileNames';
+
+const ExportDialog = ({ isOpen, onClose, onExport, pixelGrid, originalSize, fileNameValues, gridOptions }) => {
+  const [format, setFormat] = useState('png');
+  const [scale, setScale] = useState('original');
+  const [template, setTemplate] = useState(DEFAULT_FILENAME_TEMPLATE);
+  const [includeGrid, setIncludeGrid] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    try {
+      const savedTemplate = localStorage.getItem(FILENAME_TEMPLATE_STORAGE_KEY);
+      if (savedTemplate) setTemplate(savedTemplate);
+    } catch (storageError) {
+      console.error('Error loading from localStorage:', storageError);
+    }
+  }, []);
+
+  // Without a pixel grid (pixel size 0) only the full-size PNG is available;
+  // originalSize is the size of the preview image
+  const effectiveFormat = pixelGrid ? format : 'png';
+  let effectiveScale = scale;
+  if (!pixelGrid) {
+    effectiveScale = 'original';
+  } else if (scale === 'original' && effectiveFormat !== 'png') {
+    effectiveScale = 1;
+  }
+  const size = effectiveScale === 'original'
+    ? originalSize
+    : { width: pixelGrid.width * effectiveScale, height: pixelGrid.height * effectiveScale };
+
+  // Raster cells need at least 2 pixels or the lines would replace the pixels themselves
+  const canIncludeGrid = effectiveScale !== 'original' && (effectiveFormat === 'svg' || effectiveScale >= 2);
+
+  const fileName = formatFileName(
+    template,
+    {
+      ...fileNameValues,
+      width: size.width,
+      height: size.height,
+      scale: effectiveScale === 'original' ? 'full' : `${effectiveScale}x`,
+      date: new Date().toISOString().slice(0, 10),
+    },
+    getExportFormat(effectiveFormat).extension
+  );
+
+  const handleTemplateChange = (value) => {
+    setTemplate(value);
+    try {
+      localStorage.setItem(FILENAME_TEMPLATE_STORAGE_KEY, value);
+    } catch (storageError) {
+      console.error('Error saving to localStorage:', storageError);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      await onExport({
+        format: effectiveFormat,
+        scale: effectiveScale,
+        fileName,
+        gridLines: includeGrid && canIncludeGrid ? gridOptions : null,
+      });
+      onClose();
+    } catch (exportError) {
+      console.error('Error exporting pixel art:', exportError);
+      setError(exportError.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md bg-gray-800 rounded-2xl p-6 border border-gray-700 shadow-xl space-y-5"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-dialog-title"
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="export-dialog-title" className="text-xl font-semibold text-white flex items-center">
+            <FaDownload className="mr-3 text-primary" />
+            Export Pixel Art
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-white font-semibold">Format</label>
+          <select
+            value={effectiveFormat}
+            onChange={(e) => setFormat(e.target.value)}
+            disabled={!pixelGrid}
+            className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring disabled:opacity-50"
+          >
+            {EXPORT_FORMATS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-white font-semibold">Size</label>
+          <select
+            value={effectiveScale}
+            onChange={(e) => setScale(e.target.value === 'original' ? 'original' : parseInt(e.target.value))}
+            className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+          >
+            {effectiveFormat === 'png' && (
+              <option value="original">
+                Full size ({originalSize.width}×{originalSize.height})
+              </option>
+            )}
+            {pixelGrid && EXPORT_SCALES.map((option) => (
+              <option key={option} value={option}>
+                {option === 1 ? 'Native pixels' : `${option}× pixels`} ({pixelGrid.width * option}×{pixelGrid.height * option})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <label className={`flex items-center space-x-2 text-sm ${canIncludeGrid ? 'text-gray-300 cursor-pointer' : 'text-gray-500'}`}>
+          <input
+            type="checkbox"
+            checked={includeGrid && canIncludeGrid}
+            onChange={(e) => setIncludeGrid(e.target.checked)}
+            disabled={!canIncludeGrid}
+            className="rounded"
+          />
+          <span>Include grid lines{!canIncludeGrid && pixelGrid ? ' (choose 2× or larger, or SVG)' : ''}</span>
+        </label>
+
+        <div className="space-y-2">
+          <label className="block text-white font-semibold">File name</label>
+          <input
+            type="text"
+            value={template}
+            onChange={(e) => handleTemplateChange(e.target.value)}
+            className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring font-mono text-sm"
+          />
+          <p className="text-xs text-gray-400">
+            Tokens: {FILENAME_TOKENS.map((token) => `{${token}}`).join(' ')}
+          </p>
+          <p className="text-sm text-gray-300 font-mono break-all">{fileName}</p>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          onClick={handleExport}
+          disabled={isExporting}
+          className="w-full bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg font-semibold flex items-center justify-center space-x-3 transition-all duration-300 shadow-lg"
+        >
+          <FaDownload />
+          <span>{isExporting ? 'Exporting...' : 'Download'}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
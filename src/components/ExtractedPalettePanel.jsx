@@ -0,0 +1,66 @@
+import React from 'react';
+import { FaSyncAlt, FaEdit } from 'react-icons/fa';
+import { MIN_COLORS } from '../utils/quantize';
+import { MAX_EXTRACT_COLORS } from '../utils/paletteExtraction';
+
+const ExtractedPalettePanel = ({ colors, count, onExtract, onColorsChange, onEditAsCustom }) => {
+  const handleColorChange = (index, color) => {
+    onColorsChange(colors.map((current, i) => (i === index ? color.toUpperCase() : current)));
+  };
+
+  return (
+    <div className="space-y-3 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+      <label className="block text-sm text-gray-300">
+        Extract {count} colors from the image
+      </label>
+      <input
+        type="range"
+        min={MIN_COLORS}
+        max={MAX_EXTRACT_COLORS}
+        step="1"
+        value={count}
+        onChange={(e) => onExtract(parseInt(e.target.value))}
+        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
+      />
+
+      {colors.length > 0 ? (
+        <div className="grid grid-cols-8 gap-1">
+          {colors.map((color, index) => (
+            <input
+              key={index}
+              type="color"
+              value={color.toLowerCase()}
+              onChange={(e) => handleColorChange(index, e.target.value)}
+              title={`${color} (click to adjust)`}
+              className="w-full h-7 rounded cursor-pointer bg-transparent"
+            />
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400">No colors extracted yet.</p>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={() => onExtract(count)}
+          className="flex-1 flex items-center justify-center space-x-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200"
+          title="Discard tweaks and extract again"
+        >
+          <FaSyncAlt />
+          <span>Re-extract</span>
+        </button>
+        <button
+          onClick={onEditAsCustom}
+          disabled={colors.length === 0}
+          className="flex-1 flex items-center justify-center space-x-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200"
+          title="Copy these colors into the custom palette editor"
+        >
+          <FaEdit />
+          <span>Edit as Custom</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExtractedPalettePanel;
@@ -12,7 +12,7 @@ const FAQ = () => {
     },
     {
       question: 'What is color quantization?',
-      answer: 'Color quantization reduces the number of colors in an image to create a retro game-style look. We reduce colors to 32-64 colors and apply retro enhancement for authentic pixel art results.'
+      answer: 'Color quantization reduces the number of colors in an image to create a retro game-style look. Use the Colors slider to pick a palette anywhere from 2 to 256 colors (32 by default) for authentic pixel art results.'
     },
     {
       question: 'Can I adjust the pixel size?',
@@ -20,7 +20,7 @@ const FAQ = () => {
     },
     {
       question: 'What color styles are available?',
-      answer: 'Choose from Retro (NES-style), Classic (GameBoy-style), or Modern (Enhanced) color palettes. Each creates different authentic pixel art aesthetics.'
+      answer: 'Pick an adaptive palette fitted to your image, or a classic console palette: NES, Game Boy, PICO-8, CGA, Commodore 64 or EGA. Every pixel is matched to the perceptually closest palette color.'
     },
     {
       question: 'Is my image stored online?',
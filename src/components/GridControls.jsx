@@ -0,0 +1,62 @@
+import React from 'react';
+import { FaBorderAll } from 'react-icons/fa';
+
+const GridControls = ({ options, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-300">
+      <label className="flex items-center space-x-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={options.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled}
+          className="rounded"
+        />
+        <FaBorderAll className="text-primary" />
+        <span>Pixel grid</span>
+      </label>
+
+      {options.enabled && !disabled && (
+        <>
+          <label className="flex items-center space-x-2">
+            <span>Color</span>
+            <input
+              type="color"
+              value={options.color}
+              onChange={(e) => update({ color: e.target.value })}
+              className="w-8 h-6 rounded cursor-pointer bg-transparent"
+            />
+          </label>
+          <label className="flex items-center space-x-2">
+            <span>Opacity</span>
+            <input
+              type="range"
+              min="0.05"
+              max="1"
+              step="0.05"
+              value={options.opacity}
+              onChange={(e) => update({ opacity: parseFloat(e.target.value) })}
+              className="w-24 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+            />
+          </label>
+          <label className="flex items-center space-x-2">
+            <span>Major every</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={options.majorEvery}
+              onChange={(e) => update({ majorEvery: Math.max(0, parseInt(e.target.value) || 0) })}
+              className="w-16 bg-gray-700 text-white rounded px-2 py-1 border border-gray-600 focus-ring"
+              title="Cells between thicker lines (0 for none)"
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GridControls;
@@ -1,54 +1,197 @@
 import React, { useState, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { FaUpload, FaDownload, FaImage, FaMagic, FaCog } from 'react-icons/fa';
+import { FaUpload, FaDownload, FaImage, FaMagic, FaCog, FaPalette, FaBraille, FaEdit, FaColumns, FaCrop, FaThLarge, FaFolderOpen, FaLayerGroup, FaTh, FaBorderAll, FaHistory } from 'react-icons/fa';
+import { MIN_COLORS, MAX_COLORS } from '../utils/quantize';
+import { PALETTES, ADAPTIVE_PALETTE, CUSTOM_PALETTE, EXTRACTED_PALETTE, getPalette } from '../utils/palettes';
+import { extractPalette } from '../utils/paletteExtraction';
+import { DITHER_MODES } from '../utils/dithering';
+import { SAMPLING_MODES } from '../utils/downsample';
+import PaletteEditor from './PaletteEditor';
+import ExtractedPalettePanel from './ExtractedPalettePanel';
+import ExportDialog from './ExportDialog';
+import TilesetDialog from './TilesetDialog';
+import CraftPatternDialog from './CraftPatternDialog';
+import PixelGridOverlay from './PixelGridOverlay';
+import GridControls from './GridControls';
+import PixelEditor from './PixelEditor';
+import SettingsTimeline from './SettingsTimeline';
+import RecipePanel from './RecipePanel';
+import PresetsPanel from './PresetsPanel';
+import CompareViewer, { COMPARE_MODES } from './CompareViewer';
+import CropDialog from './CropDialog';
+import TargetSizeControls from './TargetSizeControls';
+import OutlineControls from './OutlineControls';
+import BackgroundControls from './BackgroundControls';
+import AdjustmentControls from './AdjustmentControls';
+import BatchQueue from './BatchQueue';
+import useBatchConverter from '../hooks/useBatchConverter';
+import { collectDroppedFiles, collectInputFiles, isImageFile } from '../utils/batch';
+import { decodeAnimation, frameToImage, isVideoFile, mayBeAnimated } from '../utils/animationDecoding';
+import AnimationPanel from './AnimationPanel';
+import { SIZE_MODES } from '../utils/pixelPipeline';
+import { applyPreset } from '../utils/presets';
+import { DEFAULT_GRID_OPTIONS } from '../utils/gridLines';
+import { DEFAULT_TRANSFORM, isIdentityTransform } from '../utils/transform';
 
 const MainTool = ({ 
   onImageUpload, 
   uploadedImage, 
+  animationFrames,
   pixelatedImage, 
-  pixelSize, 
-  onPixelSizeChange,
-  brightness,
-  onBrightnessChange,
-  contrast,
-  onContrastChange,
-  shadow,
-  onShadowChange,
+  settings,
+  onSettingsChange,
+  settingsHistory,
+  pixelGrid,
+  sourcePreview,
+  resultSize,
+  pixelPalette,
+  hasEdits,
+  onApplyEdits,
+  onRevertEdits,
   isGenerating,
-  onDownload 
+  renderError,
+  onDownload,
+  fileNameValues,
+  onLoadRecipe,
+  recipeNotice,
+  savedSession,
+  onRestoreSession,
+  onDismissSession,
+  onReset
 }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [isTilesetOpen, setIsTilesetOpen] = useState(false);
+  const [isCraftOpen, setIsCraftOpen] = useState(false);
+  const [gridOptions, setGridOptions] = useState(DEFAULT_GRID_OPTIONS);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [compareMode, setCompareMode] = useState('hold');
+  const [isCropOpen, setIsCropOpen] = useState(false);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const batchInputRef = useRef(null);
+  const batch = useBatchConverter();
+  const {
+    sizeMode,
+    pixelSize,
+    targetWidth,
+    targetHeight,
+    sampling,
+    colorCount,
+    palette,
+    dither,
+    ditherStrength,
+    customPalette,
+    extractCount,
+    extractedPalette,
+  } = settings;
+  const selectedPalette = getPalette(palette);
+  const isPixelated = sizeMode === 'target' || pixelSize > 0;
 
-  // Debug logging
-  console.log('MainTool props:', {
-    uploadedImage: uploadedImage ? 'EXISTS' : 'NULL',
-    pixelatedImage: pixelatedImage ? 'EXISTS' : 'NULL',
-    pixelSize
-  });
+  const handlePaletteSelect = (nextPalette) => {
+    if (nextPalette === EXTRACTED_PALETTE && extractedPalette.length === 0) {
+      onSettingsChange({ palette: nextPalette, extractedPalette: extractPalette(uploadedImage, extractCount) });
+    } else {
+      onSettingsChange({ palette: nextPalette });
+    }
+  };
+
+  const handleExtract = (count) => {
+    onSettingsChange({ extractCount: count, extractedPalette: extractPalette(uploadedImage, count) });
+  };
 
-  const handleFileSelect = (file) => {
-    if (file && file.type.startsWith('image/')) {
+  // Locked custom swatches survive; the extracted colors are appended after them
+  const handleEditExtractedAsCustom = () => {
+    const locked = customPalette.swatches.filter((swatch) => swatch.locked);
+    const lockedColors = locked.map((swatch) => swatch.color);
+    onSettingsChange({
+      palette: CUSTOM_PALETTE,
+      customPalette: {
+        name: 'Extracted',
+        swatches: [
+          ...locked,
+          ...extractedPalette
+            .filter((color) => !lockedColors.includes(color))
+            .map((color) => ({ color, locked: false })),
+        ],
+      },
+    });
+  };
+
+  const failUpload = (file, error) => {
+    console.error('Error opening file:', error);
+    setUploadError(`Could not open ${file.name}. It may be damaged or in an unsupported format.`);
+    setIsProcessing(false);
+  };
+
+  const handleFileSelect = async (file) => {
+    setUploadError(null);
+    // Animated images and videos open on their first frame, with the frames kept for the animation panel
+    if (isVideoFile(file) || mayBeAnimated(file)) {
       setIsProcessing(true);
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-          onImageUpload(img);
+      try {
+        const frames = await decodeAnimation(file);
+        if (frames) {
+          onImageUpload(await frameToImage(frames[0].image), file.name, frames, file);
           setIsProcessing(false);
-        };
-        img.src = e.target.result;
+          return;
+        }
+      } catch (error) {
+        // Videos have no still-image fallback
+        if (isVideoFile(file)) {
+          failUpload(file, error);
+          return;
+        }
+        console.error('Error decoding animation:', error);
+      }
+      setIsProcessing(false);
+    }
+
+    if (!isImageFile(file)) {
+      failUpload(file, new Error(`Unsupported file type: ${file.type || 'unknown'}`));
+      return;
+    }
+
+    setIsProcessing(true);
+    const reader = new FileReader();
+    reader.onerror = () => failUpload(file, reader.error);
+    reader.onload = (e) => {
+      const img = new Image();
+      img.onload = () => {
+        onImageUpload(img, file.name, null, file);
+        setIsProcessing(false);
       };
-      reader.readAsDataURL(file);
+      img.onerror = () => failUpload(file, new Error('The image could not be decoded'));
+      img.src = e.target.result;
+    };
+    reader.readAsDataURL(file);
+  };
+
+  // The saved settings are loaded first, so the restored image renders with them
+  const handleRestoreSession = () => {
+    handleFileSelect(onRestoreSession());
+  };
+
+  // Several images (or any folder) go to the batch queue; the first one is also
+  // opened in the editor when nothing is loaded yet, so there is something to tune on
+  const handleFilesSelect = (files) => {
+    if (files.length === 1 && !files[0].folder) {
+      handleFileSelect(files[0].file);
+      return;
+    }
+    const images = files.filter(({ file }) => isImageFile(file));
+    if (images.length) {
+      batch.addFiles(images, settings);
+      if (!uploadedImage) handleFileSelect(images[0].file);
     }
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragOver(false);
-    const file = e.dataTransfer.files[0];
-    handleFileSelect(file);
+    collectDroppedFiles(e.dataTransfer).then(handleFilesSelect);
   };
 
   const handleDragOver = (e) => {
@@ -62,8 +205,13 @@ const MainTool = ({
   };
 
   const handleFileInputChange = (e) => {
-    const file = e.target.files[0];
-    handleFileSelect(file);
+    handleFilesSelect(collectInputFiles(e.target.files));
+    e.target.value = '';
+  };
+
+  const handleBatchInputChange = (e) => {
+    batch.addFiles(collectInputFiles(e.target.files).filter(({ file }) => isImageFile(file)), settings);
+    e.target.value = '';
   };
 
   return (
@@ -85,6 +233,12 @@ const MainTool = ({
           </p>
         </motion.div>
 
+        {batch.items.length > 0 && (
+          <div className="mb-8">
+            <BatchQueue batch={batch} settings={settings} />
+          </div>
+        )}
+
         {!uploadedImage ? (
           /* Upload Section */
           <motion.div
@@ -94,6 +248,33 @@ const MainTool = ({
             viewport={{ once: true }}
             className="max-w-2xl mx-auto"
           >
+            {savedSession && !isProcessing && (
+              <div className="mb-6 bg-gray-800/50 rounded-xl p-4 border border-gray-700 flex flex-wrap items-center justify-between gap-4">
+                <div className="flex items-center min-w-0">
+                  <FaHistory className="text-primary text-2xl mr-4 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-white font-semibold">Continue where you left off?</p>
+                    <p className="text-sm text-gray-400 truncate">
+                      {savedSession.fileName} · {new Date(savedSession.savedAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleRestoreSession}
+                    className="bg-primary hover:bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold transition-all duration-300"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={onDismissSession}
+                    className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-all duration-300"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            )}
             <div
               onDrop={handleDrop}
               onDragOver={handleDragOver}
@@ -106,21 +287,49 @@ const MainTool = ({
             >
               <FaUpload className="mx-auto text-6xl text-gray-400 mb-6" />
               <h3 className="text-2xl font-semibold text-white mb-4">
-                Drop your image here
+                Drop your images or a folder here
               </h3>
               <p className="text-gray-400 mb-6">
                 or click to browse files
               </p>
-              <button
-                onClick={() => fileInputRef.current?.click()}
-                className="bg-primary hover:bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-300"
-              >
-                Choose File
-              </button>
+              <div className="flex flex-wrap justify-center gap-3">
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="bg-primary hover:bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-300"
+                >
+                  Choose Files
+                </button>
+                <button
+                  onClick={() => folderInputRef.current?.click()}
+                  className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-300 flex items-center space-x-2"
+                >
+                  <FaFolderOpen />
+                  <span>Choose Folder</span>
+                </button>
+              </div>
+              <p className="text-sm text-gray-500 mt-4">
+                Several images or a folder are converted as a batch with the current settings.
+              </p>
+              {uploadError && (
+                <p className="text-sm mt-2 text-red-400" role="alert">{uploadError}</p>
+              )}
+              {recipeNotice && (
+                <p className={`text-sm mt-2 ${recipeNotice.type === 'error' ? 'text-red-400' : recipeNotice.type === 'warning' ? 'text-yellow-400' : 'text-green-400'}`}>
+                  {recipeNotice.type === 'error' ? recipeNotice.text : `${recipeNotice.text}. Upload an image to apply it.`}
+                </p>
+              )}
               <input
                 ref={fileInputRef}
                 type="file"
-                accept="image/*"
+                accept="image/*,video/*"
+                multiple
+                onChange={handleFileInputChange}
+                className="hidden"
+              />
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
                 onChange={handleFileInputChange}
                 className="hidden"
               />
@@ -142,12 +351,37 @@ const MainTool = ({
                   <FaImage className="mr-3 text-primary" />
                   Original Image
                 </h3>
-                <button
-                  onClick={() => window.location.reload()}
-                  className="text-gray-400 hover:text-white transition-colors duration-200"
-                >
-                  Upload New Image
-                </button>
+                <div className="flex items-center space-x-4">
+                  <button
+                    onClick={() => setIsCropOpen(true)}
+                    className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm flex items-center space-x-2 transition-colors duration-200"
+                  >
+                    <FaCrop />
+                    <span>Crop &amp; Rotate</span>
+                  </button>
+                  <button
+                    onClick={() => batchInputRef.current?.click()}
+                    className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm flex items-center space-x-2 transition-colors duration-200"
+                    title="Convert more images with these settings"
+                  >
+                    <FaLayerGroup />
+                    <span>Batch</span>
+                  </button>
+                  <input
+                    ref={batchInputRef}
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={handleBatchInputChange}
+                    className="hidden"
+                  />
+                  <button
+                    onClick={onReset}
+                    className="text-gray-400 hover:text-white transition-colors duration-200"
+                  >
+                    Upload New Image
+                  </button>
+                </div>
               </div>
                 <div className="relative bg-gray-800 rounded-xl p-4 border border-gray-700">
                   <img
@@ -155,37 +389,71 @@ const MainTool = ({
                     alt="Original"
                   className="w-full h-auto max-h-64 object-contain rounded-lg shadow-lg transition-all duration-300"
                   />
+                  {!isIdentityTransform(settings.transform) && sourcePreview && (
+                    <div className="absolute bottom-6 right-6 flex items-center space-x-2 bg-black/60 rounded px-2 py-1 text-xs text-white">
+                      <span>Using {sourcePreview.width}×{sourcePreview.height} crop</span>
+                      <button
+                        onClick={() => onSettingsChange({ transform: DEFAULT_TRANSFORM })}
+                        className="text-gray-300 hover:text-white underline"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
 
+            {animationFrames && (
+              <AnimationPanel
+                frames={animationFrames}
+                settings={settings}
+                isPixelated={isPixelated}
+                fileNameValues={fileNameValues}
+              />
+            )}
+
             {/* Main Content: Result Preview + Control Panel */}
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
               {/* Result Preview - Takes 2/3 width on desktop */}
               <div className="lg:col-span-2 space-y-4">
-                <h3 className="text-2xl font-semibold text-white flex items-center">
-                  <FaMagic className="mr-3 text-primary" />
-                  Pixel Art Result
-                </h3>
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <h3 className="text-2xl font-semibold text-white flex items-center">
+                    <FaMagic className="mr-3 text-primary" />
+                    Pixel Art Result
+                  </h3>
+                  <div className="flex items-center space-x-2 text-sm">
+                    <FaColumns className="text-primary" />
+                    <div className="flex bg-gray-800 rounded-lg border border-gray-700 overflow-hidden" role="radiogroup" aria-label="Comparison mode">
+                      {COMPARE_MODES.map((mode) => (
+                        <button
+                          key={mode.id}
+                          onClick={() => setCompareMode(mode.id)}
+                          className={`px-3 py-1 transition-colors duration-200 ${compareMode === mode.id ? 'bg-primary text-white' : 'text-gray-300 hover:bg-gray-700'}`}
+                          role="radio"
+                          aria-checked={compareMode === mode.id}
+                          title={mode.id === 'hold' ? 'Press and hold the image to see the original' : undefined}
+                        >
+                          {mode.name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                </div>
                 <div className="relative bg-gray-800 rounded-xl p-6 border border-gray-700 shadow-xl hover-lift">
                   {pixelatedImage ? (
                     <div className="relative">
-                      <motion.img
-                        key={pixelSize}
-                        src={pixelatedImage}
-                        alt="Pixel Art Result"
-                        className="w-full h-auto max-w-full object-contain rounded-lg shadow-lg transition-all duration-500 image-transition"
-                        initial={{ opacity: 0, scale: 0.95, y: 20 }}
-                        animate={{ opacity: 1, scale: 1, y: 0 }}
-                        transition={{ 
-                          duration: 0.6,
-                          ease: "easeOut"
-                        }}
-                        onLoad={() => {
-                          console.log('Pixel art result loaded successfully');
-                        }}
-                        onError={(e) => {
-                          console.error('Pixel art result failed to load:', e);
-                        }}
+                      <CompareViewer
+                        mode={compareMode}
+                        originalSrc={sourcePreview?.src || uploadedImage.src}
+                        resultSrc={pixelatedImage}
+                        resultKey={sizeMode === 'target' ? `${targetWidth}x${targetHeight}` : pixelSize}
+                        overlay={gridOptions.enabled && pixelGrid ? (
+                          <PixelGridOverlay
+                            columns={pixelGrid.width}
+                            rows={pixelGrid.height}
+                            options={gridOptions}
+                          />
+                        ) : null}
                       />
                       
                       {/* Loading overlay */}
@@ -207,6 +475,30 @@ const MainTool = ({
                     </div>
                   )}
               </div>
+              {renderError && (
+                <p className="text-sm text-red-400" role="alert">{renderError}</p>
+              )}
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <GridControls options={gridOptions} onChange={setGridOptions} disabled={!pixelGrid} />
+                <div className="flex items-center space-x-2">
+                  {hasEdits && (
+                    <button
+                      onClick={onRevertEdits}
+                      className="text-sm text-gray-400 hover:text-white transition-colors duration-200"
+                    >
+                      Revert edits
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setIsEditorOpen(true)}
+                    disabled={!pixelGrid || !pixelPalette || isGenerating}
+                    className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg px-3 py-2 text-sm flex items-center space-x-2 transition-colors duration-200"
+                  >
+                    <FaEdit />
+                    <span>{hasEdits ? 'Edit Pixels (edited)' : 'Edit Pixels'}</span>
+                  </button>
+                </div>
+              </div>
             </div>
 
               {/* Control Panel - Takes 1/3 width on desktop */}
@@ -218,99 +510,261 @@ const MainTool = ({
                   </h3>
                   
                   <div className="space-y-6">
-                    {/* Pixel Size Control - ONLY CONTROL */}
+                    {/* Settings History */}
+                    <SettingsTimeline
+                      entries={settingsHistory.entries}
+                      index={settingsHistory.index}
+                      onJump={settingsHistory.jumpTo}
+                      onUndo={settingsHistory.undo}
+                      onRedo={settingsHistory.redo}
+                      canUndo={settingsHistory.canUndo}
+                      canRedo={settingsHistory.canRedo}
+                    />
+
+                    {/* Presets */}
+                    <PresetsPanel
+                      settings={settings}
+                      onApply={(preset) => settingsHistory.loadSettings(applyPreset(settings, preset), `Preset: ${preset.name}`)}
+                    />
+
+                    {/* Share / load settings */}
+                    <RecipePanel
+                      settings={settings}
+                      onLoadRecipe={onLoadRecipe}
+                      notice={recipeNotice}
+                      fileName={fileNameValues.name}
+                    />
+
+                    {/* Pixel Size Control */}
                     <div className="space-y-3">
-                      <label className="block text-white font-semibold flex items-center">
-                        <FaMagic className="mr-2 text-primary" />
-                        Pixel Size: {pixelSize === 0 ? 'Original' : `${pixelSize}px`}
-                      </label>
-                      <input
-                        type="range"
-                        min="0"
-                        max="50"
-                        value={pixelSize}
-                        onChange={(e) => onPixelSizeChange(parseInt(e.target.value))}
-                        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
-                      />
-                      <div className="flex justify-between text-sm text-gray-400">
-                        <span>Original (0)</span>
-                        <span>Heavy Pixelation (50)</span>
+                      <div className="flex bg-gray-800 rounded-lg border border-gray-700 overflow-hidden text-sm" role="radiogroup" aria-label="Size mode">
+                        {SIZE_MODES.map((mode) => (
+                          <button
+                            key={mode.id}
+                            onClick={() => onSettingsChange({ sizeMode: mode.id })}
+                            className={`flex-1 px-3 py-1 transition-colors duration-200 ${sizeMode === mode.id ? 'bg-primary text-white' : 'text-gray-300 hover:bg-gray-700'}`}
+                            role="radio"
+                            aria-checked={sizeMode === mode.id}
+                          >
+                            {mode.name}
+                          </button>
+                        ))}
                       </div>
+                      {sizeMode === 'target' ? (
+                        <>
+                          <label className="block text-white font-semibold flex items-center">
+                            <FaMagic className="mr-2 text-primary" />
+                            Target Size: {targetWidth}×{targetHeight}
+                          </label>
+                          <TargetSizeControls
+                            settings={settings}
+                            sourceSize={sourcePreview}
+                            onChange={onSettingsChange}
+                          />
+                        </>
+                      ) : (
+                        <>
+                          <label className="block text-white font-semibold flex items-center">
+                            <FaMagic className="mr-2 text-primary" />
+                            Pixel Size: {pixelSize === 0 ? 'Original' : `${pixelSize}px`}
+                          </label>
+                          <input
+                            type="range"
+                            min="0"
+                            max="50"
+                            value={pixelSize}
+                            onChange={(e) => onSettingsChange({ pixelSize: parseInt(e.target.value) })}
+                            className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
+                          />
+                          <div className="flex justify-between text-sm text-gray-400">
+                            <span>Original (0)</span>
+                            <span>Heavy Pixelation (50)</span>
+                          </div>
+                        </>
+                      )}
                     </div>
                     
-                    {/* Brightness Control */}
+                    {/* Downsampling Control */}
                     <div className="space-y-3">
                       <label className="block text-white font-semibold flex items-center">
-                        <FaMagic className="mr-2 text-primary" />
-                        Brightness: {brightness}x
+                        <FaThLarge className="mr-2 text-primary" />
+                        Downsampling
                       </label>
-                      <input
-                        type="range"
-                        min="0.5"
-                        max="2"
-                        step="0.1"
-                        value={brightness}
-                        onChange={(e) => onBrightnessChange(parseFloat(e.target.value))}
-                        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
-                      />
-                      <div className="flex justify-between text-sm text-gray-400">
-                        <span>Dark (0.5x)</span>
-                        <span>Bright (2x)</span>
-                      </div>
+                      <select
+                        value={sampling}
+                        onChange={(e) => onSettingsChange({ sampling: e.target.value })}
+                        disabled={!isPixelated}
+                        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {SAMPLING_MODES.map((mode) => (
+                          <option key={mode.id} value={mode.id}>
+                            {mode.name}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-400">
+                        How each block picks its color. Edge-aware keeps thin dark lines visible.
+                      </p>
                     </div>
-                    
-                    {/* Contrast Control */}
+
+                    {/* Background Control */}
+                    <BackgroundControls settings={settings} onChange={onSettingsChange} />
+
+                    {/* Palette Picker */}
                     <div className="space-y-3">
                       <label className="block text-white font-semibold flex items-center">
-                        <FaMagic className="mr-2 text-primary" />
-                        Contrast: {contrast}x
+                        <FaPalette className="mr-2 text-primary" />
+                        Palette
                       </label>
-                      <input
-                        type="range"
-                        min="0.5"
-                        max="2"
-                        step="0.1"
-                        value={contrast}
-                        onChange={(e) => onContrastChange(parseFloat(e.target.value))}
-                        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
-                      />
-                      <div className="flex justify-between text-sm text-gray-400">
-                        <span>Low (0.5x)</span>
-                        <span>High (2x)</span>
-                      </div>
+                      <select
+                        value={palette}
+                        onChange={(e) => handlePaletteSelect(e.target.value)}
+                        disabled={!isPixelated}
+                        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <option value={ADAPTIVE_PALETTE}>Adaptive (from image)</option>
+                        {PALETTES.map((option) => (
+                          <option key={option.id} value={option.id}>
+                            {option.name} ({option.colors.length} colors)
+                          </option>
+                        ))}
+                        <option value={EXTRACTED_PALETTE}>Extracted from image</option>
+                        <option value={CUSTOM_PALETTE}>Custom ({customPalette.swatches.length} colors)</option>
+                      </select>
+                      {palette === EXTRACTED_PALETTE && (
+                        <ExtractedPalettePanel
+                          colors={extractedPalette}
+                          count={extractCount}
+                          onExtract={handleExtract}
+                          onColorsChange={(colors) => onSettingsChange({ extractedPalette: colors })}
+                          onEditAsCustom={handleEditExtractedAsCustom}
+                        />
+                      )}
+                      {palette === CUSTOM_PALETTE && (
+                        <PaletteEditor
+                          palette={customPalette}
+                          onChange={(nextPalette) => onSettingsChange({ customPalette: nextPalette })}
+                        />
+                      )}
+                      {selectedPalette && (
+                        <div className="flex flex-wrap gap-1">
+                          {selectedPalette.colors.map((color) => (
+                            <span
+                              key={color}
+                              title={color}
+                              className="w-4 h-4 rounded-sm border border-gray-600"
+                              style={{ backgroundColor: color }}
+                            />
+                          ))}
+                        </div>
+                      )}
                     </div>
-                    
-                    {/* Shadow Control */}
+
+                    {/* Color Count Control */}
+                    {palette === ADAPTIVE_PALETTE && (
+                      <div className="space-y-3">
+                        <label className="block text-white font-semibold flex items-center">
+                          <FaPalette className="mr-2 text-primary" />
+                          Colors: {colorCount}
+                        </label>
+                        <input
+                          type="range"
+                          min={MIN_COLORS}
+                          max={MAX_COLORS}
+                          step="1"
+                          value={colorCount}
+                          onChange={(e) => onSettingsChange({ colorCount: parseInt(e.target.value) })}
+                          disabled={!isPixelated}
+                          className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring disabled:opacity-50 disabled:cursor-not-allowed"
+                        />
+                        <div className="flex justify-between text-sm text-gray-400">
+                          <span>Minimal ({MIN_COLORS})</span>
+                          <span>Rich ({MAX_COLORS})</span>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Dithering Control */}
                     <div className="space-y-3">
                       <label className="block text-white font-semibold flex items-center">
-                        <FaMagic className="mr-2 text-primary" />
-                        Shadow: {shadow}px
+                        <FaBraille className="mr-2 text-primary" />
+                        Dithering
                       </label>
-                      <input
-                        type="range"
-                        min="0"
-                        max="30"
-                        step="1"
-                        value={shadow}
-                        onChange={(e) => onShadowChange(parseInt(e.target.value))}
-                        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
-                      />
-                      <div className="flex justify-between text-sm text-gray-400">
-                        <span>None (0px)</span>
-                        <span>Heavy (30px)</span>
-                      </div>
+                      <select
+                        value={dither}
+                        onChange={(e) => onSettingsChange({ dither: e.target.value })}
+                        disabled={!isPixelated}
+                        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {DITHER_MODES.map((mode) => (
+                          <option key={mode.id} value={mode.id}>
+                            {mode.name}
+                          </option>
+                        ))}
+                      </select>
+                      {dither !== 'none' && (
+                        <>
+                          <label className="block text-sm text-gray-300">
+                            Strength: {Math.round(ditherStrength * 100)}%
+                          </label>
+                          <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.05"
+                            value={ditherStrength}
+                            onChange={(e) => onSettingsChange({ ditherStrength: parseFloat(e.target.value) })}
+                            disabled={!isPixelated}
+                            className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring disabled:opacity-50 disabled:cursor-not-allowed"
+                          />
+                          <div className="flex justify-between text-sm text-gray-400">
+                            <span>Subtle (0%)</span>
+                            <span>Full (100%)</span>
+                          </div>
+                        </>
+                      )}
                     </div>
+
+                    {/* Outline Control */}
+                    <OutlineControls
+                      settings={settings}
+                      palette={pixelPalette}
+                      onChange={onSettingsChange}
+                      disabled={!isPixelated}
+                    />
+
+                    {/* Color Adjustments */}
+                    <AdjustmentControls settings={settings} onChange={onSettingsChange} />
                     
                     {/* Download Button */}
                     <div className="pt-4">
                       <button
-                        onClick={onDownload}
+                        onClick={() => setIsExportOpen(true)}
                         disabled={!pixelatedImage || isProcessing}
                         className="w-full bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-4 rounded-lg font-semibold flex items-center justify-center space-x-3 transition-all duration-300 shadow-lg hover:shadow-xl"
                       >
                         <FaDownload className="text-xl" />
                         <span className="text-lg">{isProcessing ? 'Processing...' : 'Download Pixel Art'}</span>
                       </button>
+
+                      <div className="grid grid-cols-2 gap-3 mt-3">
+                        <button
+                          onClick={() => setIsTilesetOpen(true)}
+                          disabled={!pixelGrid || isProcessing}
+                          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg px-3 py-2 text-sm flex items-center justify-center space-x-2 transition-colors duration-200"
+                        >
+                          <FaTh />
+                          <span>Tileset</span>
+                        </button>
+                        <button
+                          onClick={() => setIsCraftOpen(true)}
+                          disabled={!pixelGrid || isProcessing}
+                          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg px-3 py-2 text-sm flex items-center justify-center space-x-2 transition-colors duration-200"
+                        >
+                          <FaBorderAll />
+                          <span>Craft Pattern</span>
+                        </button>
+                      </div>
                       
                       <div className="text-center text-sm text-gray-400 mt-3">
                         ✨ Pure pixel art conversion
@@ -323,6 +777,48 @@ const MainTool = ({
           </motion.div>
         )}
       </div>
+
+      {uploadedImage && (
+        <ExportDialog
+          isOpen={isExportOpen}
+          onClose={() => setIsExportOpen(false)}
+          onExport={onDownload}
+          pixelGrid={pixelGrid}
+          originalSize={resultSize || { width: uploadedImage.width, height: uploadedImage.height }}
+          fileNameValues={fileNameValues}
+          gridOptions={gridOptions}
+        />
+      )}
+
+      <TilesetDialog
+        isOpen={isTilesetOpen}
+        onClose={() => setIsTilesetOpen(false)}
+        pixelGrid={pixelGrid}
+        fileNameValues={fileNameValues}
+      />
+
+      <CraftPatternDialog
+        isOpen={isCraftOpen}
+        onClose={() => setIsCraftOpen(false)}
+        pixelGrid={pixelGrid}
+        fileNameValues={fileNameValues}
+      />
+
+      <CropDialog
+        isOpen={isCropOpen}
+        image={uploadedImage}
+        transform={settings.transform}
+        onApply={(transform) => onSettingsChange({ transform })}
+        onClose={() => setIsCropOpen(false)}
+      />
+
+      <PixelEditor
+        isOpen={isEditorOpen}
+        grid={pixelGrid}
+        palette={pixelPalette}
+        onApply={onApplyEdits}
+        onClose={() => setIsEditorOpen(false)}
+      />
     </section>
   );
 };
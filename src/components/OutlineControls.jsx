@@ -0,0 +1,87 @@
+import React from 'react';
+import { FaBorderStyle } from 'react-icons/fa';
+import { OUTLINE_MODES, darkestColor } from '../utils/outline';
+import { rgbToHex } from '../utils/colorSpace';
+
+// Outline mode, color from the active palette and edge sensitivity
+const OutlineControls = ({ settings, palette, onChange, disabled }) => {
+  const { outline, outlineColor, outlineSensitivity } = settings;
+  const colors = palette || [];
+  const autoColor = colors.length ? rgbToHex(darkestColor(colors)) : '#000000';
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-white font-semibold flex items-center">
+        <FaBorderStyle className="mr-2 text-primary" />
+        Outline
+      </label>
+      <select
+        value={outline}
+        onChange={(e) => onChange({ outline: e.target.value })}
+        disabled={disabled}
+        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {OUTLINE_MODES.map((mode) => (
+          <option key={mode.id} value={mode.id}>
+            {mode.name}
+          </option>
+        ))}
+      </select>
+
+      {outline !== 'none' && !disabled && (
+        <div className="space-y-3 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+          <div className="space-y-2">
+            <span className="block text-sm text-gray-300">Color</span>
+            <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Outline color">
+              <button
+                onClick={() => onChange({ outlineColor: null })}
+                className={`h-6 px-2 rounded border-2 text-xs text-white flex items-center space-x-1 ${outlineColor === null ? 'border-white' : 'border-gray-700'}`}
+                role="radio"
+                aria-checked={outlineColor === null}
+                title="Darkest palette color"
+              >
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: autoColor }} />
+                <span>Darkest</span>
+              </button>
+              {colors.map((rgb) => {
+                const hex = rgbToHex(rgb);
+                return (
+                  <button
+                    key={hex}
+                    onClick={() => onChange({ outlineColor: hex })}
+                    className={`w-6 h-6 rounded border-2 ${outlineColor === hex ? 'border-white' : 'border-gray-700'}`}
+                    style={{ backgroundColor: hex }}
+                    role="radio"
+                    aria-checked={outlineColor === hex}
+                    title={hex}
+                  />
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <span className="block text-sm text-gray-300">
+              Edge sensitivity: {Math.round(outlineSensitivity * 100)}%
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={outlineSensitivity}
+              onChange={(e) => onChange({ outlineSensitivity: parseFloat(e.target.value) })}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider transition-all duration-200 focus-ring"
+            />
+            <div className="flex justify-between text-xs text-gray-400">
+              <span>Transparency only</span>
+              <span>Every color edge</span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutlineControls;
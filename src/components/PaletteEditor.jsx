@@ -0,0 +1,174 @@
+import React, { useState, useRef } from 'react';
+import { FaPlus, FaTrash, FaLock, FaLockOpen, FaArrowUp, FaArrowDown, FaFileImport, FaFileExport } from 'react-icons/fa';
+import { PALETTE_FORMATS, parsePaletteFile, serializePalette } from '../utils/paletteFormats';
+import { downloadBlob } from '../utils/download';
+
+const PaletteEditor = ({ palette, onChange }) => {
+  const [exportFormat, setExportFormat] = useState('gpl');
+  const [error, setError] = useState(null);
+  const importInputRef = useRef(null);
+  const { name, swatches } = palette;
+
+  const updateSwatches = (nextSwatches) => {
+    onChange({ ...palette, swatches: nextSwatches });
+  };
+
+  const handleColorChange = (index, color) => {
+    updateSwatches(swatches.map((swatch, i) => (i === index ? { ...swatch, color: color.toUpperCase() } : swatch)));
+  };
+
+  const handleToggleLock = (index) => {
+    updateSwatches(swatches.map((swatch, i) => (i === index ? { ...swatch, locked: !swatch.locked } : swatch)));
+  };
+
+  const handleRemove = (index) => {
+    updateSwatches(swatches.filter((_, i) => i !== index));
+  };
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= swatches.length) return;
+    const nextSwatches = [...swatches];
+    [nextSwatches[index], nextSwatches[target]] = [nextSwatches[target], nextSwatches[index]];
+    updateSwatches(nextSwatches);
+  };
+
+  const handleAdd = () => {
+    const lastColor = swatches.length ? swatches[swatches.length - 1].color : '#FFFFFF';
+    updateSwatches([...swatches, { color: lastColor, locked: false }]);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await parsePaletteFile(file);
+      setError(null);
+      onChange({
+        name: imported.name,
+        swatches: imported.colors.map((color) => ({ color, locked: false })),
+      });
+    } catch (importError) {
+      console.error('Error importing palette:', importError);
+      setError(importError.message);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = serializePalette({ name, colors: swatches.map((swatch) => swatch.color) }, exportFormat);
+    const fileName = `${(name || 'palette').replace(/[^\w-]+/g, '-').toLowerCase()}.${exportFormat}`;
+    downloadBlob(blob, fileName);
+  };
+
+  return (
+    <div className="space-y-3 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => onChange({ ...palette, name: e.target.value })}
+        placeholder="Palette name"
+        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring text-sm"
+      />
+
+      <ul className="space-y-1 max-h-64 overflow-y-auto pr-1">
+        {swatches.map((swatch, index) => (
+          <li key={index} className="flex items-center space-x-2">
+            <input
+              type="color"
+              value={swatch.color.toLowerCase()}
+              onChange={(e) => handleColorChange(index, e.target.value)}
+              disabled={swatch.locked}
+              className="w-8 h-8 rounded cursor-pointer bg-transparent disabled:cursor-not-allowed"
+              aria-label={`Swatch ${index + 1} color`}
+            />
+            <span className="flex-1 font-mono text-sm text-gray-300">{swatch.color}</span>
+            <button
+              onClick={() => handleMove(index, -1)}
+              disabled={index === 0}
+              className="text-gray-400 hover:text-white disabled:opacity-30"
+              title="Move up"
+            >
+              <FaArrowUp />
+            </button>
+            <button
+              onClick={() => handleMove(index, 1)}
+              disabled={index === swatches.length - 1}
+              className="text-gray-400 hover:text-white disabled:opacity-30"
+              title="Move down"
+            >
+              <FaArrowDown />
+            </button>
+            <button
+              onClick={() => handleToggleLock(index)}
+              className={swatch.locked ? 'text-yellow-400' : 'text-gray-400 hover:text-white'}
+              title={swatch.locked ? 'Unlock color' : 'Lock color (prevents edits and removal)'}
+            >
+              {swatch.locked ? <FaLock /> : <FaLockOpen />}
+            </button>
+            <button
+              onClick={() => handleRemove(index)}
+              disabled={swatch.locked}
+              className="text-gray-400 hover:text-red-400 disabled:opacity-30"
+              title="Remove color"
+            >
+              <FaTrash />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <button
+        onClick={handleAdd}
+        className="w-full flex items-center justify-center space-x-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200"
+      >
+        <FaPlus />
+        <span>Add Color</span>
+      </button>
+
+      <div className="flex space-x-2">
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="flex-1 flex items-center justify-center space-x-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200"
+        >
+          <FaFileImport />
+          <span>Import</span>
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".gpl,.hex,.pal,.ase"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      <div className="flex space-x-2">
+        <select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          className="flex-1 bg-gray-700 text-white rounded-lg px-2 py-2 border border-gray-600 focus-ring text-sm"
+        >
+          {PALETTE_FORMATS.map((format) => (
+            <option key={format.id} value={format.id}>
+              {format.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={swatches.length === 0}
+          className="flex items-center space-x-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg px-3 py-2 text-sm transition-colors duration-200"
+        >
+          <FaFileExport />
+          <span>Export</span>
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default PaletteEditor;
@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  FaPencilAlt,
+  FaEraser,
+  FaFillDrip,
+  FaEyeDropper,
+  FaSlash,
+  FaRegSquare,
+  FaHandPaper,
+  FaSearchPlus,
+  FaSearchMinus,
+  FaExpand,
+  FaUndo,
+  FaRedo,
+  FaTimes,
+  FaCheck,
+  FaEdit,
+} from 'react-icons/fa';
+import { rgbToHex } from '../utils/colorSpace';
+import { createColorMatcher } from '../utils/quantize';
+import {
+  TRANSPARENT,
+  cloneImageData,
+  getPixel,
+  setPixel,
+  drawLine,
+  drawRect,
+  floodFill,
+} from '../utils/pixelEditing';
+
+const TOOLS = [
+  { id: 'pencil', name: 'Pencil', icon: FaPencilAlt, key: 'b' },
+  { id: 'eraser', name: 'Eraser', icon: FaEraser, key: 'e' },
+  { id: 'fill', name: 'Fill bucket', icon: FaFillDrip, key: 'g' },
+  { id: 'eyedropper', name: 'Eyedropper', icon: FaEyeDropper, key: 'i' },
+  { id: 'line', name: 'Line', icon: FaSlash, key: 'l' },
+  { id: 'rect', name: 'Rectangle', icon: FaRegSquare, key: 'r' },
+  { id: 'pan', name: 'Pan', icon: FaHandPaper, key: 'h' },
+];
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 64;
+const HISTORY_LIMIT = 100;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// Full-screen editor for the native-resolution pixel grid, limited to the active palette
+const PixelEditor = ({ isOpen, grid, palette, onApply, onClose }) => {
+  const [tool, setTool] = useState('pencil');
+  const [colorIndex, setColorIndex] = useState(0);
+  const [zoom, setZoom] = useState(8);
+  const zoomRef = useRef(8);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [history, setHistory] = useState({ undo: 0, redo: 0 });
+  const canvasRef = useRef(null);
+  const viewportRef = useRef(null);
+  const imageRef = useRef(null);
+  const undoRef = useRef([]);
+  const redoRef = useRef([]);
+  const strokeRef = useRef(null);
+
+  const colors = palette || [];
+  const color = tool === 'eraser' ? TRANSPARENT : colors[colorIndex] || TRANSPARENT;
+
+  const paint = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (canvas && imageRef.current) {
+      canvas.getContext('2d').putImageData(imageRef.current, 0, 0);
+    }
+  }, []);
+
+  const syncHistory = () => setHistory({ undo: undoRef.current.length, redo: redoRef.current.length });
+
+  // Fit the whole grid in the viewport, centred
+  const fitToView = useCallback(() => {
+    const viewport = viewportRef.current;
+    const image = imageRef.current;
+    if (!viewport || !image) return;
+    const nextZoom = clampZoom(
+      Math.floor(Math.min(viewport.clientWidth / image.width, viewport.clientHeight / image.height))
+    );
+    zoomRef.current = nextZoom;
+    setZoom(nextZoom);
+    setOffset({
+      x: Math.round((viewport.clientWidth - image.width * nextZoom) / 2),
+      y: Math.round((viewport.clientHeight - image.height * nextZoom) / 2),
+    });
+  }, []);
+
+  // Start every session from a fresh copy of the rendered grid
+  useEffect(() => {
+    if (!isOpen || !grid) return;
+    imageRef.current = cloneImageData(grid);
+    undoRef.current = [];
+    redoRef.current = [];
+    setHistory({ undo: 0, redo: 0 });
+    setColorIndex(0);
+    paint();
+    fitToView();
+  }, [isOpen, grid, paint, fitToView]);
+
+  const pushHistory = () => {
+    undoRef.current.push(new Uint8ClampedArray(imageRef.current.data));
+    if (undoRef.current.length > HISTORY_LIMIT) undoRef.current.shift();
+    redoRef.current = [];
+    syncHistory();
+  };
+
+  const stepHistory = useCallback((from, to) => {
+    if (!from.current.length) return;
+    to.current.push(new Uint8ClampedArray(imageRef.current.data));
+    imageRef.current.data.set(from.current.pop());
+    paint();
+    setHistory({ undo: undoRef.current.length, redo: redoRef.current.length });
+  }, [paint]);
+
+  const undo = useCallback(() => stepHistory(undoRef, redoRef), [stepHistory]);
+  const redo = useCallback(() => stepHistory(redoRef, undoRef), [stepHistory]);
+
+  // Zoom around a point in viewport coordinates, keeping the pixel under it in place
+  const zoomAt = useCallback((nextZoom, pointX, pointY) => {
+    const currentZoom = zoomRef.current;
+    const clamped = clampZoom(nextZoom(currentZoom));
+    zoomRef.current = clamped;
+    setZoom(clamped);
+    setOffset((current) => ({
+      x: Math.round(pointX - ((pointX - current.x) / currentZoom) * clamped),
+      y: Math.round(pointY - ((pointY - current.y) / currentZoom) * clamped),
+    }));
+  }, []);
+
+  const zoomStep = (direction) => {
+    const viewport = viewportRef.current;
+    zoomAt(
+      (current) => (direction > 0 ? Math.max(current + 1, Math.round(current * 1.5)) : Math.min(current - 1, Math.round(current / 1.5))),
+      viewport.clientWidth / 2,
+      viewport.clientHeight / 2
+    );
+  };
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!isOpen || !viewport) return undefined;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const bounds = viewport.getBoundingClientRect();
+      zoomAt(
+        (current) => (event.deltaY < 0 ? Math.max(current + 1, Math.round(current * 1.25)) : Math.min(current - 1, Math.round(current / 1.25))),
+        event.clientX - bounds.left,
+        event.clientY - bounds.top
+      );
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, [isOpen, zoomAt]);
+
+  // Capture phase, so the editor's shortcuts win over page-level ones while it is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.target.tagName === 'INPUT') return;
+      const key = event.key.toLowerCase();
+      if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (key === 'y' || event.shiftKey) redo();
+        else undo();
+      } else if (key === 'escape') {
+        onClose();
+      } else if (!event.ctrlKey && !event.metaKey && !event.altKey) {
+        const shortcut = TOOLS.find((option) => option.key === key);
+        if (shortcut) setTool(shortcut.id);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [isOpen, undo, redo, onClose]);
+
+  const cellAt = (event) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const image = imageRef.current;
+    return {
+      x: Math.floor(((event.clientX - bounds.left) / bounds.width) * image.width),
+      y: Math.floor(((event.clientY - bounds.top) / bounds.height) * image.height),
+    };
+  };
+
+  const pickColor = ({ x, y }) => {
+    const pixel = getPixel(imageRef.current, x, y);
+    if (!pixel) return;
+    if (pixel[3] < 128) {
+      setTool('eraser');
+      return;
+    }
+    // Snap to the palette, in case the pixel came from outside it
+    setColorIndex(createColorMatcher(colors)(pixel[0], pixel[1], pixel[2]));
+    setTool('pencil');
+  };
+
+  const handlePointerDown = (event) => {
+    if (!imageRef.current || event.button === 2) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    if (tool === 'pan' || event.button === 1) {
+      strokeRef.current = { mode: 'pan', startX: event.clientX, startY: event.clientY, origin: offset };
+      return;
+    }
+
+    const cell = cellAt(event);
+    const image = imageRef.current;
+    switch (tool) {
+      case 'eyedropper':
+        pickColor(cell);
+        return;
+      case 'fill':
+        pushHistory();
+        floodFill(image, cell.x, cell.y, color);
+        break;
+      case 'line':
+      case 'rect':
+        pushHistory();
+        strokeRef.current = { mode: tool, start: cell, base: new Uint8ClampedArray(image.data) };
+        setPixel(image, cell.x, cell.y, color);
+        break;
+      default:
+        pushHistory();
+        strokeRef.current = { mode: 'freehand', last: cell };
+        setPixel(image, cell.x, cell.y, color);
+    }
+    paint();
+  };
+
+  const handlePointerMove = (event) => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+
+    if (stroke.mode === 'pan') {
+      setOffset({
+        x: stroke.origin.x + event.clientX - stroke.startX,
+        y: stroke.origin.y + event.clientY - stroke.startY,
+      });
+      return;
+    }
+
+    const cell = cellAt(event);
+    const image = imageRef.current;
+    if (stroke.mode === 'freehand') {
+      drawLine(image, stroke.last.x, stroke.last.y, cell.x, cell.y, color);
+      stroke.last = cell;
+    } else {
+      // Shapes are redrawn from the pre-stroke pixels on every move
+      image.data.set(stroke.base);
+      const draw = stroke.mode === 'line' ? drawLine : drawRect;
+      draw(image, stroke.start.x, stroke.start.y, cell.x, cell.y, color);
+    }
+    paint();
+  };
+
+  const handlePointerUp = () => {
+    strokeRef.current = null;
+  };
+
+  const handleApply = () => {
+    onApply(cloneImageData(imageRef.current));
+    onClose();
+  };
+
+  if (!isOpen || !grid) {
+    return null;
+  }
+
+  const toolButtonClass = (active) =>
+    `p-2 rounded-lg transition-colors duration-200 ${active ? 'bg-primary text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div
+        className="w-full max-w-5xl bg-gray-800 rounded-2xl p-4 border border-gray-700 shadow-xl space-y-3"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="pixel-editor-title"
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="pixel-editor-title" className="text-xl font-semibold text-white flex items-center">
+            <FaEdit className="mr-3 text-primary" />
+            Edit Pixels
+            <span className="ml-3 text-sm font-normal text-gray-400">
+              {grid.width}×{grid.height}
+            </span>
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {TOOLS.map((option) => {
+            const Icon = option.icon;
+            return (
+              <button
+                key={option.id}
+                onClick={() => setTool(option.id)}
+                className={toolButtonClass(tool === option.id)}
+                title={`${option.name} (${option.key.toUpperCase()})`}
+                aria-label={option.name}
+                aria-pressed={tool === option.id}
+              >
+                <Icon />
+              </button>
+            );
+          })}
+
+          <span className="w-px h-6 bg-gray-600 mx-1" />
+
+          <button onClick={undo} disabled={!history.undo} className={`${toolButtonClass(false)} disabled:opacity-40`} title="Undo (Ctrl+Z)" aria-label="Undo">
+            <FaUndo />
+          </button>
+          <button onClick={redo} disabled={!history.redo} className={`${toolButtonClass(false)} disabled:opacity-40`} title="Redo (Ctrl+Shift+Z)" aria-label="Redo">
+            <FaRedo />
+          </button>
+
+          <span className="w-px h-6 bg-gray-600 mx-1" />
+
+          <button onClick={() => zoomStep(-1)} className={toolButtonClass(false)} title="Zoom out" aria-label="Zoom out">
+            <FaSearchMinus />
+          </button>
+          <span className="text-sm text-gray-300 w-12 text-center">{zoom}×</span>
+          <button onClick={() => zoomStep(1)} className={toolButtonClass(false)} title="Zoom in" aria-label="Zoom in">
+            <FaSearchPlus />
+          </button>
+          <button onClick={fitToView} className={toolButtonClass(false)} title="Fit to view" aria-label="Fit to view">
+            <FaExpand />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Palette">
+          {colors.map((rgb, index) => (
+            <button
+              key={index}
+              onClick={() => {
+                setColorIndex(index);
+                if (tool === 'eraser' || tool === 'eyedropper' || tool === 'pan') setTool('pencil');
+              }}
+              className={`w-6 h-6 rounded border-2 ${index === colorIndex && tool !== 'eraser' ? 'border-white' : 'border-gray-700'}`}
+              style={{ backgroundColor: rgbToHex(rgb) }}
+              title={rgbToHex(rgb)}
+              role="radio"
+              aria-checked={index === colorIndex}
+            />
+          ))}
+        </div>
+
+        <div
+          ref={viewportRef}
+          className={`relative h-[60vh] overflow-hidden rounded-lg bg-gray-900 border border-gray-700 touch-none select-none ${tool === 'pan' ? 'cursor-grab' : 'cursor-crosshair'}`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onContextMenu={(e) => e.preventDefault()}
+        >
+          <canvas
+            ref={canvasRef}
+            width={grid.width}
+            height={grid.height}
+            className="absolute top-0 left-0 shadow-lg"
+            style={{
+              width: grid.width * zoom,
+              height: grid.height * zoom,
+              transform: `translate(${offset.x}px, ${offset.y}px)`,
+              imageRendering: 'pixelated',
+            }}
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-gray-400">
+            Scroll to zoom, middle-drag or the hand tool to pan. Changing converter settings re-renders the image and discards edits.
+          </p>
+          <div className="flex space-x-2">
+            <button onClick={onClose} className="bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-4 py-2 text-sm transition-colors duration-200">
+              Cancel
+            </button>
+            <button
+              onClick={handleApply}
+              className="bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg px-4 py-2 text-sm font-semibold flex items-center space-x-2 transition-all duration-300"
+            >
+              <FaCheck />
+              <span>Apply edits</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PixelEditor;
@@ -0,0 +1,50 @@
+import React, { useEffect, useRef } from 'react';
+import { drawGridLines } from '../utils/gridLines';
+
+// Draws the pixel grid on a canvas laid over the result preview, at screen resolution.
+// The grid spans the whole preview, so cells are simply the preview size over columns and rows.
+const PixelGridOverlay = ({ columns, rows, options }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      return undefined;
+    }
+
+    const draw = () => {
+      const ratio = window.devicePixelRatio || 1;
+      const { clientWidth, clientHeight } = canvas;
+      canvas.width = Math.round(clientWidth * ratio);
+      canvas.height = Math.round(clientHeight * ratio);
+
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      drawGridLines(ctx, {
+        columns,
+        rows,
+        cellWidth: canvas.width / columns,
+        cellHeight: canvas.height / rows,
+        color: options.color,
+        opacity: options.opacity,
+        majorEvery: options.majorEvery,
+        lineWidth: Math.max(1, Math.round(ratio)),
+      });
+    };
+
+    draw();
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [columns, rows, options]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0 w-full h-full pointer-events-none rounded-lg"
+      aria-hidden="true"
+    />
+  );
+};
+
+export default PixelGridOverlay;
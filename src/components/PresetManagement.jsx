@@ -0,0 +1,247 @@
+import React, { useEffect, useState, useRef } from 'react';
+import { PRESETS_SLUG, PRESETS_UPDATED_EVENT, presetSettingsFrom, normalizePresets, createPresetId } from '../utils/presets';
+import { readRecipeFile, recipeFromHash, sanitizeSettings } from '../utils/recipe';
+
+const inputClassName = 'w-full border border-gray-300 rounded-lg px-4 py-2 bg-white text-gray-900 placeholder-gray-400 caret-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Settings are edited as JSON text and only parsed on save
+const toDraft = (preset) => ({ ...preset, settingsText: JSON.stringify(preset.settings, null, 2) });
+
+const PresetManagement = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [link, setLink] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadPresets = async () => {
+    try {
+      const { loadContent } = await import('../supabaseService');
+      const data = await loadContent(PRESETS_SLUG, true, []);
+      setDrafts(normalizePresets(data).map(toDraft));
+    } catch (e) {
+      console.error('Error loading presets:', e);
+      setError('Failed to load presets.');
+    }
+  };
+
+  useEffect(() => {
+    loadPresets();
+  }, []);
+
+  const addPreset = (name, settings) => {
+    setDrafts((previous) => [...previous, toDraft({ id: createPresetId(), name, description: '', settings: presetSettingsFrom(settings, name) })]);
+    setSuccess(`Added "${name}". Save to publish it.`);
+    setError(null);
+  };
+
+  const addFromFile = async (file) => {
+    try {
+      const { settings } = await readRecipeFile(file);
+      addPreset(file.name.replace(/(-recipe)?\.json$/i, ''), settings);
+    } catch (e) {
+      setError(e.message);
+      setSuccess(null);
+    }
+  };
+
+  const addFromLink = () => {
+    try {
+      const recipe = recipeFromHash(new URL(link.trim()).hash);
+      if (!recipe) throw new Error('That link has no recipe in it.');
+      addPreset('New preset', recipe.settings);
+      setLink('');
+    } catch (e) {
+      setError(e instanceof TypeError ? 'That is not a valid link.' : e.message);
+      setSuccess(null);
+    }
+  };
+
+  const updateDraft = (id, changes) => {
+    setDrafts((previous) => previous.map((draft) => (draft.id === id ? { ...draft, ...changes } : draft)));
+  };
+
+  const moveDraft = (index, offset) => {
+    setDrafts((previous) => {
+      const next = previous.slice();
+      const [draft] = next.splice(index, 1);
+      next.splice(index + offset, 0, draft);
+      return next;
+    });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setSuccess(null);
+    setError(null);
+    try {
+      const presets = drafts.map(({ settingsText, ...preset }) => {
+        let parsed;
+        try {
+          parsed = JSON.parse(settingsText);
+        } catch (parseError) {
+          throw new Error(`Settings of "${preset.name}" are not valid JSON.`);
+        }
+        const { settings, ignored } = sanitizeSettings(parsed || {});
+        if (ignored.length) {
+          throw new Error(`"${preset.name}" has unknown or invalid settings: ${ignored.join(', ')}`);
+        }
+        if (!preset.name.trim()) {
+          throw new Error('Every preset needs a name.');
+        }
+        return { ...preset, name: preset.name.trim(), settings };
+      });
+
+      const { saveContent } = await import('../supabaseService');
+      const result = await saveContent(PRESETS_SLUG, presets);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to save presets.');
+      }
+      window.dispatchEvent(new CustomEvent(PRESETS_UPDATED_EVENT, { detail: presets }));
+      setDrafts(presets.map(toDraft));
+      setSuccess('Presets published!');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Preset Management</h2>
+        <p className="text-gray-600">
+          Publish presets that every visitor sees in the converter. Tune a look in the converter, then
+          save its recipe (.json) or copy its recipe link and add it here.
+        </p>
+      </div>
+
+      {success && (
+        <div className="mb-4 p-4 bg-green-100 border border-green-400 text-green-700 rounded">
+          {success}
+        </div>
+      )}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-6">
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Add from recipe file
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              if (e.target.files[0]) addFromFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+          <div className="flex flex-1 min-w-[16rem] gap-2">
+            <input
+              type="url"
+              value={link}
+              onChange={(e) => setLink(e.target.value)}
+              placeholder="Paste a recipe link"
+              className={inputClassName}
+            />
+            <button
+              onClick={addFromLink}
+              disabled={!link.trim()}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors whitespace-nowrap"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        {drafts.length === 0 && <p className="text-gray-500">No site presets yet.</p>}
+
+        {drafts.map((draft, index) => (
+          <div key={draft.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <div className="grid md:grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => updateDraft(draft.id, { name: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+                <input
+                  type="text"
+                  value={draft.description || ''}
+                  onChange={(e) => updateDraft(draft.id, { description: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <details>
+              <summary className="text-sm text-gray-600 cursor-pointer">Settings (JSON)</summary>
+              <textarea
+                value={draft.settingsText}
+                onChange={(e) => updateDraft(draft.id, { settingsText: e.target.value })}
+                className={`${inputClassName} mt-2 h-48 font-mono text-xs`}
+              />
+            </details>
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => moveDraft(index, -1)}
+                disabled={index === 0}
+                className="px-3 py-1 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+                aria-label="Move up"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => moveDraft(index, 1)}
+                disabled={index === drafts.length - 1}
+                className="px-3 py-1 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+                aria-label="Move down"
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => setDrafts((previous) => previous.filter((item) => item.id !== draft.id))}
+                className="px-3 py-1 text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={loadPresets}
+            className="px-4 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Reset
+          </button>
+          <button
+            onClick={save}
+            disabled={saving}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {saving ? 'Saving...' : 'Publish Presets'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PresetManagement;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { FaStar, FaSave, FaTrash } from 'react-icons/fa';
+import usePresets from '../hooks/usePresets';
+
+const PresetButton = ({ preset, onApply }) => (
+  <button
+    onClick={() => onApply(preset)}
+    title={preset.description || preset.name}
+    className="w-full text-left bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-3 py-2 text-sm truncate transition-colors duration-200"
+  >
+    {preset.name}
+  </button>
+);
+
+// Ready-made looks, site presets published by admins and the user's own saved presets
+const PresetsPanel = ({ settings, onApply }) => {
+  const { builtIn, site, user, savePreset, deletePreset, error } = usePresets();
+  const [name, setName] = useState('');
+
+  const handleSave = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    await savePreset(trimmed, settings);
+    setName('');
+  };
+
+  const sections = [
+    { id: 'builtin', title: 'Built-in', presets: builtIn },
+    { id: 'site', title: 'Featured', presets: site },
+  ].filter((section) => section.presets.length);
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-white font-semibold flex items-center">
+        <FaStar className="mr-2 text-primary" />
+        Presets
+      </label>
+
+      <div className="max-h-64 overflow-y-auto space-y-3 pr-1">
+        {sections.map((section) => (
+          <div key={section.id} className="space-y-2">
+            <p className="text-xs uppercase tracking-wide text-gray-400">{section.title}</p>
+            <div className="grid grid-cols-2 gap-2">
+              {section.presets.map((preset) => (
+                <PresetButton key={preset.id} preset={preset} onApply={onApply} />
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {user.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-wide text-gray-400">My presets</p>
+            {user.map((preset) => (
+              <div key={preset.id} className="flex items-center space-x-2">
+                <PresetButton preset={preset} onApply={onApply} />
+                <button
+                  onClick={() => deletePreset(preset.id)}
+                  className="text-gray-400 hover:text-red-400 p-2 transition-colors duration-200"
+                  aria-label={`Delete preset ${preset.name}`}
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleSave();
+        }}
+        className="flex space-x-2"
+      >
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name the current look"
+          maxLength={40}
+          className="flex-1 min-w-0 bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg px-3 py-2 text-sm flex items-center space-x-2 transition-colors duration-200"
+        >
+          <FaSave />
+          <span>Save</span>
+        </button>
+      </form>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default PresetsPanel;
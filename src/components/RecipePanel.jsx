@@ -0,0 +1,82 @@
+import React, { useState, useRef } from 'react';
+import { FaShareAlt, FaLink, FaFileDownload, FaFileUpload } from 'react-icons/fa';
+import { recipeToHash, recipeToBlob, readRecipeFile } from '../utils/recipe';
+import { downloadBlob } from '../utils/download';
+
+const NOTICE_COLORS = {
+  success: 'text-green-400',
+  warning: 'text-yellow-400',
+  error: 'text-red-400',
+};
+
+const buttonClassName = 'bg-gray-700 hover:bg-gray-600 text-white rounded-lg px-2 py-2 text-sm flex items-center justify-center space-x-2 transition-colors duration-200';
+
+// Share the current settings as a link or a .json recipe, or load someone else's
+const RecipePanel = ({ settings, onLoadRecipe, notice, fileName }) => {
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+  const shown = message || notice;
+
+  const handleCopyLink = async () => {
+    // replaceState leaves the history alone and does not fire hashchange, so the recipe is not reloaded
+    window.history.replaceState(window.history.state, '', `#${recipeToHash(settings)}`);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage({ type: 'success', text: 'Link copied. Anyone opening it gets these settings.' });
+    } catch (clipboardError) {
+      console.error('Error copying recipe link:', clipboardError);
+      setMessage({ type: 'warning', text: 'The link is in the address bar; copy it from there.' });
+    }
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const recipe = await readRecipeFile(file);
+      onLoadRecipe(recipe, file.name);
+      setMessage(null);
+    } catch (importError) {
+      console.error('Error importing recipe:', importError);
+      setMessage({ type: 'error', text: importError.message });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-white font-semibold flex items-center">
+        <FaShareAlt className="mr-2 text-primary" />
+        Recipe
+      </label>
+      <div className="grid grid-cols-3 gap-2">
+        <button onClick={handleCopyLink} className={buttonClassName} title="Copy a link with these settings">
+          <FaLink />
+          <span>Link</span>
+        </button>
+        <button
+          onClick={() => downloadBlob(recipeToBlob(settings), `${fileName}-recipe.json`)}
+          className={buttonClassName}
+          title="Download these settings as a .json recipe"
+        >
+          <FaFileDownload />
+          <span>Save</span>
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClassName} title="Load a .json recipe">
+          <FaFileUpload />
+          <span>Load</span>
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={(e) => {
+          if (e.target.files[0]) handleImport(e.target.files[0]);
+          e.target.value = '';
+        }}
+        className="hidden"
+      />
+      {shown && <p className={`text-xs ${NOTICE_COLORS[shown.type]}`}>{shown.text}</p>}
+    </div>
+  );
+};
+
+export default RecipePanel;
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+import { FaHistory, FaUndo, FaRedo } from 'react-icons/fa';
+
+// Past settings states, newest last; clicking an entry restores it
+const SettingsTimeline = ({ entries, index, onJump, onUndo, onRedo, canUndo, canRedo }) => {
+  const listRef = useRef(null);
+  const activeRef = useRef(null);
+
+  // Keep the current entry visible by scrolling the list only, never the page
+  useEffect(() => {
+    const list = listRef.current;
+    const item = activeRef.current;
+    if (!list || !item) return;
+    if (item.offsetTop < list.scrollTop) {
+      list.scrollTop = item.offsetTop;
+    } else if (item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = item.offsetTop + item.offsetHeight - list.clientHeight;
+    }
+  }, [index, entries.length]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="block text-white font-semibold flex items-center">
+          <FaHistory className="mr-2 text-primary" />
+          History
+        </label>
+        <div className="flex space-x-2">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white rounded-lg px-3 py-1 text-sm transition-colors duration-200"
+            title="Undo (Ctrl+Z)"
+            aria-label="Undo settings change"
+          >
+            <FaUndo />
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white rounded-lg px-3 py-1 text-sm transition-colors duration-200"
+            title="Redo (Ctrl+Shift+Z)"
+            aria-label="Redo settings change"
+          >
+            <FaRedo />
+          </button>
+        </div>
+      </div>
+
+      <ol ref={listRef} className="relative max-h-40 overflow-y-auto bg-gray-900/50 rounded-lg border border-gray-700 divide-y divide-gray-800 text-sm">
+        {entries.map((entry, entryIndex) => {
+          const isActive = entryIndex === index;
+          const isUndone = entryIndex > index;
+          return (
+            <li key={`${entryIndex}-${entry.time}`} ref={isActive ? activeRef : null}>
+              <button
+                onClick={() => onJump(entryIndex)}
+                className={`w-full text-left px-3 py-1.5 flex items-center justify-between transition-colors duration-200 ${
+                  isActive ? 'bg-primary/20 text-white' : isUndone ? 'text-gray-500 hover:bg-gray-800' : 'text-gray-300 hover:bg-gray-800'
+                }`}
+                aria-current={isActive ? 'step' : undefined}
+              >
+                <span className="truncate">{entry.label}</span>
+                <span className="ml-2 text-xs text-gray-500 shrink-0">
+                  {new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default SettingsTimeline;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { FaLock, FaLockOpen } from 'react-icons/fa';
+import { TARGET_FITS, MAX_TARGET_SIZE, computeGridLayout } from '../utils/pixelPipeline';
+
+const SIZE_PRESETS = [
+  [16, 16],
+  [32, 32],
+  [64, 64],
+  [128, 128],
+  [16, 24],
+];
+
+const clampSize = (value) => Math.min(MAX_TARGET_SIZE, Math.max(1, parseInt(value) || 1));
+
+// Output width/height in sprite pixels; sourceSize is the cropped source the grid is fitted to
+const TargetSizeControls = ({ settings, sourceSize, onChange }) => {
+  const { targetWidth, targetHeight, targetLock, targetFit } = settings;
+  const aspect = sourceSize ? sourceSize.height / sourceSize.width : 1;
+  const layout = sourceSize ? computeGridLayout(sourceSize.width, sourceSize.height, settings) : null;
+
+  const handleWidthChange = (value) => {
+    const width = clampSize(value);
+    onChange(targetLock ? { targetWidth: width, targetHeight: clampSize(Math.round(width * aspect)) } : { targetWidth: width });
+  };
+
+  const handleHeightChange = (value) => {
+    const height = clampSize(value);
+    onChange(targetLock ? { targetHeight: height, targetWidth: clampSize(Math.round(height / aspect)) } : { targetHeight: height });
+  };
+
+  const handleLockToggle = () => {
+    onChange(
+      targetLock
+        ? { targetLock: false }
+        : { targetLock: true, targetHeight: clampSize(Math.round(targetWidth * aspect)) }
+    );
+  };
+
+  const inputClass = 'w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring';
+
+  return (
+    <div className="space-y-3 bg-gray-900/50 rounded-lg p-3 border border-gray-700">
+      <div className="flex items-end space-x-2">
+        <label className="flex-1 text-sm text-gray-300 space-y-1">
+          <span className="block">Width</span>
+          <input
+            type="number"
+            min="1"
+            max={MAX_TARGET_SIZE}
+            value={targetWidth}
+            onChange={(e) => handleWidthChange(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <button
+          onClick={handleLockToggle}
+          className={`mb-1 p-2 rounded-lg transition-colors duration-200 ${targetLock ? 'bg-primary text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}
+          title={targetLock ? 'Aspect ratio locked to the source' : 'Aspect ratio unlocked'}
+          aria-label="Lock aspect ratio"
+          aria-pressed={targetLock}
+        >
+          {targetLock ? <FaLock /> : <FaLockOpen />}
+        </button>
+        <label className="flex-1 text-sm text-gray-300 space-y-1">
+          <span className="block">Height</span>
+          <input
+            type="number"
+            min="1"
+            max={MAX_TARGET_SIZE}
+            value={targetHeight}
+            onChange={(e) => handleHeightChange(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        {SIZE_PRESETS.map(([width, height]) => (
+          <button
+            key={`${width}x${height}`}
+            onClick={() => onChange({ targetWidth: width, targetHeight: height, targetLock: false })}
+            className={`px-2 py-1 rounded text-xs transition-colors duration-200 ${
+              targetWidth === width && targetHeight === height ? 'bg-primary text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+            }`}
+          >
+            {width}×{height}
+          </button>
+        ))}
+      </div>
+
+      <select
+        value={targetFit}
+        onChange={(e) => onChange({ targetFit: e.target.value })}
+        className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+        aria-label="Fit mode"
+      >
+        {TARGET_FITS.map((fit) => (
+          <option key={fit.id} value={fit.id}>
+            {fit.name}
+          </option>
+        ))}
+      </select>
+
+      {layout && (
+        <p className="text-xs text-gray-400">
+          Block size {layout.block}px · preview {layout.outputWidth}×{layout.outputHeight}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TargetSizeControls;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { FaTh, FaTimes, FaDownload } from 'react-icons/fa';
+import {
+  TILESET_FORMATS,
+  sliceTiles,
+  packTileset,
+  tiledTilesetXml,
+  tiledMapJson,
+  jsonAtlas,
+} from '../utils/tileset';
+import { EXPORT_SCALES, scaleImageData, gridToCanvas, canvasToBlob } from '../utils/exportImage';
+import { formatFileName, loadFileNameTemplate } from '../utils/fileNames';
+import { createZip } from '../utils/batch';
+import { downloadBlob } from '../utils/download';
+
+const MAX_TILE_SIZE = 256;
+const MAX_GAP = 16;
+
+const clampInt = (value, min, max) => Math.min(max, Math.max(min, parseInt(value) || min));
+
+// The number in a field, or null while its text is not a whole number in range
+const parseField = (text, min, max) => {
+  const value = Number(text);
+  return text.trim() !== '' && Number.isInteger(value) && value >= min && value <= max ? value : null;
+};
+
+// Slices the pixel grid into tiles and downloads a packed sheet plus engine metadata as a ZIP.
+// Number fields keep what is typed and are only clamped on blur, so clearing a field to type
+// a new size does not slice the grid into 1×1 tiles on the way
+const TilesetDialog = ({ isOpen, onClose, pixelGrid, fileNameValues }) => {
+  const [tileWidthText, setTileWidthText] = useState('16');
+  const [tileHeightText, setTileHeightText] = useState('16');
+  const [dedupe, setDedupe] = useState(true);
+  const [skipEmpty, setSkipEmpty] = useState(true);
+  const [marginText, setMarginText] = useState('0');
+  const [spacingText, setSpacingText] = useState('0');
+  const [columnsText, setColumnsText] = useState('');
+  const [scale, setScale] = useState(1);
+  const [format, setFormat] = useState('tiled');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const previewRef = useRef(null);
+
+  const tileWidth = parseField(tileWidthText, 1, MAX_TILE_SIZE);
+  const tileHeight = parseField(tileHeightText, 1, MAX_TILE_SIZE);
+  const margin = parseField(marginText, 0, MAX_GAP);
+  const spacing = parseField(spacingText, 0, MAX_GAP);
+  // Empty means automatic; more columns than tiles are capped when packing
+  const columns = columnsText === '' ? 'auto' : parseField(columnsText, 1, Infinity);
+  const isValid = tileWidth !== null && tileHeight !== null && margin !== null && spacing !== null && columns !== null;
+
+  const slice = useMemo(
+    () => (isOpen && pixelGrid && tileWidth && tileHeight
+      ? sliceTiles(pixelGrid, tileWidth, tileHeight, { dedupe, skipEmpty })
+      : null),
+    [isOpen, pixelGrid, tileWidth, tileHeight, dedupe, skipEmpty]
+  );
+
+  // Tiles are scaled before packing so margin and spacing stay in output pixels
+  const packed = useMemo(() => {
+    if (!slice || !slice.tiles.length || !isValid) {
+      return null;
+    }
+    const tiles = scale > 1 ? slice.tiles.map((tile) => scaleImageData(tile, scale)) : slice.tiles;
+    const perRow = Math.min(tiles.length, columns === 'auto' ? Math.ceil(Math.sqrt(tiles.length)) : columns);
+    return { ...packTileset(tiles, { columns: perRow, margin, spacing }), perRow };
+  }, [slice, isValid, scale, columns, margin, spacing]);
+
+  useEffect(() => {
+    if (!packed || !previewRef.current) {
+      return;
+    }
+    const canvas = previewRef.current;
+    canvas.width = packed.sheet.width;
+    canvas.height = packed.sheet.height;
+    canvas.getContext('2d').putImageData(packed.sheet, 0, 0);
+  }, [packed]);
+
+  if (!isOpen || !pixelGrid) {
+    return null;
+  }
+
+  const cellCount = slice ? slice.columns * slice.rows : 1;
+  const placedCount = slice ? slice.map.filter((index) => index >= 0).length : 0;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const { sheet, positions, perRow } = packed;
+      const zipName = formatFileName(
+        loadFileNameTemplate(),
+        {
+          ...fileNameValues,
+          width: sheet.width,
+          height: sheet.height,
+          scale: `${scale}x`,
+          date: new Date().toISOString().slice(0, 10),
+        },
+        'zip'
+      );
+      const base = `${zipName.replace(/\.zip$/, '')}-tiles`;
+      const image = `${base}.png`;
+      const layout = {
+        name: base,
+        image,
+        sheet,
+        positions,
+        tileWidth: tileWidth * scale,
+        tileHeight: tileHeight * scale,
+        cells: slice.map,
+        columns: slice.columns,
+        rows: slice.rows,
+      };
+
+      const files = [{ path: image, blob: await canvasToBlob(gridToCanvas(sheet)) }];
+      if (format === 'tiled') {
+        const tilesetXml = tiledTilesetXml({ ...layout, tileCount: positions.length, columns: perRow, margin, spacing });
+        files.push(
+          { path: `${base}.tsx`, blob: new Blob([tilesetXml], { type: 'application/xml' }) },
+          {
+            path: `${base}.tmj`,
+            blob: new Blob([tiledMapJson({ ...layout, tilesetSource: `${base}.tsx` })], { type: 'application/json' }),
+          }
+        );
+      } else {
+        files.push({ path: `${base}.json`, blob: new Blob([jsonAtlas(layout)], { type: 'application/json' }) });
+      }
+
+      downloadBlob(await createZip(files), `${base}.zip`);
+      onClose();
+    } catch (exportError) {
+      console.error('Error exporting tileset:', exportError);
+      setError(exportError.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const numberField = (label, text, setText, min, max) => (
+    <label className="block text-sm text-gray-300 space-y-1">
+      <span className="block">{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => setText(String(clampInt(text, min, max)))}
+        aria-invalid={parseField(text, min, max) === null}
+        className={`w-full bg-gray-700 text-white rounded-lg px-3 py-2 border focus-ring ${
+          parseField(text, min, max) === null ? 'border-red-500' : 'border-gray-600'
+        }`}
+      />
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-2xl max-h-full overflow-y-auto bg-gray-800 rounded-2xl p-6 border border-gray-700 shadow-xl space-y-5"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="tileset-dialog-title"
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="tileset-dialog-title" className="text-xl font-semibold text-white flex items-center">
+            <FaTh className="mr-3 text-primary" />
+            Export Tileset
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-5">
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              {numberField('Tile width', tileWidthText, setTileWidthText, 1, MAX_TILE_SIZE)}
+              {numberField('Tile height', tileHeightText, setTileHeightText, 1, MAX_TILE_SIZE)}
+              {numberField('Margin', marginText, setMarginText, 0, MAX_GAP)}
+              {numberField('Spacing', spacingText, setSpacingText, 0, MAX_GAP)}
+            </div>
+
+            <label className="block text-sm text-gray-300 space-y-1">
+              <span className="block">Tiles per row</span>
+              <input
+                type="number"
+                min="1"
+                value={columnsText}
+                placeholder="Auto"
+                onChange={(e) => setColumnsText(e.target.value)}
+                onBlur={() => setColumnsText(columnsText.trim() === '' ? '' : String(clampInt(columnsText, 1, cellCount)))}
+                aria-invalid={columns === null}
+                className={`w-full bg-gray-700 text-white rounded-lg px-3 py-2 border focus-ring ${
+                  columns === null ? 'border-red-500' : 'border-gray-600'
+                }`}
+              />
+            </label>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+              <input type="checkbox" checked={dedupe} onChange={(e) => setDedupe(e.target.checked)} className="rounded" />
+              <span>Merge identical tiles</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+              <input type="checkbox" checked={skipEmpty} onChange={(e) => setSkipEmpty(e.target.checked)} className="rounded" />
+              <span>Leave out empty (transparent) tiles</span>
+            </label>
+
+            <select
+              value={scale}
+              onChange={(e) => setScale(parseInt(e.target.value))}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+              aria-label="Tile scale"
+            >
+              {EXPORT_SCALES.map((option) => (
+                <option key={option} value={option}>
+                  {option === 1 ? 'Native pixels' : `${option}× pixels`}
+                  {tileWidth && tileHeight ? ` (${tileWidth * option}×${tileHeight * option} tiles)` : ''}
+                </option>
+              ))}
+            </select>
+
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2 border border-gray-600 focus-ring"
+              aria-label="Metadata format"
+            >
+              {TILESET_FORMATS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            <div className="bg-gray-900 rounded-lg p-2 border border-gray-700 flex items-center justify-center min-h-[10rem]">
+              {packed && (
+                <canvas
+                  ref={previewRef}
+                  className="max-w-full max-h-72 w-full object-contain"
+                  style={{ imageRendering: 'pixelated' }}
+                />
+              )}
+              {!packed && (
+                <span className="text-sm text-gray-400">
+                  {isValid
+                    ? 'Every tile is empty'
+                    : `Tile sizes go from 1 to ${MAX_TILE_SIZE}, margin and spacing from 0 to ${MAX_GAP}`}
+                </span>
+              )}
+            </div>
+            {slice && (
+              <p className="text-sm text-gray-400">
+                {slice.columns}×{slice.rows} map · {placedCount} placed · {slice.tiles.length} in sheet
+                {packed && ` · ${packed.sheet.width}×${packed.sheet.height}px`}
+              </p>
+            )}
+            {slice && (pixelGrid.width % tileWidth !== 0 || pixelGrid.height % tileHeight !== 0) && (
+              <p className="text-xs text-yellow-400">
+                {pixelGrid.width}×{pixelGrid.height} is not a multiple of the tile size; edge tiles are padded with transparency.
+              </p>
+            )}
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          onClick={handleExport}
+          disabled={isExporting || !packed}
+          className="w-full bg-gradient-to-r from-primary to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg font-semibold flex items-center justify-center space-x-3 transition-all duration-300 shadow-lg"
+        >
+          <FaDownload />
+          <span>{isExporting ? 'Exporting...' : 'Download tileset ZIP'}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TilesetDialog;
@@ -0,0 +1,100 @@
+// useAnimationRenderer.js - Render all frames of an animation, in a worker when possible
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { renderAnimationFrames } from '../utils/animation';
+import { supportsWorker } from './usePixelArtWorker';
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * @param {Array<{image: ImageBitmap, delay: number}>|null} frames - Decoded frames
+ * @returns {{result: object|null, renderedSettings: object|null, progress: object|null, error: string|null, render: Function}}
+ *   progress is {done, total} while a render runs
+ */
+const useAnimationRenderer = (frames) => {
+  const [result, setResult] = useState(null);
+  const [renderedSettings, setRenderedSettings] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const latestJobRef = useRef(0);
+  const jobSettingsRef = useRef(null);
+
+  // New frames get a fresh worker holding its own copy of them
+  useEffect(() => {
+    latestJobRef.current += 1;
+    setResult(null);
+    setRenderedSettings(null);
+    setProgress(null);
+    setError(null);
+    if (!frames || !supportsWorker()) {
+      return undefined;
+    }
+
+    const worker = new Worker(new URL('../workers/animation.worker.js', import.meta.url));
+    worker.onmessage = (event) => {
+      const { type, jobId } = event.data;
+      if (jobId !== latestJobRef.current) return;
+      if (type === 'progress') {
+        setProgress({ done: event.data.done, total: event.data.total });
+      } else if (type === 'result') {
+        setResult(event.data.result);
+        setRenderedSettings(jobSettingsRef.current);
+        setProgress(null);
+      } else if (type === 'error') {
+        console.error('Error rendering animation:', event.data.message);
+        setError(event.data.message);
+        setProgress(null);
+      }
+    };
+    worker.postMessage({ type: 'frames', frames });
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, [frames]);
+
+  /**
+   * Render every frame with the given settings; an older render still running is ignored.
+   * @param {object} settings - Converter settings
+   */
+  const render = useCallback((settings) => {
+    if (!frames) {
+      return;
+    }
+    const jobId = latestJobRef.current + 1;
+    latestJobRef.current = jobId;
+    jobSettingsRef.current = settings;
+    setError(null);
+    setProgress({ done: 0, total: frames.length });
+
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'render', jobId, settings });
+      return;
+    }
+
+    // Let the progress bar paint before the main thread is blocked
+    setTimeout(() => {
+      if (jobId !== latestJobRef.current) return;
+      try {
+        setResult(renderAnimationFrames(frames, settings, createDomCanvas));
+        setRenderedSettings(settings);
+      } catch (renderError) {
+        console.error('Error rendering animation:', renderError);
+        setError(renderError.message);
+      } finally {
+        setProgress(null);
+      }
+    }, 0);
+  }, [frames]);
+
+  return { result, renderedSettings, progress, error, render };
+};
+
+export default useAnimationRenderer;
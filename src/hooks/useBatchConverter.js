@@ -0,0 +1,236 @@
+// useBatchConverter.js - Queue of images converted one at a time with fixed settings
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { renderPixelArt, withoutImageSettings } from '../utils/pixelPipeline';
+import { supportsWorker } from './usePixelArtWorker';
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export const loadImageElement = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not decode image'));
+  };
+  img.src = url;
+});
+
+// Jobs go to a worker of their own, one at a time, so the editor's
+// render worker never drops them in favour of newer settings
+const createRenderer = () => {
+  if (!supportsWorker()) {
+    return {
+      render: async (file, settings) => {
+        const image = await loadImageElement(file);
+        const { canvas, ...meta } = renderPixelArt(image, settings, createDomCanvas);
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        return { blob, ...meta };
+      },
+      dispose: () => {},
+    };
+  }
+
+  const worker = new Worker(new URL('../workers/pixelArt.worker.js', import.meta.url));
+  const pending = new Map();
+  let lastJobId = 0;
+  let disposed = false;
+
+  worker.onmessage = (event) => {
+    const { type, jobId, message } = event.data;
+    const job = pending.get(jobId);
+    if (!job) return;
+    pending.delete(jobId);
+    if (type === 'result') {
+      job.resolve(event.data);
+    } else {
+      job.reject(new Error(message));
+    }
+  };
+
+  return {
+    render: async (file, settings) => {
+      const bitmap = await createImageBitmap(file);
+      // clear() or unmount may have terminated the worker while the file decoded;
+      // posting to it now would leave the job waiting forever
+      if (disposed) {
+        bitmap.close();
+        throw new Error('Batch was cleared');
+      }
+      const jobId = ++lastJobId;
+      return new Promise((resolve, reject) => {
+        pending.set(jobId, { resolve, reject });
+        worker.postMessage({ type: 'source', bitmap }, [bitmap]);
+        worker.postMessage({ type: 'render', jobId, settings });
+      });
+    },
+    dispose: () => {
+      disposed = true;
+      worker.terminate();
+      pending.forEach((job) => job.reject(new Error('Batch was cleared')));
+      pending.clear();
+    },
+  };
+};
+
+let lastItemId = 0;
+
+/**
+ * Batch queue. Items are rendered in order with the settings they were queued with.
+ * @returns {object} items, progress counts and queue actions
+ */
+const useBatchConverter = () => {
+  const [items, setItems] = useState([]);
+  const itemsRef = useRef([]);
+  const rendererRef = useRef(null);
+  const isRunningRef = useRef(false);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const updateItems = useCallback((update) => {
+    itemsRef.current = update(itemsRef.current);
+    setItems(itemsRef.current);
+  }, []);
+
+  const patchItem = useCallback((id, patch) => {
+    updateItems((current) => current.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, [updateItems]);
+
+  const releaseItem = (item) => {
+    if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+  };
+
+  // Work through queued items until none are left; items added meanwhile are picked up too
+  const runQueue = useCallback(async () => {
+    if (isRunningRef.current) {
+      return;
+    }
+    isRunningRef.current = true;
+    setIsRunning(true);
+
+    let next = itemsRef.current.find((item) => item.status === 'queued');
+    while (next) {
+      const { id, file, settings } = next;
+      if (!rendererRef.current) rendererRef.current = createRenderer();
+      patchItem(id, { status: 'processing' });
+      try {
+        const { blob, grid, palette, cell } = await rendererRef.current.render(file, settings);
+        const current = itemsRef.current.find((item) => item.id === id);
+        if (current && current.settings !== settings) {
+          // Settings changed mid-render; convert it again with the new ones
+          patchItem(id, { status: 'queued' });
+        } else if (current) {
+          const previewSize = grid
+            ? { width: Math.round(grid.width * cell.width), height: Math.round(grid.height * cell.height) }
+            : null;
+          patchItem(id, { status: 'done', previewBlob: blob, previewUrl: URL.createObjectURL(blob), previewSize, grid, cell, palette });
+        }
+      } catch (error) {
+        if (itemsRef.current.some((item) => item.id === id)) {
+          console.error(`Error converting ${file.name}:`, error);
+          patchItem(id, { status: 'error', error: error.message });
+        }
+      }
+      next = itemsRef.current.find((item) => item.status === 'queued');
+    }
+
+    isRunningRef.current = false;
+    setIsRunning(false);
+  }, [patchItem]);
+
+  /**
+   * Queue files for conversion with a snapshot of the current settings.
+   * The editor image's crop and extracted colors are left out.
+   * @param {Array<{file: File, folder: string}>} files - From collectDroppedFiles / collectInputFiles
+   * @param {object} editorSettings - Converter settings
+   */
+  const addFiles = useCallback((files, editorSettings) => {
+    if (!files.length) {
+      return;
+    }
+    const settings = withoutImageSettings(editorSettings);
+    updateItems((current) => [
+      ...current,
+      ...files.map(({ file, folder }) => ({
+        id: ++lastItemId,
+        file,
+        folder,
+        settings,
+        status: 'queued',
+        previewUrl: null,
+        previewBlob: null,
+        previewSize: null,
+        grid: null,
+        cell: null,
+        error: null,
+      })),
+    ]);
+    runQueue();
+  }, [updateItems, runQueue]);
+
+  /**
+   * Convert every item again with new settings, less the editor image's own ones.
+   * @param {object} editorSettings - Converter settings
+   */
+  const rerun = useCallback((editorSettings) => {
+    const settings = withoutImageSettings(editorSettings);
+    updateItems((current) => current.map((item) => {
+      if (item.status === 'processing') {
+        return { ...item, settings };
+      }
+      releaseItem(item);
+      return { ...item, settings, status: 'queued', previewUrl: null, previewBlob: null, previewSize: null, grid: null, cell: null, error: null };
+    }));
+    runQueue();
+  }, [updateItems, runQueue]);
+
+  const removeItem = useCallback((id) => {
+    updateItems((current) => current.filter((item) => {
+      if (item.id === id) releaseItem(item);
+      return item.id !== id;
+    }));
+  }, [updateItems]);
+
+  // Stop the worker too, so an in-flight render does not land on an empty queue
+  const clear = useCallback(() => {
+    updateItems((current) => {
+      current.forEach(releaseItem);
+      return [];
+    });
+    if (rendererRef.current) {
+      rendererRef.current.dispose();
+      rendererRef.current = null;
+    }
+  }, [updateItems]);
+
+  useEffect(() => () => {
+    itemsRef.current.forEach(releaseItem);
+    if (rendererRef.current) {
+      rendererRef.current.dispose();
+      rendererRef.current = null;
+    }
+  }, []);
+
+  const doneCount = items.filter((item) => item.status === 'done').length;
+  const errorCount = items.filter((item) => item.status === 'error').length;
+
+  return {
+    items,
+    isRunning,
+    doneCount,
+    errorCount,
+    addFiles,
+    rerun,
+    removeItem,
+    clear,
+  };
+};
+
+export default useBatchConverter;
@@ -0,0 +1,153 @@
+// usePixelArtWorker.js - Hook that renders pixel art in a Web Worker, with a main-thread fallback
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { renderPixelArt } from '../utils/pixelPipeline';
+
+export const supportsWorker = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined';
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const usePixelArtWorker = () => {
+  const [result, setResult] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const sourceRef = useRef(null);
+  const latestJobRef = useRef(0);
+  const urlRef = useRef(null);
+
+  const replaceResult = useCallback((nextResult) => {
+    if (urlRef.current) URL.revokeObjectURL(urlRef.current);
+    urlRef.current = nextResult ? nextResult.url : null;
+    setResult(nextResult);
+  }, []);
+
+  // Publish a finished render, dropping anything older than the latest request
+  const publishResult = useCallback((jobId, blob, { grid, palette, cell }) => {
+    if (jobId !== latestJobRef.current) {
+      return;
+    }
+    replaceResult({ url: URL.createObjectURL(blob), grid, palette, cell });
+    setIsGenerating(false);
+  }, [replaceResult]);
+
+  useEffect(() => {
+    if (!supportsWorker()) {
+      console.warn('OffscreenCanvas workers not supported, rendering on the main thread');
+      return undefined;
+    }
+
+    const worker = new Worker(new URL('../workers/pixelArt.worker.js', import.meta.url));
+    worker.onmessage = (event) => {
+      const { type, jobId, blob, message } = event.data;
+      if (type === 'result') {
+        publishResult(jobId, blob, event.data);
+      } else if (type === 'error') {
+        console.error('Error in image processing:', message);
+        if (jobId === latestJobRef.current) {
+          setIsGenerating(false);
+          setError(`Rendering failed: ${message}`);
+        }
+      }
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, [publishResult]);
+
+  // Release the last preview URL when the hook goes away
+  useEffect(() => () => {
+    if (urlRef.current) URL.revokeObjectURL(urlRef.current);
+  }, []);
+
+  /**
+   * Hand a new source image to the renderer. Any in-flight job is discarded.
+   * An image that cannot be decoded sets error instead of rejecting.
+   * @param {HTMLImageElement|null} image - Loaded image element
+   */
+  const setSource = useCallback(async (image) => {
+    latestJobRef.current += 1;
+    sourceRef.current = image;
+    replaceResult(null);
+    setIsGenerating(false);
+    setError(null);
+
+    const worker = workerRef.current;
+    if (!worker) {
+      return;
+    }
+
+    // Clear the old source first so no job renders it while the bitmap decodes;
+    // the worker holds render requests until the new source arrives
+    worker.postMessage({ type: 'source', bitmap: null });
+    if (image) {
+      let bitmap;
+      try {
+        bitmap = await createImageBitmap(image);
+      } catch (decodeError) {
+        console.error('Error decoding image:', decodeError);
+        // Without a source, render() is a no-op, so nothing waits on a bitmap that never comes
+        if (sourceRef.current === image) {
+          sourceRef.current = null;
+          setError('This image could not be decoded. Try another file or format.');
+        }
+        return;
+      }
+      if (sourceRef.current === image) {
+        worker.postMessage({ type: 'source', bitmap }, [bitmap]);
+      } else {
+        bitmap.close();
+      }
+    }
+  }, [replaceResult]);
+
+  /**
+   * Render the current source with the given settings. Superseded jobs are dropped.
+   * @param {object} settings - Converter settings
+   */
+  const render = useCallback((settings) => {
+    const image = sourceRef.current;
+    if (!image) {
+      return;
+    }
+
+    const jobId = latestJobRef.current + 1;
+    latestJobRef.current = jobId;
+    setIsGenerating(true);
+    setError(null);
+
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'render', jobId, settings });
+      return;
+    }
+
+    try {
+      const { canvas, ...meta } = renderPixelArt(image, settings, createDomCanvas);
+      canvas.toBlob((blob) => publishResult(jobId, blob, meta), 'image/png');
+    } catch (renderError) {
+      console.error('Error in image processing:', renderError);
+      setIsGenerating(false);
+      setError(`Rendering failed: ${renderError.message}`);
+    }
+  }, [publishResult]);
+
+  return {
+    result,
+    isGenerating,
+    error,
+    setSource,
+    render,
+  };
+};
+
+export default usePixelArtWorker;
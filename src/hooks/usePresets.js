@@ -0,0 +1,93 @@
+// usePresets.js - Built-in, site-wide (admin) and user presets
+import { useState, useEffect, useCallback } from 'react';
+import { idbGetAll, idbPut, idbDelete, PRESETS_STORE } from '../utils/idb';
+import {
+  BUILT_IN_PRESETS,
+  PRESETS_SLUG,
+  PRESETS_UPDATED_EVENT,
+  presetSettingsFrom,
+  normalizePresets,
+  createPresetId,
+} from '../utils/presets';
+
+/**
+ * @returns {{
+ *   builtIn: object[],
+ *   site: object[],
+ *   user: object[],
+ *   savePreset: (name: string, settings: object) => Promise<void>,
+ *   deletePreset: (id: string) => Promise<void>,
+ *   error: string|null
+ * }}
+ */
+const usePresets = () => {
+  const [site, setSite] = useState([]);
+  const [user, setUser] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSitePresets = async () => {
+      try {
+        const { loadContent } = await import('../supabaseService');
+        const data = await loadContent(PRESETS_SLUG, true, []);
+        if (!cancelled) setSite(normalizePresets(data));
+      } catch (loadError) {
+        console.error('Error loading site presets:', loadError);
+      }
+    };
+
+    const loadUserPresets = async () => {
+      try {
+        const stored = await idbGetAll(PRESETS_STORE);
+        if (!cancelled) setUser(normalizePresets(stored).sort((a, b) => a.createdAt - b.createdAt));
+      } catch (loadError) {
+        console.error('Error loading saved presets:', loadError);
+        if (!cancelled) setError('Saved presets are unavailable in this browser');
+      }
+    };
+
+    loadSitePresets();
+    loadUserPresets();
+
+    // The admin panel announces new site presets so an open tab picks them up
+    const handleUpdate = (event) => setSite(normalizePresets(event.detail));
+    window.addEventListener(PRESETS_UPDATED_EVENT, handleUpdate);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(PRESETS_UPDATED_EVENT, handleUpdate);
+    };
+  }, []);
+
+  const savePreset = useCallback(async (name, settings) => {
+    const preset = {
+      id: createPresetId(),
+      name,
+      settings: presetSettingsFrom(settings, name),
+      createdAt: Date.now(),
+    };
+    try {
+      await idbPut(PRESETS_STORE, preset);
+      setUser((previous) => [...previous, preset]);
+      setError(null);
+    } catch (saveError) {
+      console.error('Error saving preset:', saveError);
+      setError('Could not save the preset');
+    }
+  }, []);
+
+  const deletePreset = useCallback(async (id) => {
+    try {
+      await idbDelete(PRESETS_STORE, id);
+      setUser((previous) => previous.filter((preset) => preset.id !== id));
+    } catch (deleteError) {
+      console.error('Error deleting preset:', deleteError);
+      setError('Could not delete the preset');
+    }
+  }, []);
+
+  return { builtIn: BUILT_IN_PRESETS, site, user, savePreset, deletePreset, error };
+};
+
+export default usePresets;
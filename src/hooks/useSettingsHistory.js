@@ -0,0 +1,161 @@
+// useSettingsHistory.js - Converter settings with an undo/redo timeline
+import { useState, useCallback } from 'react';
+import { getPalette } from '../utils/palettes';
+import { DITHER_MODES } from '../utils/dithering';
+import { SAMPLING_MODES } from '../utils/downsample';
+import { BACKGROUND_MODES } from '../utils/background';
+
+// Oldest entries are dropped beyond this
+const HISTORY_LIMIT = 50;
+
+// Consecutive changes to the same controls within this window (a slider drag) share one entry
+const MERGE_WINDOW_MS = 800;
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const SETTING_LABELS = {
+  sizeMode: (value) => (value === 'target' ? 'Target size mode' : 'Block size mode'),
+  targetWidth: (value) => `Width ${value}`,
+  targetHeight: (value) => `Height ${value}`,
+  targetLock: (value) => (value ? 'Aspect locked' : 'Aspect unlocked'),
+  targetFit: (value) => `Fit: ${capitalize(value)}`,
+  pixelSize: (value) => `Pixel size ${value === 0 ? 'off' : `${value}px`}`,
+  brightness: (value) => `Brightness ${Math.round(value * 100)}%`,
+  contrast: (value) => `Contrast ${Math.round(value * 100)}%`,
+  shadow: (value) => `Drop shadow ${value}px`,
+  innerShadow: (value) => `Inner shadow ${value}px`,
+  saturation: (value) => `Saturation ${Math.round(value * 100)}%`,
+  hue: (value) => `Hue shift ${value}°`,
+  gamma: (value) => `Gamma ${value.toFixed(2)}`,
+  posterize: (value) => (value < 2 ? 'Posterize off' : `Posterize ${value} levels`),
+  levels: () => 'Levels',
+  curve: () => 'Tone curve',
+  sampling: (value) => `Sampling: ${SAMPLING_MODES.find((mode) => mode.id === value)?.name || value}`,
+  colorCount: (value) => `${value} colors`,
+  palette: (value) => `Palette: ${getPalette(value)?.name || capitalize(value)}`,
+  dither: (value) => `Dither: ${DITHER_MODES.find((mode) => mode.id === value)?.name || value}`,
+  ditherStrength: (value) => `Dither strength ${Math.round(value * 100)}%`,
+  background: (value) => `Background: ${BACKGROUND_MODES.find((mode) => mode.id === value)?.name || value}`,
+  backgroundColor: (value) => `Background key ${value || 'auto'}`,
+  backgroundTolerance: (value) => `Background tolerance ${Math.round(value * 100)}%`,
+  alphaThreshold: (value) => `Alpha threshold ${value}`,
+  outline: (value) => `Outline: ${capitalize(value)}`,
+  outlineColor: (value) => `Outline color ${value || 'darkest'}`,
+  outlineSensitivity: (value) => `Outline sensitivity ${Math.round(value * 100)}%`,
+  customPalette: () => 'Custom palette edited',
+  extractCount: (value) => `Extract ${value} colors`,
+  extractedPalette: () => 'Palette extracted',
+  transform: () => 'Crop / rotate',
+};
+
+const describeChange = (keys, settings) => {
+  const labels = keys.map((key) => (SETTING_LABELS[key] ? SETTING_LABELS[key](settings[key]) : key));
+  return labels.join(', ');
+};
+
+const sameKeys = (a, b) => a.length === b.length && a.every((key) => b.includes(key));
+
+const createEntry = (settings, keys) => ({ settings, keys, label: describeChange(keys, settings), time: Date.now() });
+
+/**
+ * Settings state that records every change in a linear history.
+ * @param {object} initialSettings
+ * @returns {{
+ *   settings: object,
+ *   updateSettings: (changes: object) => void,
+ *   loadSettings: (settings: object, label: string) => void,
+ *   undo: () => void,
+ *   redo: () => void,
+ *   jumpTo: (index: number) => void,
+ *   entries: Array<{settings: object, keys: string[], label: string, time: number}>,
+ *   index: number,
+ *   canUndo: boolean,
+ *   canRedo: boolean
+ * }}
+ */
+const useSettingsHistory = (initialSettings) => {
+  // merging holds the keys of the last recorded change while a drag may still extend it
+  const [history, setHistory] = useState(() => ({
+    entries: [{ ...createEntry(initialSettings, []), label: 'Start' }],
+    index: 0,
+    merging: null,
+  }));
+
+  const updateSettings = useCallback((changes) => {
+    setHistory((previous) => {
+      const current = previous.entries[previous.index];
+      const keys = Object.keys(changes).filter((key) => current.settings[key] !== changes[key]);
+      if (!keys.length) {
+        return previous;
+      }
+
+      const settings = { ...current.settings, ...changes };
+      const entry = createEntry(settings, keys);
+
+      // Fold a continuing slider drag into the entry it started
+      const { merging } = previous;
+      if (merging && sameKeys(merging, keys) && entry.time - current.time < MERGE_WINDOW_MS) {
+        const entries = previous.entries.slice();
+        entries[previous.index] = entry;
+        return { entries, index: previous.index, merging: keys };
+      }
+
+      // A change after an undo discards the redo branch
+      const entries = previous.entries
+        .slice(0, previous.index + 1)
+        .concat(entry)
+        .slice(-HISTORY_LIMIT);
+      return { entries, index: entries.length - 1, merging: keys };
+    });
+  }, []);
+
+  // Replace the whole settings object as one entry with its own label, e.g. when a recipe is loaded
+  const loadSettings = useCallback((settings, label) => {
+    setHistory((previous) => {
+      const current = previous.entries[previous.index];
+      const keys = Object.keys(settings).filter((key) => current.settings[key] !== settings[key]);
+      if (!keys.length) {
+        return previous;
+      }
+      const entries = previous.entries
+        .slice(0, previous.index + 1)
+        .concat({ ...createEntry(settings, keys), label })
+        .slice(-HISTORY_LIMIT);
+      return { entries, index: entries.length - 1, merging: null };
+    });
+  }, []);
+
+  const jumpTo = useCallback((index) => {
+    setHistory((previous) => {
+      if (index < 0 || index >= previous.entries.length || index === previous.index) {
+        return previous;
+      }
+      return { ...previous, index, merging: null };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((previous) => (previous.index > 0 ? { ...previous, index: previous.index - 1, merging: null } : previous));
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((previous) =>
+      previous.index < previous.entries.length - 1 ? { ...previous, index: previous.index + 1, merging: null } : previous
+    );
+  }, []);
+
+  return {
+    settings: history.entries[history.index].settings,
+    updateSettings,
+    loadSettings,
+    undo,
+    redo,
+    jumpTo,
+    entries: history.entries,
+    index: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+  };
+};
+
+export default useSettingsHistory;
@@ -0,0 +1,54 @@
+// useTransformedSource.js - Preview of the source after crop, rotation and flips
+import { useState, useEffect } from 'react';
+import { isIdentityTransform, transformSource } from '../utils/transform';
+import { canvasToBlob } from '../utils/exportImage';
+
+const createDomCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * The uploaded image as the pipeline sees it, for the before/after viewer and sizes.
+ * @param {HTMLImageElement|null} image
+ * @param {object} transform - See DEFAULT_TRANSFORM
+ * @returns {{src: string, width: number, height: number}|null}
+ */
+const useTransformedSource = (image, transform) => {
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!image) {
+      setPreview(null);
+      return undefined;
+    }
+    if (isIdentityTransform(transform)) {
+      setPreview({ src: image.src, width: image.width, height: image.height, isOwned: false });
+      return undefined;
+    }
+
+    let isCurrent = true;
+    const canvas = transformSource(image, transform, createDomCanvas);
+    canvasToBlob(canvas)
+      .then((blob) => {
+        if (isCurrent) {
+          setPreview({ src: URL.createObjectURL(blob), width: canvas.width, height: canvas.height, isOwned: true });
+        }
+      })
+      .catch((error) => console.error('Error rendering transformed source:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [image, transform]);
+
+  // Object URLs made here are released once replaced
+  useEffect(() => () => {
+    if (preview?.isOwned) URL.revokeObjectURL(preview.src);
+  }, [preview]);
+
+  return preview;
+};
+
+export default useTransformedSource;
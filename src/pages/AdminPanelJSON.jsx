@@ -10,6 +10,7 @@ import FooterManagementUpgraded from '../components/FooterManagementUpgraded';
 import ContentManagement from '../components/ContentManagement';
 import ErrorBoundary from '../components/ErrorBoundary';
 import HeroManagement from '../components/HeroManagement';
+import PresetManagement from '../components/PresetManagement';
 
 const AdminPanelJSON = () => {
   const navigate = useNavigate();
@@ -93,6 +94,14 @@ const AdminPanelJSON = () => {
                     >
                       Hero Management
                     </button>
+                    <button
+                      onClick={() => setActiveSection('preset-management')}
+                      className={`w-full text-left px-4 py-2 rounded-lg text-sm transition duration-200 ${
+                        activeSection === 'preset-management' ? 'bg-blue-500 text-white' : 'text-gray-300 hover:bg-gray-700 hover:text-white'
+                      }`}
+                    >
+                      Preset Management
+                    </button>
                   </div>
                 )}
               </div>
@@ -142,6 +151,12 @@ const AdminPanelJSON = () => {
             </ErrorBoundary>
           )}
 
+          {activeSection === 'preset-management' && (
+            <ErrorBoundary>
+              <PresetManagement />
+            </ErrorBoundary>
+          )}
+
           {activeSection === 'general' && (
             <div className="max-w-2xl">
               <h2 className="text-3xl font-bold text-gray-900 mb-8">General Settings</h2>
@@ -155,6 +170,7 @@ const AdminPanelJSON = () => {
                   <li>• <strong>Website Title Management:</strong> Update website title</li>
                   <li>• <strong>Footer Management:</strong> Manage social media links in footer</li>
                   <li>• <strong>Content Management:</strong> Create and manage content displayed above FAQ</li>
+                  <li>• <strong>Preset Management:</strong> Publish converter presets for every visitor</li>
                 </ul>
                 <div className="mt-4 p-4 bg-white rounded-lg">
                   <h4 className="font-semibold text-gray-800 mb-2">Backend Information</h4>
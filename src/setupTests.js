@@ -3,3 +3,36 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom lacks TextEncoder/TextDecoder, which react-router (and the zip/recipe utils) use
+import { TextEncoder, TextDecoder } from 'util';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// framer-motion's whileInView needs an IntersectionObserver; nothing scrolls in jsdom
+global.IntersectionObserver = class IntersectionObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() {
+    return [];
+  }
+};
+
+// jsdom has no canvas, so no ImageData; the pixel utils only need its shape
+if (typeof global.ImageData === 'undefined') {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, width, height) {
+      if (typeof dataOrWidth === 'number') {
+        this.width = dataOrWidth;
+        this.height = width;
+        this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+      } else {
+        this.data = dataOrWidth;
+        this.width = width;
+        this.height = height === undefined ? dataOrWidth.length / 4 / width : height;
+      }
+    }
+  };
+}
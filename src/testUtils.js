@@ -0,0 +1,41 @@
+// testUtils.js - Fixtures and helpers shared by the unit tests
+
+/**
+ * Build an image from rows of [r, g, b, a] pixels.
+ * @param {Array<Array<number[]>>} rows
+ * @returns {ImageData}
+ */
+export function imageFromRows(rows) {
+  return new ImageData(Uint8ClampedArray.from(rows.flat(2)), rows[0].length, rows.length);
+}
+
+/**
+ * Read a blob back; jsdom's Blob has no text() or arrayBuffer(), so this goes through FileReader.
+ * @param {Blob} blob
+ * @param {'readAsText'|'readAsArrayBuffer'} method
+ * @returns {Promise<string|ArrayBuffer>}
+ */
+export function readBlob(blob, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+  });
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readBytes(blob) {
+  return new Uint8Array(await readBlob(blob, 'readAsArrayBuffer'));
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function readText(blob) {
+  return readBlob(blob, 'readAsText');
+}
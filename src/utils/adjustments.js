@@ -0,0 +1,335 @@
+// adjustments.js - Deterministic per-pixel tone and color adjustments on ImageData
+
+export const DEFAULT_LEVELS = { inputBlack: 0, inputWhite: 255, outputBlack: 0, outputWhite: 255 };
+
+// Straight line through the full range; a curve equal to this is skipped
+export const IDENTITY_CURVE = [[0, 0], [255, 255]];
+
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 1,
+  contrast: 1,
+  saturation: 1,
+  hue: 0,
+  gamma: 1,
+  levels: DEFAULT_LEVELS,
+  curve: IDENTITY_CURVE,
+  posterize: 0,
+  shadow: 0,
+  innerShadow: 0,
+};
+
+// Shadow opacity, as the rgba(0, 0, 0, 0.6) of the original CSS drop shadow
+const SHADOW_STRENGTH = 0.6;
+
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+
+/**
+ * Whether the settings would leave every pixel untouched.
+ * @param {object} settings - Any object holding the DEFAULT_ADJUSTMENTS keys
+ * @returns {boolean}
+ */
+export function isIdentityAdjustment(settings) {
+  const { levels, curve } = { ...DEFAULT_ADJUSTMENTS, ...settings };
+  return Object.keys(DEFAULT_ADJUSTMENTS).every((key) =>
+    key === 'levels'
+      ? Object.keys(DEFAULT_LEVELS).every((name) => levels[name] === DEFAULT_LEVELS[name])
+      : key === 'curve'
+        ? isIdentityCurve(curve)
+        : settings[key] === undefined || settings[key] === DEFAULT_ADJUSTMENTS[key]
+  );
+}
+
+/**
+ * Whether a curve maps every value to itself.
+ * @param {Array<[number, number]>|null} curve
+ * @returns {boolean}
+ */
+export function isIdentityCurve(curve) {
+  return !curve || curve.every(([x, y]) => x === y);
+}
+
+/**
+ * Sample a curve at every input value with monotone cubic interpolation
+ * (Fritsch–Carlson), so the curve never overshoots between its points.
+ * @param {Array<[number, number]>} points - Control points in 0-255, any order
+ * @returns {Uint8Array} 256 output values
+ */
+export function curveToLut(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  const lut = new Uint8Array(256);
+  const n = sorted.length;
+  if (n === 0) {
+    for (let v = 0; v < 256; v++) lut[v] = v;
+    return lut;
+  }
+  if (n === 1) {
+    return lut.fill(clampByte(sorted[0][1]));
+  }
+
+  const xs = sorted.map(([x]) => x);
+  const ys = sorted.map(([, y]) => y);
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push((ys[i + 1] - ys[i]) / Math.max(1e-6, xs[i + 1] - xs[i]));
+  }
+  const tangents = [slopes[0]];
+  for (let i = 1; i < n - 1; i++) {
+    tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+  }
+  tangents.push(slopes[n - 2]);
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const length = a * a + b * b;
+    if (length > 9) {
+      const scale = 3 / Math.sqrt(length);
+      tangents[i] = scale * a * slopes[i];
+      tangents[i + 1] = scale * b * slopes[i];
+    }
+  }
+
+  let segment = 0;
+  for (let v = 0; v < 256; v++) {
+    if (v <= xs[0]) {
+      lut[v] = clampByte(ys[0]);
+      continue;
+    }
+    if (v >= xs[n - 1]) {
+      lut[v] = clampByte(ys[n - 1]);
+      continue;
+    }
+    while (v > xs[segment + 1]) segment++;
+    const span = Math.max(1e-6, xs[segment + 1] - xs[segment]);
+    const t = (v - xs[segment]) / span;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    lut[v] = clampByte(
+      (2 * t3 - 3 * t2 + 1) * ys[segment] +
+      (t3 - 2 * t2 + t) * span * tangents[segment] +
+      (-2 * t3 + 3 * t2) * ys[segment + 1] +
+      (t3 - t2) * span * tangents[segment + 1]
+    );
+  }
+  return lut;
+}
+
+// Row-major 3x3 matrices from the Filter Effects spec, so saturate/hue-rotate match CSS
+const saturationMatrix = (s) => [
+  0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+];
+
+const hueMatrix = (degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.14, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+  ];
+};
+
+const multiply = (a, b) => {
+  const result = new Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      result[row * 3 + col] =
+        a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+    }
+  }
+  return result;
+};
+
+// Brightness and contrast, as the CSS filters of the same name
+const buildToneLut = (brightness, contrast) => {
+  const lut = new Uint8Array(256);
+  for (let v = 0; v < 256; v++) {
+    const bright = Math.min(255, v * brightness);
+    lut[v] = clampByte((bright / 255 - 0.5) * contrast * 255 + 127.5);
+  }
+  return lut;
+};
+
+// Levels (with gamma as the midtone), then the curve, then posterize
+const buildLevelsLut = (levels, gamma, curve, posterize) => {
+  const { inputBlack, inputWhite, outputBlack, outputWhite } = { ...DEFAULT_LEVELS, ...levels };
+  const range = Math.max(1, inputWhite - inputBlack);
+  const curveLut = isIdentityCurve(curve) ? null : curveToLut(curve);
+  const steps = posterize >= 2 ? posterize - 1 : 0;
+  const lut = new Uint8Array(256);
+  for (let v = 0; v < 256; v++) {
+    const normalized = Math.min(1, Math.max(0, (v - inputBlack) / range));
+    let value = clampByte(outputBlack + (outputWhite - outputBlack) * Math.pow(normalized, 1 / gamma));
+    if (curveLut) value = curveLut[value];
+    if (steps) value = Math.round(Math.round((value / 255) * steps) * (255 / steps));
+    lut[v] = value;
+  }
+  return lut;
+};
+
+/**
+ * Apply brightness, contrast, saturation, hue, levels, gamma, curve and posterize, in place.
+ * Every stage rounds to whole bytes, so the same input gives the same output in any
+ * browser, in a worker and in node.
+ * @param {ImageData} imageData
+ * @param {object} settings - Any object holding the DEFAULT_ADJUSTMENTS keys
+ */
+export function applyAdjustments(imageData, settings) {
+  const { brightness, contrast, saturation, hue, gamma, levels, curve, posterize } = {
+    ...DEFAULT_ADJUSTMENTS,
+    ...settings,
+  };
+  const { data } = imageData;
+  const tone = buildToneLut(brightness, contrast);
+  const finish = buildLevelsLut(levels, gamma, curve, posterize);
+  const useMatrix = saturation !== 1 || hue % 360 !== 0;
+  const m = useMatrix ? multiply(hueMatrix(hue), saturationMatrix(saturation)) : null;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = tone[data[i]];
+    let g = tone[data[i + 1]];
+    let b = tone[data[i + 2]];
+    if (m) {
+      const nr = m[0] * r + m[1] * g + m[2] * b;
+      const ng = m[3] * r + m[4] * g + m[5] * b;
+      const nb = m[6] * r + m[7] * g + m[8] * b;
+      r = clampByte(nr);
+      g = clampByte(ng);
+      b = clampByte(nb);
+    }
+    data[i] = finish[r];
+    data[i + 1] = finish[g];
+    data[i + 2] = finish[b];
+  }
+}
+
+// Widths of three box blurs that together approximate a Gaussian of the given sigma
+const boxSizes = (sigma) => {
+  const ideal = Math.sqrt((12 * sigma * sigma) / 3 + 1);
+  let lower = Math.floor(ideal);
+  if (lower % 2 === 0) lower--;
+  const upper = lower + 2;
+  const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+  return [0, 1, 2].map((pass) => (pass < lowerCount ? lower : upper));
+};
+
+// One box blur pass along rows (step 1) or columns (step width); outside the image counts as 0
+const boxBlurPass = (source, target, width, height, radius, horizontal) => {
+  const lines = horizontal ? height : width;
+  const length = horizontal ? width : height;
+  const step = horizontal ? 1 : width;
+  const size = radius * 2 + 1;
+  for (let line = 0; line < lines; line++) {
+    const start = horizontal ? line * width : line;
+    let sum = 0;
+    for (let k = 0; k <= Math.min(radius, length - 1); k++) sum += source[start + k * step];
+    for (let k = 0; k < length; k++) {
+      target[start + k * step] = sum / size;
+      const enter = k + radius + 1;
+      const leave = k - radius;
+      if (enter < length) sum += source[start + enter * step];
+      if (leave >= 0) sum -= source[start + leave * step];
+    }
+  }
+};
+
+/**
+ * Draw a soft black drop shadow behind the image, in place, like the CSS
+ * drop-shadow(0 0 radius rgba(0, 0, 0, 0.6)) it replaces. The shadow spreads into
+ * transparent areas, so it belongs on the displayed result rather than the pixel grid.
+ * @param {ImageData} imageData
+ * @param {number} radius - Blur radius in pixels of this image (the Gaussian sigma is half of it)
+ */
+export function applyDropShadow(imageData, radius) {
+  if (!(radius > 0)) {
+    return;
+  }
+
+  const { width, height, data } = imageData;
+  const blurred = new Float32Array(width * height);
+  const scratch = new Float32Array(width * height);
+  for (let p = 0; p < blurred.length; p++) blurred[p] = data[p * 4 + 3] / 255;
+
+  boxSizes(radius / 2).forEach((size) => {
+    const boxRadius = (size - 1) / 2;
+    if (boxRadius < 1) return;
+    boxBlurPass(blurred, scratch, width, height, boxRadius, true);
+    boxBlurPass(scratch, blurred, width, height, boxRadius, false);
+  });
+
+  // Composite the image over its shadow
+  for (let p = 0, i = 0; p < blurred.length; p++, i += 4) {
+    const alpha = data[i + 3] / 255;
+    if (alpha === 1) continue;
+    const shadowAlpha = SHADOW_STRENGTH * blurred[p];
+    const outAlpha = alpha + shadowAlpha * (1 - alpha);
+    if (outAlpha === 0) continue;
+    const keep = alpha / outAlpha;
+    data[i] = Math.round(data[i] * keep);
+    data[i + 1] = Math.round(data[i + 1] * keep);
+    data[i + 2] = Math.round(data[i + 2] * keep);
+    data[i + 3] = Math.round(outAlpha * 255);
+  }
+}
+
+/**
+ * Darken opaque pixels near transparency and the image frame, in place. The shadow
+ * falls inwards, so it never paints into transparent areas.
+ * @param {ImageData} imageData
+ * @param {number} radius - Shadow reach in pixels of this image; fractions are fine
+ */
+export function applyInnerShadow(imageData, radius) {
+  if (!(radius > 0)) {
+    return;
+  }
+
+  const { width, height, data } = imageData;
+  const distance = new Float32Array(width * height);
+
+  // Chamfer distance to the nearest transparent or out-of-frame pixel
+  for (let y = 0, p = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, p++) {
+      distance[p] = data[p * 4 + 3] < 128 ? 0 : Math.min(x + 1, y + 1, width - x, height - y);
+    }
+  }
+  for (let y = 0, p = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, p++) {
+      if (x > 0) distance[p] = Math.min(distance[p], distance[p - 1] + 1);
+      if (y > 0) {
+        distance[p] = Math.min(distance[p], distance[p - width] + 1);
+        if (x > 0) distance[p] = Math.min(distance[p], distance[p - width - 1] + Math.SQRT2);
+        if (x < width - 1) distance[p] = Math.min(distance[p], distance[p - width + 1] + Math.SQRT2);
+      }
+    }
+  }
+  for (let y = height - 1, p = width * height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--, p--) {
+      if (x < width - 1) distance[p] = Math.min(distance[p], distance[p + 1] + 1);
+      if (y < height - 1) {
+        distance[p] = Math.min(distance[p], distance[p + width] + 1);
+        if (x < width - 1) distance[p] = Math.min(distance[p], distance[p + width + 1] + Math.SQRT2);
+        if (x > 0) distance[p] = Math.min(distance[p], distance[p + width - 1] + Math.SQRT2);
+      }
+    }
+  }
+
+  // Measured from the pixel center, so a shadow narrower than half a pixel leaves nothing
+  for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+    const d = distance[p];
+    if (d === 0) continue;
+    const darken = SHADOW_STRENGTH * Math.max(0, 1 - (d - 0.5) / radius);
+    if (darken > 0) {
+      const keep = 1 - darken;
+      data[i] = Math.round(data[i] * keep);
+      data[i + 1] = Math.round(data[i + 1] * keep);
+      data[i + 2] = Math.round(data[i + 2] * keep);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+import {
+  DEFAULT_ADJUSTMENTS,
+  IDENTITY_CURVE,
+  applyAdjustments,
+  applyDropShadow,
+  applyInnerShadow,
+  curveToLut,
+  isIdentityAdjustment,
+  isIdentityCurve,
+} from './adjustments';
+
+// Every 8-bit value once per channel, as a 256x1 image
+const ramp = () => {
+  const image = new ImageData(256, 1);
+  for (let v = 0; v < 256; v++) image.data.set([v, v, v, 255], v * 4);
+  return image;
+};
+
+const channel = (image, offset = 0) => Array.from(image.data.filter((_, i) => i % 4 === offset));
+
+const adjusted = (settings, image = ramp()) => {
+  applyAdjustments(image, settings);
+  return image;
+};
+
+describe('identity', () => {
+  it('recognises the defaults', () => {
+    expect(isIdentityAdjustment(DEFAULT_ADJUSTMENTS)).toBe(true);
+    expect(isIdentityAdjustment({ ...DEFAULT_ADJUSTMENTS, gamma: 1.2 })).toBe(false);
+    expect(isIdentityAdjustment({ ...DEFAULT_ADJUSTMENTS, levels: { ...DEFAULT_ADJUSTMENTS.levels, inputBlack: 10 } })).toBe(false);
+    expect(isIdentityCurve(IDENTITY_CURVE)).toBe(true);
+    expect(isIdentityCurve([[0, 0], [128, 140], [255, 255]])).toBe(false);
+  });
+
+  it('leaves every value untouched at the defaults', () => {
+    const image = ramp();
+    const before = Array.from(image.data);
+    applyAdjustments(image, DEFAULT_ADJUSTMENTS);
+    expect(Array.from(image.data)).toEqual(before);
+  });
+
+  it('never touches alpha', () => {
+    const image = new ImageData(Uint8ClampedArray.from([200, 100, 50, 77]), 1, 1);
+    applyAdjustments(image, { brightness: 2, saturation: 0, posterize: 2 });
+    expect(image.data[3]).toBe(77);
+  });
+});
+
+describe('levels', () => {
+  it('stretches the input range onto the output range', () => {
+    const values = channel(adjusted({ levels: { inputBlack: 50, inputWhite: 200, outputBlack: 0, outputWhite: 255 } }));
+    expect(values[0]).toBe(0);
+    expect(values[50]).toBe(0);
+    expect(values[125]).toBe(128);
+    expect(values[200]).toBe(255);
+    expect(values[255]).toBe(255);
+  });
+
+  it('compresses onto a narrower output range', () => {
+    const values = channel(adjusted({ levels: { inputBlack: 0, inputWhite: 255, outputBlack: 20, outputWhite: 220 } }));
+    expect([values[0], values[255]]).toEqual([20, 220]);
+  });
+
+  it('uses gamma as the midtone', () => {
+    const values = channel(adjusted({ gamma: 2 }));
+    expect(values[64]).toBe(Math.round(255 * Math.sqrt(64 / 255)));
+    expect([values[0], values[255]]).toEqual([0, 255]);
+  });
+});
+
+describe('curves', () => {
+  it('passes through its control points', () => {
+    const lut = curveToLut([[0, 0], [64, 100], [192, 200], [255, 255]]);
+    expect([lut[0], lut[64], lut[192], lut[255]]).toEqual([0, 100, 200, 255]);
+  });
+
+  it('stays monotone between increasing points', () => {
+    const lut = curveToLut([[0, 0], [30, 200], [60, 210], [255, 255]]);
+    for (let v = 1; v < 256; v++) expect(lut[v]).toBeGreaterThanOrEqual(lut[v - 1]);
+  });
+
+  it('clamps outside its end points and accepts any point order', () => {
+    const lut = curveToLut([[200, 240], [50, 10]]);
+    expect([lut[0], lut[50], lut[200], lut[255]]).toEqual([10, 10, 240, 240]);
+  });
+
+  it('handles degenerate curves', () => {
+    expect(Array.from(curveToLut([]))).toEqual(Array.from({ length: 256 }, (_, v) => v));
+    expect(new Set(curveToLut([[100, 42]]))).toEqual(new Set([42]));
+  });
+
+  it('is applied after levels', () => {
+    const values = channel(adjusted({ curve: [[0, 255], [255, 0]] }));
+    expect([values[0], values[255]]).toEqual([255, 0]);
+  });
+});
+
+describe('LUT output', () => {
+  it('matches the CSS brightness and contrast formulas', () => {
+    const values = channel(adjusted({ brightness: 1.5, contrast: 1.2 }));
+    const expected = (v) => Math.max(0, Math.min(255, Math.round((Math.min(255, v * 1.5) / 255 - 0.5) * 1.2 * 255 + 127.5)));
+    [0, 1, 50, 100, 128, 200, 255].forEach((v) => expect(values[v]).toBe(expected(v)));
+  });
+
+  it('posterizes to evenly spaced levels', () => {
+    expect([...new Set(channel(adjusted({ posterize: 4 })))]).toEqual([0, 85, 170, 255]);
+  });
+
+  it('removes color at zero saturation and keeps grey under a hue shift', () => {
+    const image = new ImageData(Uint8ClampedArray.from([255, 0, 0, 255]), 1, 1);
+    applyAdjustments(image, { saturation: 0 });
+    expect(image.data[0]).toBe(image.data[1]);
+    expect(image.data[1]).toBe(image.data[2]);
+    expect(channel(adjusted({ hue: 90 }))).toEqual(channel(ramp()));
+  });
+
+  // Pinned bytes: any change to rounding or stage order shows up here, in any browser or in node
+  it('gives the same bytes for a mixed set of adjustments', () => {
+    const image = new ImageData(64, 4);
+    for (let p = 0; p < 256; p++) image.data.set([p, (p * 7) % 256, 255 - p, 255], p * 4);
+    applyAdjustments(image, {
+      saturation: 1.5,
+      hue: -60,
+      levels: { inputBlack: 20, inputWhite: 230, outputBlack: 5, outputWhite: 250 },
+    });
+    const sample = [0, 37, 128, 200, 255].map((p) => Array.from(image.data.subarray(p * 4, p * 4 + 3)));
+    expect(sample).toEqual([[5, 96, 182], [5, 76, 198], [132, 131, 130], [250, 80, 171], [250, 159, 84]]);
+  });
+});
+
+describe('shadows', () => {
+  // 5x5 transparent image with an opaque white pixel in the middle
+  const dot = () => {
+    const image = new ImageData(5, 5);
+    image.data.set([255, 255, 255, 255], 12 * 4);
+    return image;
+  };
+
+  it('drops a soft black shadow into transparent areas and keeps opaque pixels', () => {
+    const image = dot();
+    applyDropShadow(image, 4);
+    expect(Array.from(image.data.subarray(48, 52))).toEqual([255, 255, 255, 255]);
+    const neighbour = Array.from(image.data.subarray(11 * 4, 12 * 4));
+    const corner = Array.from(image.data.subarray(0, 4));
+    expect(neighbour.slice(0, 3)).toEqual([0, 0, 0]);
+    expect(neighbour[3]).toBeGreaterThan(0);
+    expect(neighbour[3]).toBeGreaterThan(corner[3]);
+  });
+
+  it('darkens inwards without painting transparent pixels', () => {
+    const image = new ImageData(5, 5);
+    for (let p = 0; p < 25; p++) image.data.set([200, 200, 200, 255], p * 4);
+    image.data[3] = 0;
+    applyInnerShadow(image, 2);
+    expect(image.data[3]).toBe(0);
+    expect(image.data[4]).toBeLessThan(200);
+    expect(image.data[12 * 4]).toBe(200);
+  });
+
+  it('does nothing at zero', () => {
+    const image = dot();
+    const before = Array.from(image.data);
+    applyDropShadow(image, 0);
+    applyInnerShadow(image, 0);
+    expect(Array.from(image.data)).toEqual(before);
+  });
+});
@@ -0,0 +1,60 @@
+// animation.js - Run every frame of an animation through the pipeline with one shared palette
+import { DEFAULT_SETTINGS, buildSourceGrid, finishGrid, resolvePaletteColors } from './pixelPipeline';
+import { medianCutPalette } from './quantize';
+
+// Frames sampled when fitting one adaptive palette to a whole animation
+const PALETTE_SAMPLE_FRAMES = 16;
+
+/**
+ * The palette every frame is mapped to, so colors cannot flicker between frames.
+ * Fixed palettes are used as-is; an adaptive one is fitted to frames sampled across the clip.
+ * @param {Array<{image: CanvasImageSource}>} frames
+ * @param {object} settings - Converter settings
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @returns {Array<[number, number, number]>|null} null when pixelation is off
+ */
+export function animationPalette(frames, settings, createCanvas) {
+  const resolved = { ...DEFAULT_SETTINGS, ...settings };
+  const step = Math.max(1, frames.length / PALETTE_SAMPLE_FRAMES);
+  const grids = [];
+  for (let f = 0; f < frames.length; f += step) {
+    const prepared = buildSourceGrid(frames[Math.floor(f)].image, resolved, createCanvas);
+    if (!prepared) return null;
+    grids.push(prepared.grid);
+  }
+
+  const fixed = resolvePaletteColors(resolved);
+  if (fixed) {
+    return fixed;
+  }
+
+  // Stack the sampled grids into one tall image and fit the palette to all of it
+  const { width, height } = grids[0];
+  const stacked = new ImageData(width, height * grids.length);
+  grids.forEach((grid, index) => stacked.data.set(grid.data, index * grid.data.length));
+  return medianCutPalette(stacked, resolved.colorCount);
+}
+
+/**
+ * Pixelate every frame with the same settings and palette.
+ * @param {Array<{image: CanvasImageSource, delay: number}>} frames - delay in milliseconds
+ * @param {object} settings - Converter settings
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {{grids: ImageData[], delays: number[], palette: Array<[number, number, number]>}|null}
+ *   null when pixelation is off
+ */
+export function renderAnimationFrames(frames, settings, createCanvas, onProgress = () => {}) {
+  const palette = animationPalette(frames, settings, createCanvas);
+  if (!palette) {
+    return null;
+  }
+
+  const grids = frames.map((frame, index) => {
+    const { grid } = buildSourceGrid(frame.image, settings, createCanvas);
+    finishGrid(grid, palette, settings);
+    onProgress(index + 1, frames.length);
+    return grid;
+  });
+  return { grids, delays: frames.map((frame) => frame.delay), palette };
+}
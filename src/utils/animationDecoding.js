@@ -0,0 +1,160 @@
+// animationDecoding.js - Split animated images and short videos into frames in the browser
+import { decodeGif } from './gifDecoder';
+
+// Longer clips are cut off; every frame is kept in memory twice (here and in the worker)
+export const MAX_ANIMATION_FRAMES = 120;
+
+export const MAX_VIDEO_SECONDS = 10;
+
+export const DEFAULT_VIDEO_FPS = 12;
+
+// Video frames are scaled down to fit this box; pixel art rarely needs more
+const MAX_VIDEO_SIZE = 480;
+
+const ANIMATED_TYPES = ['image/gif', 'image/png', 'image/apng', 'image/webp'];
+
+/**
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isVideoFile = (file) => Boolean(file && file.type.startsWith('video/'));
+
+/**
+ * Whether a file is in a format that can hold an animation (it may still be a single frame).
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const mayBeAnimated = (file) => Boolean(file && ANIMATED_TYPES.includes(file.type));
+
+const waitFor = (target, eventName) => new Promise((resolve, reject) => {
+  const handleEvent = () => {
+    target.removeEventListener('error', handleError);
+    resolve();
+  };
+  const handleError = () => {
+    target.removeEventListener(eventName, handleEvent);
+    reject(new Error('This video cannot be played in this browser'));
+  };
+  target.addEventListener(eventName, handleEvent, { once: true });
+  target.addEventListener('error', handleError, { once: true });
+});
+
+// WebCodecs decodes GIF, APNG and animated WebP with the frames already composited
+const decodeWithImageDecoder = async (file) => {
+  const decoder = new window.ImageDecoder({ data: await file.arrayBuffer(), type: file.type });
+  try {
+    await decoder.tracks.ready;
+    await decoder.completed;
+    const track = decoder.tracks.selectedTrack;
+    if (!track || track.frameCount < 2) {
+      return null;
+    }
+
+    const frames = [];
+    for (let index = 0; index < Math.min(track.frameCount, MAX_ANIMATION_FRAMES); index++) {
+      const { image } = await decoder.decode({ frameIndex: index });
+      frames.push({
+        image: await createImageBitmap(image),
+        // VideoFrame durations are in microseconds
+        delay: Math.max(20, Math.round((image.duration || 100000) / 1000)),
+      });
+      image.close();
+    }
+    return frames;
+  } finally {
+    decoder.close();
+  }
+};
+
+const decodeGifFallback = async (file) => {
+  const { width, height, frames } = decodeGif(new Uint8Array(await file.arrayBuffer()), { maxFrames: MAX_ANIMATION_FRAMES });
+  if (frames.length < 2) {
+    return null;
+  }
+  return Promise.all(
+    frames.map(async ({ data, delay }) => ({
+      image: await createImageBitmap(new ImageData(data, width, height)),
+      delay,
+    }))
+  );
+};
+
+/**
+ * Sample a video at a fixed frame rate by seeking a muted <video> element.
+ * @param {File} file
+ * @param {number} fps
+ * @returns {Promise<Array<{image: ImageBitmap, delay: number}>>}
+ */
+const decodeVideo = async (file, fps) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  video.src = url;
+
+  try {
+    await waitFor(video, 'loadeddata');
+    const fit = Math.min(1, MAX_VIDEO_SIZE / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(video.videoWidth * fit));
+    canvas.height = Math.max(1, Math.round(video.videoHeight * fit));
+    const ctx = canvas.getContext('2d');
+
+    const duration = Math.min(video.duration || 0, MAX_VIDEO_SECONDS);
+    const count = Math.max(1, Math.min(MAX_ANIMATION_FRAMES, Math.floor(duration * fps)));
+    const delay = Math.round(1000 / fps);
+    const frames = [];
+    for (let index = 0; index < count; index++) {
+      video.currentTime = index / fps;
+      await waitFor(video, 'seeked');
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      frames.push({ image: await createImageBitmap(canvas), delay });
+    }
+    return frames;
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Decode an animated image or a video into frames.
+ * @param {File} file
+ * @param {object} [options]
+ * @param {number} [options.fps=DEFAULT_VIDEO_FPS] - Sampling rate for videos
+ * @returns {Promise<Array<{image: ImageBitmap, delay: number}>|null>} null for still images;
+ *   delay is in milliseconds
+ */
+export async function decodeAnimation(file, { fps = DEFAULT_VIDEO_FPS } = {}) {
+  if (isVideoFile(file)) {
+    return decodeVideo(file, fps);
+  }
+  if (!mayBeAnimated(file)) {
+    return null;
+  }
+  if (typeof window.ImageDecoder !== 'undefined' && (await window.ImageDecoder.isTypeSupported(file.type))) {
+    return decodeWithImageDecoder(file);
+  }
+  // Without WebCodecs only GIFs can be split; APNG and WebP fall back to their first frame
+  return file.type === 'image/gif' ? decodeGifFallback(file) : null;
+}
+
+/**
+ * Turn a decoded frame into an <img>, so the editor can treat it like any upload.
+ * @param {ImageBitmap} bitmap
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function frameToImage(bitmap) {
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load the first frame'));
+    img.src = canvas.toDataURL('image/png');
+  });
+}
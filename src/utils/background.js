@@ -0,0 +1,133 @@
+// background.js - Background removal and alpha cleanup, in place on ImageData
+
+import { rgbToLab, hexToRgb } from './colorSpace';
+
+export const BACKGROUND_MODES = [
+  { id: 'keep', name: 'Keep background' },
+  { id: 'flood', name: 'Remove connected area (flood fill)' },
+  { id: 'chroma', name: 'Remove color everywhere (chroma key)' },
+];
+
+export const DEFAULT_ALPHA_THRESHOLD = 128;
+
+// Tolerance 1 accepts anything within this CIE76 distance of the key color
+const MAX_TOLERANCE_DISTANCE = 100;
+
+/**
+ * Guess the background color as the most common color along the image border.
+ * @param {ImageData} imageData
+ * @returns {[number, number, number]|null} null when the whole border is transparent
+ */
+export function detectBackgroundColor(imageData) {
+  const { width, height, data } = imageData;
+  const buckets = new Map();
+  let best = null;
+
+  const visit = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < DEFAULT_ALPHA_THRESHOLD) return;
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+    if (!best || bucket.count > best.count) best = bucket;
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x, 0);
+    if (height > 1) visit(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    visit(0, y);
+    if (width > 1) visit(width - 1, y);
+  }
+
+  return best
+    ? [Math.round(best.r / best.count), Math.round(best.g / best.count), Math.round(best.b / best.count)]
+    : null;
+}
+
+/**
+ * Make background pixels fully transparent.
+ * 'flood' clears only key-colored areas connected to the image border;
+ * 'chroma' clears every key-colored pixel.
+ * @param {ImageData} imageData
+ * @param {object} options
+ * @param {string} options.mode - A BACKGROUND_MODES id
+ * @param {string|null} [options.color] - Hex key color, or null to detect it from the border
+ * @param {number} [options.tolerance=0.15] - 0 matches the exact color, 1 matches nearly anything
+ */
+export function removeBackground(imageData, { mode, color = null, tolerance = 0.15 }) {
+  if (mode === 'keep') {
+    return;
+  }
+
+  const key = color ? hexToRgb(color) : detectBackgroundColor(imageData);
+  if (!key) {
+    return;
+  }
+
+  const { width, height, data } = imageData;
+  const [keyL, keyA, keyB] = rgbToLab(key[0], key[1], key[2]);
+  const limit = (tolerance * MAX_TOLERANCE_DISTANCE) ** 2;
+  const matches = (p) => {
+    const i = p * 4;
+    if (data[i + 3] === 0) return true;
+    const [l, a, b] = rgbToLab(data[i], data[i + 1], data[i + 2]);
+    return (l - keyL) ** 2 + (a - keyA) ** 2 + (b - keyB) ** 2 <= limit;
+  };
+  const clear = (p) => {
+    data[p * 4 + 3] = 0;
+  };
+
+  if (mode === 'chroma') {
+    for (let p = 0; p < width * height; p++) {
+      if (matches(p)) clear(p);
+    }
+    return;
+  }
+
+  // Flood fill inwards from every matching border pixel
+  const visited = new Uint8Array(width * height);
+  const stack = [];
+  const seed = (p) => {
+    if (!visited[p]) {
+      visited[p] = 1;
+      stack.push(p);
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    seed(x);
+    seed((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    seed(y * width);
+    seed(y * width + width - 1);
+  }
+
+  while (stack.length) {
+    const p = stack.pop();
+    if (!matches(p)) continue;
+    clear(p);
+    const x = p % width;
+    if (x > 0) seed(p - 1);
+    if (x < width - 1) seed(p + 1);
+    if (p >= width) seed(p - width);
+    if (p < width * (height - 1)) seed(p + width);
+  }
+}
+
+/**
+ * Snap partial alpha to fully transparent or fully opaque, in place.
+ * @param {ImageData} imageData
+ * @param {number} [threshold=DEFAULT_ALPHA_THRESHOLD] - Alpha at or above this becomes opaque
+ */
+export function snapAlpha(imageData, threshold = DEFAULT_ALPHA_THRESHOLD) {
+  const { data } = imageData;
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = data[i] >= threshold ? 255 : 0;
+  }
+}
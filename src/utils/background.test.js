@@ -0,0 +1,75 @@
+import { detectBackgroundColor, removeBackground, snapAlpha } from './background';
+import { imageFromRows } from '../testUtils';
+
+const GREEN = [0, 200, 0, 255];
+const NEAR_GREEN = [10, 190, 10, 255];
+const RED = [255, 0, 0, 255];
+
+// A green frame around a red ring that encloses more green
+const scene = (inside = GREEN) => imageFromRows([
+  [GREEN, GREEN, GREEN, GREEN, GREEN],
+  [GREEN, RED, RED, RED, GREEN],
+  [GREEN, RED, inside, RED, GREEN],
+  [GREEN, RED, RED, RED, GREEN],
+  [NEAR_GREEN, GREEN, GREEN, GREEN, GREEN],
+]);
+
+// 1 for opaque, 0 for cleared
+const alphaRows = (image) => {
+  const rows = [];
+  for (let y = 0; y < image.height; y++) {
+    let row = '';
+    for (let x = 0; x < image.width; x++) row += image.data[(y * image.width + x) * 4 + 3] ? '1' : '0';
+    rows.push(row);
+  }
+  return rows;
+};
+
+describe('removeBackground', () => {
+  it('flood clears only the background connected to the border', () => {
+    const image = scene();
+    removeBackground(image, { mode: 'flood' });
+    expect(alphaRows(image)).toEqual(['00000', '01110', '01110', '01110', '00000']);
+  });
+
+  it('chroma clears the key color everywhere', () => {
+    const image = scene();
+    removeBackground(image, { mode: 'chroma' });
+    expect(alphaRows(image)).toEqual(['00000', '01110', '01010', '01110', '00000']);
+  });
+
+  it('keeps close colors out of the key at zero tolerance', () => {
+    const image = scene();
+    removeBackground(image, { mode: 'chroma', color: '#00C800', tolerance: 0 });
+    expect(alphaRows(image)).toEqual(['00000', '01110', '01010', '01110', '10000']);
+  });
+
+  it('does not reach the subject at any normal tolerance', () => {
+    const image = scene();
+    removeBackground(image, { mode: 'flood', tolerance: 0.5 });
+    expect(alphaRows(image)[2]).toBe('01110');
+  });
+
+  it('keeps the background when asked', () => {
+    const image = scene();
+    removeBackground(image, { mode: 'keep' });
+    expect(alphaRows(image)).toEqual(Array(5).fill('11111'));
+  });
+});
+
+describe('detectBackgroundColor', () => {
+  it('averages the most common border color', () => {
+    expect(detectBackgroundColor(scene())).toEqual([0, 200, 0]);
+    expect(detectBackgroundColor(imageFromRows([[[0, 0, 0, 0]]]))).toBeNull();
+  });
+});
+
+describe('snapAlpha', () => {
+  it('makes alpha binary around the threshold', () => {
+    const image = imageFromRows([[[9, 9, 9, 0], [9, 9, 9, 127], [9, 9, 9, 128], [9, 9, 9, 254]]]);
+    snapAlpha(image);
+    expect(Array.from(image.data.filter((_, i) => i % 4 === 3))).toEqual([0, 0, 255, 255]);
+    snapAlpha(image, 255);
+    expect(Array.from(image.data.filter((_, i) => i % 4 === 3))).toEqual([0, 0, 255, 255]);
+  });
+});
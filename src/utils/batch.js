@@ -0,0 +1,95 @@
+// batch.js - Collect many source images and pack the converted results into a ZIP
+import { zipSync } from 'fflate';
+import { isVideoFile } from './animationDecoding';
+
+/**
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isImageFile = (file) => Boolean(file && file.type.startsWith('image/'));
+
+// Videos are let through so a single dropped clip can open as an animation
+const isSupportedFile = (file) => isImageFile(file) || isVideoFile(file);
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// Walk a dropped folder; readEntries returns at most ~100 entries per call, so keep asking
+const walkEntry = async (entry, folder, found) => {
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    if (isSupportedFile(file)) found.push({ file, folder });
+    return;
+  }
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    let entries = await readEntries(reader);
+    while (entries.length) {
+      for (const child of entries) {
+        await walkEntry(child, `${folder}${entry.name}/`, found);
+      }
+      entries = await readEntries(reader);
+    }
+  }
+};
+
+/**
+ * Image and video files from a drop, descending into dropped folders.
+ * Must be called synchronously inside the drop handler; the browser empties
+ * the DataTransfer once the handler returns.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{file: File, folder: string}>>} folder is the path inside the drop, e.g. "refs/cats/"
+ */
+export function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (!entries.length) {
+    const files = Array.from(dataTransfer.files || []).filter(isSupportedFile);
+    return Promise.resolve(files.map((file) => ({ file, folder: '' })));
+  }
+
+  return (async () => {
+    const found = [];
+    for (const entry of entries) {
+      await walkEntry(entry, '', found);
+    }
+    return found;
+  })();
+}
+
+/**
+ * Image and video files from a file input, keeping folder paths when a directory was picked.
+ * @param {FileList} fileList
+ * @returns {Array<{file: File, folder: string}>}
+ */
+export function collectInputFiles(fileList) {
+  return Array.from(fileList || [])
+    .filter(isSupportedFile)
+    .map((file) => ({
+      file,
+      folder: (file.webkitRelativePath || '').replace(/[^/]*$/, ''),
+    }));
+}
+
+/**
+ * Pack files into a ZIP in the browser. Image formats are already compressed,
+ * so they are stored rather than deflated again.
+ * @param {Array<{path: string, blob: Blob}>} files - Paths may contain folders; duplicates get a numeric suffix
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(files) {
+  const contents = {};
+  for (const { path, blob } of files) {
+    let unique = path;
+    for (let n = 2; contents[unique]; n++) {
+      unique = path.replace(/(\.[^./]+)?$/, `-${n}$1`);
+    }
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const compress = /\.(svg|bmp)$/i.test(unique);
+    contents[unique] = [data, { level: compress ? 6 : 0 }];
+  }
+  return new Blob([zipSync(contents)], { type: 'application/zip' });
+}
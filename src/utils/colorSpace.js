@@ -0,0 +1,84 @@
+// colorSpace.js - Color conversions shared by the palette and quantization code
+
+/**
+ * Parse a "#RRGGBB" (or "RRGGBB" / "#RGB") string into an RGB triple.
+ * @param {string} hex - Hex color
+ * @returns {[number, number, number]}
+ */
+export function hexToRgb(hex) {
+  let value = hex.trim().replace(/^#/, '');
+  if (value.length === 3) {
+    value = value.split('').map((c) => c + c).join('');
+  }
+  const number = parseInt(value, 16);
+  return [(number >> 16) & 255, (number >> 8) & 255, number & 255];
+}
+
+/**
+ * Format an RGB triple as an upper-case "#RRGGBB" string.
+ * @param {[number, number, number]} rgb
+ * @returns {string}
+ */
+export function rgbToHex([r, g, b]) {
+  return `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+const srgbToLinear = (value) => {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+/**
+ * Convert sRGB to CIE L*a*b* (D65 white point).
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {[number, number, number]}
+ */
+export function rgbToLab(r, g, b) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+  const fx = labF(x);
+  const fy = labF(y);
+  const fz = labF(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+const linearToSrgb = (value) => {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(c * 255)));
+};
+
+const labFInverse = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+/**
+ * Convert CIE L*a*b* (D65 white point) back to sRGB, clamping out-of-gamut values.
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {[number, number, number]}
+ */
+export function labToRgb(l, a, b) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+
+  const x = labFInverse(fx) * 0.95047;
+  const y = labFInverse(fy);
+  const z = labFInverse(fz) * 1.08883;
+
+  return [
+    linearToSrgb(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+    linearToSrgb(-x * 0.9692660 + y * 1.8760108 + z * 0.0415560),
+    linearToSrgb(x * 0.0556434 - y * 0.2040259 + z * 1.0572252),
+  ];
+}
@@ -0,0 +1,156 @@
+// craftColors.js - Thread, bead and brick color ranges for physical patterns
+//
+// sRGB values are approximations taken from published conversion charts;
+// real dye lots and plastics vary, so treat them as a starting point.
+
+import { hexToRgb } from './colorSpace';
+
+const DMC_COLORS = [
+  ['B5200', 'Snow White', '#FFFFFF'], ['White', 'White', '#FCFBF8'], ['Ecru', 'Ecru', '#F0EADA'],
+  ['310', 'Black', '#000000'], ['3371', 'Black Brown', '#1E1108'],
+  ['762', 'Very Light Pearl Gray', '#ECECEC'], ['415', 'Pearl Gray', '#D3D3D6'],
+  ['318', 'Light Steel Gray', '#ABABAB'], ['414', 'Dark Steel Gray', '#8C8C8C'],
+  ['317', 'Pewter Gray', '#6C6C6C'], ['413', 'Dark Pewter Gray', '#565656'],
+  ['3799', 'Very Dark Pewter Gray', '#424242'], ['3072', 'Very Light Beaver Gray', '#E6E8E8'],
+  ['648', 'Light Beaver Gray', '#BCB4AC'], ['535', 'Very Light Ash Gray', '#636458'],
+  ['498', 'Dark Red', '#A7132B'], ['321', 'Red', '#C72B3B'], ['666', 'Bright Red', '#E31D42'],
+  ['304', 'Medium Red', '#B71F33'], ['815', 'Medium Garnet', '#87071F'], ['902', 'Very Dark Garnet', '#822637'],
+  ['347', 'Very Dark Salmon', '#BF2D2D'], ['349', 'Dark Coral', '#D21035'], ['350', 'Medium Coral', '#E04848'],
+  ['351', 'Coral', '#E96A67'], ['352', 'Light Coral', '#FD9C97'], ['353', 'Peach', '#FED7CC'],
+  ['3712', 'Medium Salmon', '#F08784'], ['760', 'Salmon', '#F5ADAD'], ['761', 'Light Salmon', '#FFC9C9'],
+  ['3713', 'Very Light Salmon', '#FFE2E2'], ['754', 'Light Peach', '#F7CBBF'], ['948', 'Very Light Peach', '#FEE7DA'],
+  ['945', 'Tawny', '#FBD5BB'], ['950', 'Light Desert Sand', '#EED3C4'], ['3064', 'Desert Sand', '#C48E70'],
+  ['407', 'Dark Desert Sand', '#BB8161'], ['3772', 'Very Dark Desert Sand', '#A06C50'],
+  ['632', 'Ultra Very Dark Desert Sand', '#875539'],
+  ['606', 'Bright Orange-Red', '#FA3203'], ['608', 'Bright Orange', '#FD5D35'], ['740', 'Tangerine', '#FF8313'],
+  ['741', 'Medium Tangerine', '#FFA32B'], ['742', 'Light Tangerine', '#FFBF57'], ['743', 'Medium Yellow', '#FED376'],
+  ['744', 'Pale Yellow', '#FFE793'], ['745', 'Light Pale Yellow', '#FFE9AD'], ['307', 'Lemon', '#FDED54'],
+  ['444', 'Dark Lemon', '#FFD600'], ['973', 'Bright Canary', '#FFE300'], ['972', 'Deep Canary', '#FFB515'],
+  ['725', 'Medium Light Topaz', '#FFC840'], ['727', 'Very Light Topaz', '#FFF1AF'],
+  ['3078', 'Very Light Golden Yellow', '#FDF9CD'],
+  ['3853', 'Dark Autumn Gold', '#F29746'], ['3854', 'Medium Autumn Gold', '#F2AF68'],
+  ['3855', 'Light Autumn Gold', '#FAD396'], ['680', 'Dark Old Gold', '#BC8D0E'], ['729', 'Medium Old Gold', '#D0A53E'],
+  ['676', 'Light Old Gold', '#E5CE97'], ['3045', 'Dark Yellow Beige', '#BC966A'],
+  ['3046', 'Medium Yellow Beige', '#D8BC9A'], ['3047', 'Light Yellow Beige', '#E7D6C1'],
+  ['922', 'Light Copper', '#E27323'], ['921', 'Copper', '#C66238'], ['920', 'Medium Copper', '#AC5436'],
+  ['3778', 'Light Terra Cotta', '#D98978'], ['356', 'Medium Terra Cotta', '#C56A5B'],
+  ['3830', 'Terra Cotta', '#B95544'], ['355', 'Dark Terra Cotta', '#984436'],
+  ['977', 'Light Golden Brown', '#DC9C56'], ['976', 'Medium Golden Brown', '#C28142'],
+  ['3776', 'Light Mahogany', '#CF7939'], ['301', 'Medium Mahogany', '#B35F2B'], ['400', 'Dark Mahogany', '#8F430F'],
+  ['739', 'Ultra Very Light Tan', '#F8E4C8'], ['738', 'Very Light Tan', '#ECCC9E'], ['437', 'Light Tan', '#E4BB8E'],
+  ['436', 'Tan', '#CB9051'], ['435', 'Very Light Brown', '#B87748'], ['434', 'Light Brown', '#985E33'],
+  ['433', 'Medium Brown', '#7A451F'], ['801', 'Dark Coffee Brown', '#653919'],
+  ['898', 'Very Dark Coffee Brown', '#492A13'], ['938', 'Ultra Dark Coffee Brown', '#361F0E'],
+  ['842', 'Very Light Beige Brown', '#D1BAA1'], ['841', 'Light Beige Brown', '#B69B7E'],
+  ['840', 'Medium Beige Brown', '#9A7C5C'], ['839', 'Dark Beige Brown', '#675541'],
+  ['838', 'Very Dark Beige Brown', '#594937'], ['613', 'Very Light Drab Brown', '#DCC4AA'],
+  ['612', 'Light Drab Brown', '#BC9A78'], ['611', 'Drab Brown', '#796047'],
+  ['3032', 'Medium Mocha Brown', '#B39F8B'], ['3781', 'Dark Mocha Brown', '#6B5743'],
+  ['3031', 'Very Dark Mocha Brown', '#4B3C2A'],
+  ['907', 'Light Parrot Green', '#C7E666'], ['906', 'Medium Parrot Green', '#7FB335'],
+  ['904', 'Very Dark Parrot Green', '#557822'], ['704', 'Bright Chartreuse', '#9ECF34'],
+  ['703', 'Chartreuse', '#7BB547'], ['702', 'Kelly Green', '#479B37'], ['701', 'Light Green', '#3F8F29'],
+  ['700', 'Bright Green', '#07731B'], ['699', 'Green', '#056517'], ['3348', 'Light Yellow Green', '#CCD9B1'],
+  ['3347', 'Medium Yellow Green', '#71935C'], ['3346', 'Hunter Green', '#406A0E'],
+  ['3345', 'Dark Hunter Green', '#1B5300'], ['369', 'Very Light Pistachio Green', '#D7EDCC'],
+  ['368', 'Light Pistachio Green', '#A6C298'], ['367', 'Dark Pistachio Green', '#617A52'],
+  ['319', 'Very Dark Pistachio Green', '#205F2E'], ['890', 'Ultra Dark Pistachio Green', '#173719'],
+  ['504', 'Very Light Blue Green', '#C4DECC'], ['503', 'Medium Blue Green', '#7BAC94'],
+  ['502', 'Blue Green', '#5B9071'], ['501', 'Dark Blue Green', '#396F52'], ['500', 'Very Dark Blue Green', '#044D33'],
+  ['964', 'Light Seagreen', '#A9E2D8'], ['959', 'Medium Seagreen', '#59C7B4'],
+  ['3812', 'Very Dark Seagreen', '#2F8C84'], ['3814', 'Aquamarine', '#508B7D'],
+  ['598', 'Light Turquoise', '#90C3CC'], ['597', 'Turquoise', '#5BA3B3'], ['807', 'Peacock Blue', '#64ABBA'],
+  ['3765', 'Very Dark Peacock Blue', '#347F8C'], ['3846', 'Light Bright Turquoise', '#06E3E6'],
+  ['996', 'Medium Electric Blue', '#30C2EC'], ['3843', 'Electric Blue', '#14AAD0'],
+  ['995', 'Dark Electric Blue', '#2696B6'], ['775', 'Very Light Baby Blue', '#D9EBF1'],
+  ['3325', 'Light Baby Blue', '#B8D2E6'], ['334', 'Medium Baby Blue', '#739FC1'], ['322', 'Dark Baby Blue', '#5A8FB8'],
+  ['312', 'Very Dark Baby Blue', '#35668B'], ['311', 'Medium Navy Blue', '#1C5066'], ['519', 'Sky Blue', '#7EB1C8'],
+  ['3760', 'Medium Wedgewood', '#3E85A2'], ['517', 'Dark Wedgewood', '#3B768F'], ['800', 'Pale Delft Blue', '#C0CCDE'],
+  ['809', 'Delft Blue', '#94A8C6'], ['799', 'Medium Delft Blue', '#748EB6'], ['798', 'Dark Delft Blue', '#466A8E'],
+  ['797', 'Royal Blue', '#13477D'], ['796', 'Dark Royal Blue', '#11416D'], ['820', 'Very Dark Royal Blue', '#0E365C'],
+  ['336', 'Navy Blue', '#253B73'], ['823', 'Dark Navy Blue', '#213063'], ['939', 'Very Dark Navy Blue', '#1B2853'],
+  ['3840', 'Light Lavender Blue', '#B0C0DA'], ['3839', 'Medium Lavender Blue', '#7B8EAB'],
+  ['3838', 'Dark Lavender Blue', '#5C7294'], ['340', 'Medium Blue Violet', '#ADA7C7'],
+  ['3746', 'Dark Blue Violet', '#776B98'], ['333', 'Very Dark Blue Violet', '#5C5478'],
+  ['211', 'Light Lavender', '#E3CBE3'], ['210', 'Medium Lavender', '#C39FC3'], ['209', 'Dark Lavender', '#A37BA7'],
+  ['208', 'Very Dark Lavender', '#835B8B'], ['554', 'Light Violet', '#DBB3CB'], ['553', 'Violet', '#A3638B'],
+  ['552', 'Medium Violet', '#803A6B'], ['550', 'Very Dark Violet', '#5C184E'],
+  ['3609', 'Ultra Light Plum', '#F4AED5'], ['3608', 'Very Light Plum', '#EA9CC4'], ['3607', 'Light Plum', '#C5498A'],
+  ['718', 'Plum', '#9C2462'], ['917', 'Medium Plum', '#9B1359'], ['915', 'Dark Plum', '#820043'],
+  ['818', 'Baby Pink', '#FFDFD9'], ['3326', 'Light Rose', '#FBADB4'], ['776', 'Medium Pink', '#FCB0B9'],
+  ['899', 'Medium Rose', '#F27688'], ['335', 'Rose', '#EE546E'], ['309', 'Dark Rose', '#BA4A5A'],
+  ['605', 'Very Light Cranberry', '#FFC0CD'], ['604', 'Light Cranberry', '#FFB0BE'], ['603', 'Cranberry', '#FFA4BE'],
+  ['602', 'Medium Cranberry', '#E24874'], ['601', 'Dark Cranberry', '#D1286A'], ['600', 'Very Dark Cranberry', '#CD2F63'],
+  ['3806', 'Light Cyclamen Pink', '#FF8CAE'], ['3805', 'Cyclamen Pink', '#F3478B'],
+  ['3804', 'Dark Cyclamen Pink', '#E02876'],
+];
+
+const PERLER_COLORS = [
+  ['P01', 'White', '#F1F1F1'], ['P02', 'Cream', '#E0DEA9'], ['P03', 'Yellow', '#ECD800'],
+  ['P04', 'Orange', '#ED6120'], ['P05', 'Red', '#BF2E40'], ['P06', 'Bubble Gum', '#DD6693'],
+  ['P07', 'Purple', '#604089'], ['P08', 'Dark Blue', '#2B3F87'], ['P09', 'Light Blue', '#3370C0'],
+  ['P10', 'Dark Green', '#1C753E'], ['P11', 'Light Green', '#56BA9F'], ['P12', 'Brown', '#513F38'],
+  ['P17', 'Grey', '#8A8D91'], ['P18', 'Black', '#2E2F32'], ['P20', 'Rust', '#8C3B35'],
+  ['P21', 'Light Brown', '#815D34'], ['P33', 'Peach', '#EEBAB2'], ['P35', 'Tan', '#BC9473'],
+  ['P38', 'Magenta', '#F22C96'], ['P47', 'Pastel Green', '#76C882'], ['P48', 'Pastel Yellow', '#F7EE86'],
+  ['P52', 'Pastel Blue', '#5388C9'], ['P53', 'Pastel Lavender', '#8A72C1'], ['P56', 'Hot Coral', '#FF3556'],
+  ['P57', 'Cheddar', '#F1AA0C'], ['P58', 'Toothpaste', '#9FE0D5'], ['P60', 'Plum', '#A244A0'],
+  ['P61', 'Kiwi Lime', '#6CBE13'], ['P62', 'Turquoise', '#2B89C6'], ['P63', 'Blush', '#FF8283'],
+  ['P70', 'Periwinkle', '#6A7ACA'], ['P79', 'Light Pink', '#F4A7C5'], ['P83', 'Pink', '#E44992'],
+  ['P90', 'Butterscotch', '#CD843F'], ['P91', 'Parrot Green', '#00A06C'], ['P92', 'Dark Grey', '#4F5255'],
+  ['P93', 'Blueberry Cream', '#8AADE0'], ['P96', 'Cranapple', '#80263D'], ['P97', 'Prickly Pear', '#BCE343'],
+  ['P98', 'Sand', '#E4C98F'],
+];
+
+const HAMA_COLORS = [
+  ['H01', 'White', '#F0F0EE'], ['H02', 'Cream', '#F0E7C1'], ['H03', 'Yellow', '#F0D900'],
+  ['H04', 'Orange', '#ED6C20'], ['H05', 'Red', '#C1242F'], ['H06', 'Pink', '#E2779E'],
+  ['H07', 'Purple', '#6A4A91'], ['H08', 'Blue', '#27459A'], ['H09', 'Light Blue', '#3A7DC4'],
+  ['H10', 'Green', '#1F7D45'], ['H11', 'Light Green', '#5DB851'], ['H12', 'Brown', '#5B4031'],
+  ['H17', 'Grey', '#8D9092'], ['H18', 'Black', '#2A2A2B'], ['H20', 'Reddish Brown', '#8B3D2F'],
+  ['H21', 'Light Brown', '#A06A36'], ['H22', 'Dark Red', '#8E1E2C'], ['H26', 'Flesh', '#EFA18D'],
+  ['H27', 'Beige', '#D9B58B'], ['H28', 'Dark Green', '#1E4634'], ['H29', 'Claret', '#B8275E'],
+  ['H30', 'Burgundy', '#6C2534'], ['H31', 'Turquoise', '#2FA3B4'], ['H33', 'Cerise', '#D4286E'],
+  ['H43', 'Pastel Yellow', '#F7EF83'], ['H44', 'Pastel Red', '#F0747A'], ['H45', 'Pastel Purple', '#9C82C5'],
+  ['H46', 'Pastel Blue', '#7AAEDC'], ['H47', 'Pastel Green', '#8FD18A'], ['H48', 'Pastel Pink', '#E99FCB'],
+  ['H49', 'Azure', '#3AB3DE'], ['H60', 'Teddy Brown', '#B27B32'], ['H70', 'Light Grey', '#BFC2C3'],
+  ['H71', 'Dark Grey', '#4C4F52'], ['H75', 'Tan', '#B39B7A'], ['H76', 'Nougat', '#9B6B4E'],
+  ['H78', 'Peach', '#F5C7B3'], ['H79', 'Apricot', '#F39B53'], ['H82', 'Plum', '#8A2D6E'],
+  ['H83', 'Petrol', '#1F6F80'], ['H84', 'Olive', '#6E7A3C'],
+];
+
+const LEGO_COLORS = [
+  ['1', 'White', '#F4F4F4'], ['26', 'Black', '#1B2A34'], ['194', 'Medium Stone Grey', '#A3A2A4'],
+  ['199', 'Dark Stone Grey', '#635F61'], ['21', 'Bright Red', '#C4281B'], ['154', 'Dark Red', '#7B2E2F'],
+  ['106', 'Bright Orange', '#DA8540'], ['191', 'Flame Yellowish Orange', '#F8BB3D'],
+  ['24', 'Bright Yellow', '#F5CD2F'], ['226', 'Cool Yellow', '#FDEA8C'],
+  ['119', 'Bright Yellowish Green', '#A4BD47'], ['326', 'Spring Yellowish Green', '#DFEEA5'],
+  ['37', 'Bright Green', '#4B974A'], ['28', 'Dark Green', '#287F46'], ['141', 'Earth Green', '#27462D'],
+  ['151', 'Sand Green', '#789082'], ['330', 'Olive Green', '#77774E'], ['323', 'Aqua', '#ADC3C0'],
+  ['322', 'Medium Azure', '#36AEBF'], ['321', 'Dark Azure', '#469BC3'], ['212', 'Light Royal Blue', '#9FC3E9'],
+  ['102', 'Medium Blue', '#6E99CA'], ['23', 'Bright Blue', '#0D69AB'], ['140', 'Earth Blue', '#20395F'],
+  ['135', 'Sand Blue', '#74869D'], ['325', 'Lavender', '#CDA4DE'], ['324', 'Medium Lavender', '#A06EB9'],
+  ['268', 'Medium Lilac', '#342B75'], ['124', 'Bright Reddish Violet', '#923978'],
+  ['221', 'Bright Purple', '#CD6298'], ['222', 'Light Purple', '#E4ADC8'], ['283', 'Light Nougat', '#F6D7B3'],
+  ['18', 'Nougat', '#CC8E69'], ['312', 'Medium Nougat', '#AA7D55'], ['5', 'Brick Yellow', '#D7C599'],
+  ['138', 'Sand Yellow', '#958A73'], ['38', 'Dark Orange', '#A05F35'], ['192', 'Reddish Brown', '#694027'],
+  ['308', 'Dark Brown', '#352100'],
+];
+
+const toColors = (entries) => entries.map(([code, name, hex]) => ({ code, name, hex, rgb: hexToRgb(hex) }));
+
+// Cross-stitch fabric counts (stitches per inch) offered for thread patterns
+export const FABRIC_COUNTS = [11, 14, 16, 18];
+
+/**
+ * pitchMm is the size of one cell; thread patterns derive it from the fabric count instead.
+ * boardSize is the pegboard or baseplate edge in cells, when the medium uses one.
+ */
+export const CRAFT_BRANDS = [
+  { id: 'dmc', name: 'DMC embroidery floss', unit: 'stitches', pitchMm: null, boardSize: null, colors: toColors(DMC_COLORS) },
+  { id: 'perler', name: 'Perler beads', unit: 'beads', pitchMm: 5, boardSize: 29, colors: toColors(PERLER_COLORS) },
+  { id: 'hama', name: 'Hama Midi beads', unit: 'beads', pitchMm: 5, boardSize: 29, colors: toColors(HAMA_COLORS) },
+  { id: 'lego', name: 'LEGO 1×1 plates', unit: 'plates', pitchMm: 8, boardSize: 32, colors: toColors(LEGO_COLORS) },
+];
+
+export const getCraftBrand = (id) => CRAFT_BRANDS.find((brand) => brand.id === id);
@@ -0,0 +1,374 @@
+// craftPattern.js - Map the pixel grid to thread, bead or brick colors and lay out a printable chart
+import { createColorMatcher } from './quantize';
+import { measureText } from './pdf';
+
+export const PATTERN_FORMATS = [
+  { id: 'pdf', name: 'PDF (multi-page)' },
+  { id: 'svg', name: 'SVG (one file per page)' },
+];
+
+// Printed size of one chart cell, in points
+export const CELL_SIZES = [
+  { id: 'large', name: 'Large cells', size: 12 },
+  { id: 'medium', name: 'Medium cells', size: 9 },
+  { id: 'small', name: 'Small cells', size: 7 },
+];
+
+// Pixels below this alpha are left unstitched
+const ALPHA_CUTOFF = 128;
+
+// Distinct shapes first; letters and digits that are easy to confuse (O/0, I/l/1) are left out
+const SYMBOLS = [
+  ...'+×#%&@$*?!=~^<>/\\§¶±÷µ¤¥£¢©®°',
+  ...'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  ...'abdefghkmnpqrstuvwxyz',
+  ...'23456789',
+];
+
+const MARGIN = 36;
+const HEADER = 30;
+const AXIS = 18;
+const LEGEND_ROW = 14;
+const GRID_LINE = '#9CA3AF';
+const MAJOR_EVERY = 10;
+
+const symbolFor = (index) =>
+  index < SYMBOLS.length ? SYMBOLS[index] : `${SYMBOLS[index % SYMBOLS.length]}${Math.floor(index / SYMBOLS.length)}`;
+
+const contrastColor = ([r, g, b]) => (r * 0.299 + g * 0.587 + b * 0.114 > 140 ? '#000000' : '#FFFFFF');
+
+/**
+ * Map every opaque pixel to the nearest color of a brand (CIELAB distance).
+ * @param {ImageData} grid - Native-resolution pixels
+ * @param {object} brand - Entry from CRAFT_BRANDS
+ * @returns {{width: number, height: number, cells: Int16Array, legend: object[]}}
+ *   cells index into legend, or -1 for an empty cell; legend entries are brand colors
+ *   with a symbol and a count, most used first
+ */
+export function buildPattern(grid, brand) {
+  const match = createColorMatcher(brand.colors.map((color) => color.rgb));
+  const { data, width, height } = grid;
+  const brandCells = new Int16Array(width * height);
+  const counts = new Map();
+
+  for (let i = 0; i < brandCells.length; i++) {
+    const offset = i * 4;
+    if (data[offset + 3] < ALPHA_CUTOFF) {
+      brandCells[i] = -1;
+      continue;
+    }
+    const brandIndex = match(data[offset], data[offset + 1], data[offset + 2]);
+    brandCells[i] = brandIndex;
+    counts.set(brandIndex, (counts.get(brandIndex) || 0) + 1);
+  }
+
+  const used = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  const legendIndex = new Map(used.map((brandIndex, index) => [brandIndex, index]));
+  const legend = used.map((brandIndex, index) => ({
+    ...brand.colors[brandIndex],
+    symbol: symbolFor(index),
+    symbolColor: contrastColor(brand.colors[brandIndex].rgb),
+    count: counts.get(brandIndex),
+  }));
+  const cells = brandCells.map((brandIndex) => (brandIndex < 0 ? -1 : legendIndex.get(brandIndex)));
+
+  return { width, height, cells, legend };
+}
+
+/**
+ * Physical size of the finished piece.
+ * @param {{width: number, height: number}} pattern
+ * @param {object} brand - Entry from CRAFT_BRANDS
+ * @param {number} fabricCount - Stitches per inch, used by thread brands
+ * @returns {{widthCm: number, heightCm: number, boards: {columns: number, rows: number}|null}}
+ */
+export function finishedSize(pattern, brand, fabricCount) {
+  const pitchMm = brand.pitchMm || 25.4 / fabricCount;
+  return {
+    widthCm: (pattern.width * pitchMm) / 10,
+    heightCm: (pattern.height * pitchMm) / 10,
+    boards: brand.boardSize
+      ? { columns: Math.ceil(pattern.width / brand.boardSize), rows: Math.ceil(pattern.height / brand.boardSize) }
+      : null,
+  };
+}
+
+/**
+ * Split the chart into page-sized tiles. Tiles are whole multiples of 10 cells when they can be,
+ * so the bold 10-cell grid lines continue across pages.
+ * @param {{width: number, height: number}} pattern
+ * @param {{width: number, height: number}} pageSize - In points
+ * @param {number} cellSize - In points
+ * @returns {Array<{x: number, y: number, columns: number, rows: number}>} Tiles in reading order, in cells
+ */
+export function planChartPages(pattern, pageSize, cellSize) {
+  const fit = (space) => {
+    const cells = Math.max(1, Math.floor(space / cellSize));
+    return cells >= MAJOR_EVERY ? cells - (cells % MAJOR_EVERY) : cells;
+  };
+  const perPageX = fit(pageSize.width - MARGIN * 2 - AXIS);
+  const perPageY = fit(pageSize.height - MARGIN * 2 - HEADER - AXIS);
+  const tiles = [];
+  for (let y = 0; y < pattern.height; y += perPageY) {
+    for (let x = 0; x < pattern.width; x += perPageX) {
+      tiles.push({ x, y, columns: Math.min(perPageX, pattern.width - x), rows: Math.min(perPageY, pattern.height - y) });
+    }
+  }
+  return tiles;
+}
+
+// Horizontal runs of one legend color in a row, so large areas become one rect
+const forEachRun = (pattern, row, fromX, toX, callback) => {
+  let start = fromX;
+  while (start < toX) {
+    const index = pattern.cells[row * pattern.width + start];
+    let end = start + 1;
+    while (end < toX && pattern.cells[row * pattern.width + end] === index) end++;
+    if (index >= 0) callback(index, start, end - start);
+    start = end;
+  }
+};
+
+const coverItems = (pattern, brand, { title, fabricCount, pageSize }) => {
+  const size = finishedSize(pattern, brand, fabricCount);
+  const items = [
+    { type: 'text', x: MARGIN, y: MARGIN + 16, text: title, size: 18, bold: true },
+    {
+      type: 'text',
+      x: MARGIN,
+      y: MARGIN + 34,
+      size: 10,
+      text: `${brand.name} · ${pattern.width}×${pattern.height} ${brand.unit} · ${pattern.legend.length} colors`,
+    },
+    {
+      type: 'text',
+      x: MARGIN,
+      y: MARGIN + 48,
+      size: 10,
+      text: `Finished size about ${size.widthCm.toFixed(1)} × ${size.heightCm.toFixed(1)} cm`
+        + (brand.pitchMm ? '' : ` on ${fabricCount}-count fabric`)
+        + (size.boards ? ` · ${size.boards.columns}×${size.boards.rows} boards of ${brand.boardSize}×${brand.boardSize}` : ''),
+    },
+  ];
+
+  const boxTop = MARGIN + 62;
+  const boxWidth = pageSize.width - MARGIN * 2;
+  const boxHeight = (pageSize.height - MARGIN * 2) * 0.4;
+  const cell = Math.min(boxWidth / pattern.width, boxHeight / pattern.height);
+  const left = MARGIN + (boxWidth - pattern.width * cell) / 2;
+  for (let row = 0; row < pattern.height; row++) {
+    forEachRun(pattern, row, 0, pattern.width, (index, x, length) => {
+      items.push({
+        type: 'rect',
+        x: left + x * cell,
+        y: boxTop + row * cell,
+        width: length * cell,
+        height: cell,
+        fill: pattern.legend[index].hex,
+      });
+    });
+  }
+  items.push({ type: 'rect', x: left, y: boxTop, width: pattern.width * cell, height: pattern.height * cell, stroke: '#000000', lineWidth: 0.5 });
+
+  return { items, overview: { left, top: boxTop, cell }, legendTop: boxTop + pattern.height * cell + 24 };
+};
+
+const legendRowItems = (entry, x, y, columnWidth, colorCells) => {
+  const box = LEGEND_ROW - 3;
+  return [
+    { type: 'rect', x, y, width: box, height: box, fill: colorCells ? entry.hex : '#FFFFFF', stroke: '#000000', lineWidth: 0.4 },
+    {
+      type: 'text',
+      x: x + box / 2,
+      y: y + box * 0.78,
+      text: entry.symbol,
+      size: box * 0.75,
+      fill: colorCells ? entry.symbolColor : '#000000',
+      anchor: 'middle',
+    },
+    { type: 'rect', x: x + box + 4, y, width: box, height: box, fill: entry.hex, stroke: '#000000', lineWidth: 0.4 },
+    { type: 'text', x: x + box * 2 + 10, y: y + box * 0.78, text: entry.code, size: 8, bold: true },
+    { type: 'text', x: x + box * 2 + 44, y: y + box * 0.78, text: entry.name, size: 8 },
+    { type: 'text', x: x + columnWidth - 12, y: y + box * 0.78, text: String(entry.count), size: 8, anchor: 'end' },
+  ];
+};
+
+const chartItems = (pattern, tile, cellSize, colorCells) => {
+  const items = [];
+  const left = MARGIN + AXIS;
+  const top = MARGIN + HEADER + AXIS;
+  const right = left + tile.columns * cellSize;
+  const bottom = top + tile.rows * cellSize;
+  const symbolSize = cellSize * 0.7;
+
+  for (let row = 0; row < tile.rows; row++) {
+    const y = top + row * cellSize;
+    if (colorCells) {
+      forEachRun(pattern, tile.y + row, tile.x, tile.x + tile.columns, (index, x, length) => {
+        items.push({ type: 'rect', x: left + (x - tile.x) * cellSize, y, width: length * cellSize, height: cellSize, fill: pattern.legend[index].hex });
+      });
+    }
+    for (let column = 0; column < tile.columns; column++) {
+      const index = pattern.cells[(tile.y + row) * pattern.width + tile.x + column];
+      if (index < 0) continue;
+      const entry = pattern.legend[index];
+      items.push({
+        type: 'text',
+        x: left + (column + 0.5) * cellSize,
+        y: y + cellSize / 2 + symbolSize * 0.36,
+        text: entry.symbol,
+        size: entry.symbol.length > 1 ? symbolSize * 0.6 : symbolSize,
+        fill: colorCells ? entry.symbolColor : '#000000',
+        anchor: 'middle',
+      });
+    }
+  }
+
+  const isMajor = (cell, offset, count) => offset === 0 || offset === count || cell % MAJOR_EVERY === 0;
+  for (let column = 0; column <= tile.columns; column++) {
+    const cell = tile.x + column;
+    const x = left + column * cellSize;
+    const major = isMajor(cell, column, tile.columns);
+    items.push({ type: 'line', x1: x, y1: top, x2: x, y2: bottom, stroke: major ? '#000000' : GRID_LINE, lineWidth: major ? 0.8 : 0.25 });
+    if (cell % MAJOR_EVERY === 0 && cell > 0) {
+      items.push({ type: 'text', x, y: top - 4, text: String(cell), size: 6, anchor: 'middle' });
+    }
+  }
+  for (let row = 0; row <= tile.rows; row++) {
+    const cell = tile.y + row;
+    const y = top + row * cellSize;
+    const major = isMajor(cell, row, tile.rows);
+    items.push({ type: 'line', x1: left, y1: y, x2: right, y2: y, stroke: major ? '#000000' : GRID_LINE, lineWidth: major ? 0.8 : 0.25 });
+    if (cell % MAJOR_EVERY === 0 && cell > 0) {
+      items.push({ type: 'text', x: left - 3, y: y + 2, text: String(cell), size: 6, anchor: 'end' });
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Lay out the whole printable pattern: a cover page with an overview and the legend,
+ * then one chart page per tile. Pages are draw lists for encodePdf or pageToSvg.
+ * @param {object} pattern - From buildPattern
+ * @param {object} brand - Entry from CRAFT_BRANDS
+ * @param {object} options
+ * @param {string} options.title
+ * @param {{width: number, height: number}} options.pageSize - In points
+ * @param {number} options.cellSize - Chart cell size in points
+ * @param {boolean} options.colorCells - Fill chart cells with their color as well as the symbol
+ * @param {number} options.fabricCount - Stitches per inch for thread brands
+ * @returns {Array<{width: number, height: number, items: object[]}>}
+ */
+export function layoutPattern(pattern, brand, { title, pageSize, cellSize, colorCells, fabricCount }) {
+  const newPage = () => ({ width: pageSize.width, height: pageSize.height, items: [] });
+  const pages = [newPage()];
+  const cover = coverItems(pattern, brand, { title, fabricCount, pageSize });
+  pages[0].items.push(...cover.items);
+
+  // The legend flows down two columns, continuing on extra pages when there are many colors
+  const columnWidth = (pageSize.width - MARGIN * 2) / 2;
+  const legendHeader = (page, y) => {
+    page.items.push({ type: 'text', x: MARGIN, y, text: 'Legend', size: 12, bold: true });
+    page.items.push({ type: 'text', x: pageSize.width - MARGIN, y, text: `Count (${brand.unit})`, size: 7, fill: '#6B7280', anchor: 'end' });
+    return y + 10;
+  };
+  let page = pages[0];
+  let rowTop = legendHeader(page, cover.legendTop);
+  let columnTop = rowTop;
+  let column = 0;
+  pattern.legend.forEach((entry) => {
+    if (rowTop + LEGEND_ROW > pageSize.height - MARGIN) {
+      if (column === 0) {
+        column = 1;
+      } else {
+        page = newPage();
+        pages.push(page);
+        column = 0;
+        columnTop = legendHeader(page, MARGIN + HEADER);
+      }
+      rowTop = columnTop;
+    }
+    page.items.push(...legendRowItems(entry, MARGIN + column * columnWidth, rowTop, columnWidth, colorCells));
+    rowTop += LEGEND_ROW;
+  });
+
+  const tiles = planChartPages(pattern, pageSize, cellSize);
+  const firstChartPage = pages.length + 1;
+  tiles.forEach((tile) => {
+    const chart = newPage();
+    chart.items.push(...chartItems(pattern, tile, cellSize, colorCells));
+    chart.items.push({
+      type: 'text',
+      x: MARGIN,
+      y: MARGIN + 22,
+      size: 8,
+      text: `Columns ${tile.x + 1}-${tile.x + tile.columns}, rows ${tile.y + 1}-${tile.y + tile.rows}`,
+    });
+    pages.push(chart);
+  });
+
+  // Mark page boundaries on the overview once chart page numbers are known
+  if (tiles.length > 1) {
+    const { left, top, cell } = cover.overview;
+    tiles.forEach((tile, index) => {
+      const label = String(firstChartPage + index);
+      const x = left + (tile.x + tile.columns / 2) * cell;
+      const y = top + (tile.y + tile.rows / 2) * cell;
+      const labelWidth = measureText(label, 9) + 6;
+      pages[0].items.push(
+        { type: 'rect', x: left + tile.x * cell, y: top + tile.y * cell, width: tile.columns * cell, height: tile.rows * cell, stroke: '#E11D48', lineWidth: 0.8 },
+        { type: 'rect', x: x - labelWidth / 2, y: y - 7, width: labelWidth, height: 11, fill: '#FFFFFF' },
+        { type: 'text', x, y: y + 2, text: label, size: 9, bold: true, fill: '#E11D48', anchor: 'middle' }
+      );
+    });
+  }
+
+  pages.forEach((target, index) => {
+    if (index > 0) {
+      target.items.push({ type: 'text', x: MARGIN, y: MARGIN + 10, text: title, size: 11, bold: true });
+    }
+    target.items.push({
+      type: 'text',
+      x: pageSize.width - MARGIN,
+      y: index > 0 ? MARGIN + 10 : pageSize.height - MARGIN / 2,
+      text: `Page ${index + 1} of ${pages.length}`,
+      size: 8,
+      fill: '#6B7280',
+      anchor: 'end',
+    });
+  });
+
+  return pages;
+}
+
+const num = (value) => Math.round(value * 100) / 100;
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Render one laid-out page as a standalone SVG document sized in points.
+ * @param {{width: number, height: number, items: object[]}} page
+ * @returns {string}
+ */
+export function pageToSvg({ width, height, items }) {
+  const elements = items.map((item) => {
+    if (item.type === 'rect') {
+      const stroke = item.stroke ? ` stroke="${item.stroke}" stroke-width="${item.lineWidth || 1}"` : '';
+      return `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}" fill="${item.fill || 'none'}"${stroke}/>`;
+    }
+    if (item.type === 'line') {
+      return `<line x1="${num(item.x1)}" y1="${num(item.y1)}" x2="${num(item.x2)}" y2="${num(item.y2)}" stroke="${item.stroke}" stroke-width="${item.lineWidth || 1}"/>`;
+    }
+    const weight = item.bold ? ' font-weight="bold"' : '';
+    return `<text x="${num(item.x)}" y="${num(item.y)}" font-size="${num(item.size)}" fill="${item.fill || '#000000'}" text-anchor="${item.anchor || 'start'}"${weight}>${escapeXml(item.text)}</text>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    ...elements,
+    '</svg>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,93 @@
+import { buildPattern, finishedSize, planChartPages, layoutPattern } from './craftPattern';
+import { imageFromRows } from '../testUtils';
+
+const brand = {
+  id: 'test',
+  name: 'Test beads',
+  unit: 'beads',
+  pitchMm: 5,
+  boardSize: 29,
+  colors: [
+    { code: '1', name: 'Black', hex: '#000000', rgb: [0, 0, 0] },
+    { code: '2', name: 'White', hex: '#FFFFFF', rgb: [255, 255, 255] },
+    { code: '3', name: 'Red', hex: '#FF0000', rgb: [255, 0, 0] },
+  ],
+};
+
+const LETTER = { width: 612, height: 792 };
+
+describe('buildPattern', () => {
+  const pattern = buildPattern(imageFromRows([
+    [[250, 250, 250, 255], [10, 0, 0, 255], [240, 20, 10, 255]],
+    [[255, 255, 255, 255], [255, 255, 255, 255], [0, 0, 0, 0]],
+  ]), brand);
+
+  it('lists the brand colors used, most used first, each with its count', () => {
+    expect(pattern.legend.map((entry) => [entry.code, entry.count])).toEqual([['2', 3], ['1', 1], ['3', 1]]);
+  });
+
+  it('points every opaque cell at its legend entry and leaves transparent cells empty', () => {
+    expect([pattern.width, pattern.height]).toEqual([3, 2]);
+    expect(Array.from(pattern.cells)).toEqual([0, 1, 2, 0, 0, -1]);
+  });
+
+  it('gives every color a distinct symbol in a readable color', () => {
+    const symbols = pattern.legend.map((entry) => entry.symbol);
+    expect(new Set(symbols).size).toBe(symbols.length);
+    expect(pattern.legend.map((entry) => entry.symbolColor)).toEqual(['#000000', '#FFFFFF', '#FFFFFF']);
+  });
+});
+
+describe('finishedSize', () => {
+  it('uses the bead pitch and counts boards', () => {
+    expect(finishedSize({ width: 30, height: 20 }, brand, 14)).toEqual({ widthCm: 15, heightCm: 10, boards: { columns: 2, rows: 1 } });
+  });
+
+  it('uses the fabric count for thread', () => {
+    const size = finishedSize({ width: 14, height: 28 }, { ...brand, pitchMm: null, boardSize: null }, 14);
+    expect([size.widthCm, size.heightCm]).toEqual([2.54, 5.08]);
+    expect(size.boards).toBeNull();
+  });
+});
+
+describe('planChartPages', () => {
+  it('cuts pages on multiples of 10 cells so the bold lines line up', () => {
+    const tiles = planChartPages({ width: 90, height: 60 }, LETTER, 12);
+    expect(tiles).toEqual([
+      { x: 0, y: 0, columns: 40, rows: 50 },
+      { x: 40, y: 0, columns: 40, rows: 50 },
+      { x: 80, y: 0, columns: 10, rows: 50 },
+      { x: 0, y: 50, columns: 40, rows: 10 },
+      { x: 40, y: 50, columns: 40, rows: 10 },
+      { x: 80, y: 50, columns: 10, rows: 10 },
+    ]);
+  });
+
+  it('covers every cell exactly once', () => {
+    const pattern = { width: 137, height: 91 };
+    const covered = new Uint8Array(pattern.width * pattern.height);
+    planChartPages(pattern, LETTER, 7).forEach(({ x, y, columns, rows }) => {
+      for (let row = y; row < y + rows; row++) {
+        for (let column = x; column < x + columns; column++) covered[row * pattern.width + column]++;
+      }
+    });
+    expect(covered.every((count) => count === 1)).toBe(true);
+  });
+
+  it('fits a small pattern on one page and keeps at least one cell per page', () => {
+    expect(planChartPages({ width: 12, height: 8 }, LETTER, 12)).toEqual([{ x: 0, y: 0, columns: 12, rows: 8 }]);
+    expect(planChartPages({ width: 2, height: 1 }, { width: 100, height: 100 }, 50)).toHaveLength(2);
+  });
+});
+
+describe('layoutPattern', () => {
+  it('adds a cover page before one page per chart tile and numbers them', () => {
+    const grid = new ImageData(90, 60);
+    grid.data.fill(255);
+    const pattern = buildPattern(grid, brand);
+    const pages = layoutPattern(pattern, brand, { title: 'Test', pageSize: LETTER, cellSize: 12, colorCells: false, fabricCount: 14 });
+    expect(pages).toHaveLength(7);
+    expect(pages[6].items.some((item) => item.text === 'Page 7 of 7')).toBe(true);
+    expect(pages[3].items.some((item) => item.text === 'Columns 81-90, rows 1-50')).toBe(true);
+  });
+});
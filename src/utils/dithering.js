@@ -0,0 +1,250 @@
+// dithering.js - Error-diffusion and ordered dithering onto a fixed palette
+
+import { applyPalette, createColorMatcher } from './quantize';
+
+export const DITHER_MODES = [
+  { id: 'none', name: 'None' },
+  { id: 'floyd-steinberg', name: 'Floyd–Steinberg' },
+  { id: 'atkinson', name: 'Atkinson' },
+  { id: 'bayer2', name: 'Bayer 2×2' },
+  { id: 'bayer4', name: 'Bayer 4×4' },
+  { id: 'bayer8', name: 'Bayer 8×8' },
+  { id: 'blue-noise', name: 'Blue noise' },
+];
+
+// Error-diffusion kernels as [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16],
+  ],
+  // Atkinson only spreads 6/8 of the error, which keeps highlights crisp
+  atkinson: [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+  ],
+};
+
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+
+// Recursive Bayer construction: M(2n) = [4M, 4M+2; 4M+3, 4M+1]
+const bayerMatrix = (size) => {
+  let matrix = [[0]];
+  while (matrix.length < size) {
+    const n = matrix.length;
+    const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = matrix[y][x] * 4;
+        next[y][x] = v;
+        next[y][x + n] = v + 2;
+        next[y + n][x] = v + 3;
+        next[y + n][x + n] = v + 1;
+      }
+    }
+    matrix = next;
+  }
+  return { size, values: matrix.flat(), levels: size * size };
+};
+
+const BLUE_NOISE_SIZE = 32;
+let blueNoiseCache = null;
+
+// Small deterministic PRNG (mulberry32) so the noise texture is identical on every run
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = seed;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Void-and-cluster (Ulichney) on a torus, generated once and cached
+const blueNoiseMatrix = () => {
+  if (blueNoiseCache) {
+    return blueNoiseCache;
+  }
+
+  const size = BLUE_NOISE_SIZE;
+  const total = size * size;
+  const sigma = 1.5;
+  const kernel = new Float64Array(total);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = Math.min(x, size - x);
+      const dy = Math.min(y, size - y);
+      kernel[y * size + x] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+    }
+  }
+
+  const pattern = new Uint8Array(total);
+  const energy = new Float64Array(total);
+  const toggle = (index, sign) => {
+    pattern[index] = sign > 0 ? 1 : 0;
+    const px = index % size;
+    const py = Math.floor(index / size);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        energy[y * size + x] += sign * kernel[((y - py + size) % size) * size + ((x - px + size) % size)];
+      }
+    }
+  };
+  const extreme = (value, pickMax) => {
+    let best = -1;
+    for (let i = 0; i < total; i++) {
+      if (pattern[i] === value && (best === -1 || (pickMax ? energy[i] > energy[best] : energy[i] < energy[best]))) {
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  // Seed with ~10% random points, then relax until the largest void and tightest cluster coincide
+  const random = createRandom(0x5eed);
+  const initialCount = Math.floor(total / 10);
+  let placed = 0;
+  while (placed < initialCount) {
+    const index = Math.floor(random() * total);
+    if (!pattern[index]) {
+      toggle(index, 1);
+      placed++;
+    }
+  }
+  for (let guard = 0; guard < total; guard++) {
+    const cluster = extreme(1, true);
+    toggle(cluster, -1);
+    const voidIndex = extreme(0, false);
+    toggle(voidIndex, 1);
+    if (voidIndex === cluster) break;
+  }
+
+  const ranks = new Uint16Array(total);
+  const initial = pattern.slice();
+  const initialEnergy = energy.slice();
+
+  // Rank the seed points by removing the tightest cluster first
+  for (let rank = initialCount - 1; rank >= 0; rank--) {
+    const cluster = extreme(1, true);
+    toggle(cluster, -1);
+    ranks[cluster] = rank;
+  }
+
+  // Fill the remaining cells into the largest voids
+  pattern.set(initial);
+  energy.set(initialEnergy);
+  for (let rank = initialCount; rank < total; rank++) {
+    const voidIndex = extreme(0, false);
+    toggle(voidIndex, 1);
+    ranks[voidIndex] = rank;
+  }
+
+  blueNoiseCache = { size, values: Array.from(ranks), levels: total };
+  return blueNoiseCache;
+};
+
+const THRESHOLD_MAPS = {
+  bayer2: () => bayerMatrix(2),
+  bayer4: () => bayerMatrix(4),
+  bayer8: () => bayerMatrix(8),
+  'blue-noise': blueNoiseMatrix,
+};
+
+const diffuseError = (imageData, palette, kernel, strength) => {
+  const { data, width, height } = imageData;
+  const match = createColorMatcher(palette);
+  const buffer = new Float32Array(width * height * 3);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    buffer[j] = data[i];
+    buffer[j + 1] = data[i + 1];
+    buffer[j + 2] = data[i + 2];
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const j = pixel * 3;
+      const r = clampByte(buffer[j]);
+      const g = clampByte(buffer[j + 1]);
+      const b = clampByte(buffer[j + 2]);
+      const color = palette[match(r, g, b)];
+
+      data[pixel * 4] = color[0];
+      data[pixel * 4 + 1] = color[1];
+      data[pixel * 4 + 2] = color[2];
+
+      // Transparent pixels neither carry nor receive error
+      if (data[pixel * 4 + 3] < 128) continue;
+
+      const errors = [(r - color[0]) * strength, (g - color[1]) * strength, (b - color[2]) * strength];
+      kernel.forEach(([dx, dy, weight]) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) return;
+        const target = ny * width + nx;
+        if (data[target * 4 + 3] < 128) return;
+        buffer[target * 3] += errors[0] * weight;
+        buffer[target * 3 + 1] += errors[1] * weight;
+        buffer[target * 3 + 2] += errors[2] * weight;
+      });
+    }
+  }
+
+  return imageData;
+};
+
+const orderedDither = (imageData, palette, map, strength) => {
+  const { data, width, height } = imageData;
+  const match = createColorMatcher(palette);
+  // Offset amplitude roughly matches the spacing between palette colors
+  const spread = (128 / Math.cbrt(palette.length)) * strength;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const rank = map.values[(y % map.size) * map.size + (x % map.size)];
+      const offset = ((rank + 0.5) / map.levels - 0.5) * spread;
+      const color = palette[match(
+        clampByte(data[i] + offset),
+        clampByte(data[i + 1] + offset),
+        clampByte(data[i + 2] + offset)
+      )];
+      data[i] = color[0];
+      data[i + 1] = color[1];
+      data[i + 2] = color[2];
+    }
+  }
+
+  return imageData;
+};
+
+/**
+ * Map an ImageData onto a palette, in place, using the chosen dithering mode.
+ * @param {ImageData} imageData - Pixels to remap
+ * @param {Array<[number, number, number]>} palette - Target palette
+ * @param {{mode?: string, strength?: number}} options - Dither mode id and strength (0-1)
+ * @returns {ImageData} The same ImageData
+ */
+export function ditherImageData(imageData, palette, { mode = 'none', strength = 1 } = {}) {
+  if (!palette.length) {
+    return imageData;
+  }
+  if (mode === 'none' || strength <= 0) {
+    return applyPalette(imageData, palette);
+  }
+
+  if (DIFFUSION_KERNELS[mode]) {
+    return diffuseError(imageData, palette, DIFFUSION_KERNELS[mode], strength);
+  }
+  if (THRESHOLD_MAPS[mode]) {
+    return orderedDither(imageData, palette, THRESHOLD_MAPS[mode](), strength);
+  }
+
+  console.warn(`Unknown dither mode: ${mode}`);
+  return applyPalette(imageData, palette);
+}
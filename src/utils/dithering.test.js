@@ -0,0 +1,73 @@
+import { ditherImageData } from './dithering';
+
+const BLACK_AND_WHITE = [[0, 0, 0], [255, 255, 255]];
+
+const flat = (size, value) => {
+  const image = new ImageData(size, size);
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data.fill(value, i, i + 3);
+    image.data[i + 3] = 255;
+  }
+  return image;
+};
+
+const whiteCount = (image) => {
+  let count = 0;
+  for (let i = 0; i < image.data.length; i += 4) if (image.data[i]) count++;
+  return count;
+};
+
+const ORDERED = [['bayer2', 2], ['bayer4', 4], ['bayer8', 8], ['blue-noise', 32]];
+
+describe('ordered dithering', () => {
+  it.each(ORDERED)('%s centres its thresholds on zero', (mode, size) => {
+    // At this strength the offsets are far wider than the gap between the gray and the
+    // black/white decision point, so each pixel's color depends only on its offset's sign
+    const image = ditherImageData(flat(size, 119), BLACK_AND_WHITE, { mode, strength: 100 });
+    expect(whiteCount(image)).toBe((size * size) / 2);
+  });
+
+  it.each(ORDERED)('%s keeps its offsets inside the palette spacing', (mode, size) => {
+    expect(whiteCount(ditherImageData(flat(size, 0), BLACK_AND_WHITE, { mode }))).toBe(0);
+    expect(whiteCount(ditherImageData(flat(size, 255), BLACK_AND_WHITE, { mode }))).toBe(size * size);
+  });
+
+  it('repeats the Bayer tile across the image', () => {
+    const image = ditherImageData(flat(8, 128), BLACK_AND_WHITE, { mode: 'bayer2' });
+    const at = (x, y) => image.data[(y * 8 + x) * 4];
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) expect(at(x, y)).toBe(at(x % 2, y % 2));
+    }
+  });
+
+  it('generates the same blue noise on every run', () => {
+    const render = () => {
+      let pixels;
+      jest.isolateModules(() => {
+        const { ditherImageData: dither } = require('./dithering');
+        pixels = Array.from(dither(flat(32, 128), BLACK_AND_WHITE, { mode: 'blue-noise' }).data);
+      });
+      return pixels;
+    };
+    expect(render()).toEqual(render());
+  });
+});
+
+describe('ditherImageData', () => {
+  it('maps straight onto the palette without dithering', () => {
+    const image = ditherImageData(flat(2, 100), BLACK_AND_WHITE, { mode: 'bayer4', strength: 0 });
+    expect(whiteCount(image)).toBe(0);
+  });
+
+  it('spreads the error of a mid gray with Floyd-Steinberg', () => {
+    expect(whiteCount(ditherImageData(flat(8, 128), BLACK_AND_WHITE, { mode: 'floyd-steinberg' }))).toBe(32);
+  });
+
+  it('leaves transparent pixels out of error diffusion', () => {
+    const image = flat(2, 128);
+    image.data[3] = 0;
+    ditherImageData(image, BLACK_AND_WHITE, { mode: 'atkinson' });
+    expect(image.data[3]).toBe(0);
+    expect(Array.from(image.data.subarray(4, 8))).toEqual([255, 255, 255, 255]);
+  });
+});
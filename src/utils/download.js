@@ -0,0 +1,27 @@
+// download.js - Trigger browser downloads for generated files
+
+/**
+ * Download a URL (data:, blob: or same-origin) under the given file name.
+ * @param {string} url
+ * @param {string} fileName
+ */
+export function downloadUrl(url, fileName) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Download a Blob under the given file name.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, fileName);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,170 @@
+// downsample.js - Block reduction kernels that turn full-resolution pixels into the pixel grid
+
+export const SAMPLING_MODES = [
+  { id: 'nearest', name: 'Nearest (point sample)' },
+  { id: 'average', name: 'Average' },
+  { id: 'mode', name: 'Dominant color' },
+  { id: 'median', name: 'Median' },
+  { id: 'edge', name: 'Edge-aware' },
+];
+
+// Pixels below this alpha do not contribute color; cells that are mostly such pixels stay transparent
+const ALPHA_CUTOFF = 128;
+
+// Cells whose luma range is below this are treated as flat and averaged
+const EDGE_CONTRAST = 48;
+
+// Share of a contrasting cell the dark side needs to claim it, so thin outlines survive
+const EDGE_MIN_SHARE = 0.05;
+
+const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+/**
+ * Reduce full-resolution pixels to a grid of cells with the chosen kernel.
+ * @param {ImageData} source - Full-resolution pixels
+ * @param {number} columns - Grid width
+ * @param {number} rows - Grid height
+ * @param {{x: number, y: number, width: number, height: number}} draw - Where the source lands on the grid, in cells
+ * @param {string} mode - A SAMPLING_MODES id other than 'nearest'
+ * @returns {ImageData}
+ */
+export function downsampleImageData(source, columns, rows, draw, mode) {
+  const { width, height, data } = source;
+  const output = new ImageData(columns, rows);
+  const out = output.data;
+
+  // Scratch buffers sized for the largest cell
+  const maxCell = (Math.ceil(width / draw.width) + 1) * (Math.ceil(height / draw.height) + 1);
+  const reds = new Uint8Array(maxCell);
+  const greens = new Uint8Array(maxCell);
+  const blues = new Uint8Array(maxCell);
+  const counts = new Uint32Array(32768);
+  const touched = new Uint16Array(maxCell);
+
+  for (let cy = 0; cy < rows; cy++) {
+    const top = Math.max(0, Math.floor(((cy - draw.y) * height) / draw.height));
+    const bottom = Math.min(height, Math.max(top + 1, Math.floor(((cy + 1 - draw.y) * height) / draw.height)));
+
+    for (let cx = 0; cx < columns; cx++) {
+      const left = Math.max(0, Math.floor(((cx - draw.x) * width) / draw.width));
+      const right = Math.min(width, Math.max(left + 1, Math.floor(((cx + 1 - draw.x) * width) / draw.width)));
+      const target = (cy * columns + cx) * 4;
+
+      // Letterbox cells outside the drawn source stay transparent
+      if (left >= width || top >= height || right <= 0 || bottom <= 0 ||
+        cx < draw.x || cy < draw.y || cx >= draw.x + draw.width || cy >= draw.y + draw.height) {
+        continue;
+      }
+
+      let opaque = 0;
+      let total = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const i = (y * width + x) * 4;
+          total++;
+          if (data[i + 3] >= ALPHA_CUTOFF) {
+            reds[opaque] = data[i];
+            greens[opaque] = data[i + 1];
+            blues[opaque] = data[i + 2];
+            opaque++;
+          }
+        }
+      }
+      if (opaque * 2 < total) {
+        continue;
+      }
+
+      let r;
+      let g;
+      let b;
+      if (mode === 'median') {
+        const middle = opaque >> 1;
+        r = reds.subarray(0, opaque).sort()[middle];
+        g = greens.subarray(0, opaque).sort()[middle];
+        b = blues.subarray(0, opaque).sort()[middle];
+      } else if (mode === 'mode') {
+        // Most common 15-bit color, then the exact average of the pixels in that bucket
+        let touchedCount = 0;
+        let best = 0;
+        for (let p = 0; p < opaque; p++) {
+          const key = ((reds[p] >> 3) << 10) | ((greens[p] >> 3) << 5) | (blues[p] >> 3);
+          if (counts[key] === 0) touched[touchedCount++] = key;
+          counts[key]++;
+          if (counts[key] > counts[best]) best = key;
+        }
+        let sumR = 0;
+        let sumG = 0;
+        let sumB = 0;
+        for (let p = 0; p < opaque; p++) {
+          const key = ((reds[p] >> 3) << 10) | ((greens[p] >> 3) << 5) | (blues[p] >> 3);
+          if (key === best) {
+            sumR += reds[p];
+            sumG += greens[p];
+            sumB += blues[p];
+          }
+        }
+        const bestCount = counts[best];
+        r = sumR / bestCount;
+        g = sumG / bestCount;
+        b = sumB / bestCount;
+        for (let t = 0; t < touchedCount; t++) counts[touched[t]] = 0;
+      } else {
+        let sumR = 0;
+        let sumG = 0;
+        let sumB = 0;
+        let minLuma = 255;
+        let maxLuma = 0;
+        let sumLuma = 0;
+        for (let p = 0; p < opaque; p++) {
+          sumR += reds[p];
+          sumG += greens[p];
+          sumB += blues[p];
+          if (mode === 'edge') {
+            const value = luma(reds[p], greens[p], blues[p]);
+            sumLuma += value;
+            if (value < minLuma) minLuma = value;
+            if (value > maxLuma) maxLuma = value;
+          }
+        }
+        r = sumR / opaque;
+        g = sumG / opaque;
+        b = sumB / opaque;
+
+        // Edge cells take one side of the edge instead of a muddy blend,
+        // preferring the darker side so outlines stay continuous
+        if (mode === 'edge' && maxLuma - minLuma >= EDGE_CONTRAST) {
+          const split = sumLuma / opaque;
+          let dark = 0;
+          let darkR = 0;
+          let darkG = 0;
+          let darkB = 0;
+          for (let p = 0; p < opaque; p++) {
+            if (luma(reds[p], greens[p], blues[p]) < split) {
+              dark++;
+              darkR += reds[p];
+              darkG += greens[p];
+              darkB += blues[p];
+            }
+          }
+          const light = opaque - dark;
+          if (dark >= opaque * EDGE_MIN_SHARE) {
+            r = darkR / dark;
+            g = darkG / dark;
+            b = darkB / dark;
+          } else if (light > 0) {
+            r = (sumR - darkR) / light;
+            g = (sumG - darkG) / light;
+            b = (sumB - darkB) / light;
+          }
+        }
+      }
+
+      out[target] = Math.round(r);
+      out[target + 1] = Math.round(g);
+      out[target + 2] = Math.round(b);
+      out[target + 3] = 255;
+    }
+  }
+
+  return output;
+}
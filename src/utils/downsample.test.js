@@ -0,0 +1,59 @@
+import { downsampleImageData } from './downsample';
+import { imageFromRows } from '../testUtils';
+
+const RED = [255, 0, 0, 255];
+const DARK_RED = [250, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const GRAY = [100, 100, 100, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// Reduce a whole image to one cell
+const cellOf = (rows, mode) => {
+  const source = imageFromRows(rows);
+  return Array.from(downsampleImageData(source, 1, 1, { x: 0, y: 0, width: 1, height: 1 }, mode).data);
+};
+
+describe('downsampleImageData', () => {
+  it('averages every pixel of a cell', () => {
+    expect(cellOf([[RED, BLUE], [RED, BLUE]], 'average')).toEqual([128, 0, 128, 255]);
+  });
+
+  it('takes the dominant color, averaged within its bucket', () => {
+    expect(cellOf([[RED, DARK_RED], [BLUE, BLUE], [WHITE, RED]], 'mode')).toEqual([253, 0, 0, 255]);
+  });
+
+  it('takes the per-channel median', () => {
+    expect(cellOf([[BLACK, GRAY, WHITE]], 'median')).toEqual([100, 100, 100, 255]);
+    expect(cellOf([[BLACK, WHITE, WHITE]], 'median')).toEqual([255, 255, 255, 255]);
+  });
+
+  it('keeps the dark side of an edge, however thin', () => {
+    const rows = [Array(16).fill(WHITE), Array(16).fill(WHITE), Array(16).fill(WHITE), Array(16).fill(WHITE)];
+    rows[1][3] = BLACK;
+    rows[2][3] = BLACK;
+    rows[3][3] = BLACK;
+    rows[3][4] = BLACK;
+    expect(cellOf(rows, 'edge')).toEqual(BLACK);
+    expect(cellOf(rows, 'average')).not.toEqual(BLACK);
+  });
+
+  it('averages low-contrast edge cells', () => {
+    expect(cellOf([[[100, 100, 100, 255], [120, 120, 120, 255]]], 'edge')).toEqual([110, 110, 110, 255]);
+  });
+
+  it('leaves mostly transparent cells and letterbox cells empty', () => {
+    expect(cellOf([[CLEAR, CLEAR], [CLEAR, RED]], 'average')).toEqual(CLEAR);
+    expect(cellOf([[CLEAR, RED], [CLEAR, RED]], 'average')).toEqual(RED);
+    const source = imageFromRows([[RED, RED], [RED, RED]]);
+    const grid = downsampleImageData(source, 3, 1, { x: 1, y: 0, width: 1, height: 1 }, 'average');
+    expect(Array.from(grid.data)).toEqual([CLEAR, RED, CLEAR].flat());
+  });
+
+  it('splits the source into cells by the draw area', () => {
+    const source = imageFromRows([[RED, RED, BLUE, BLUE], [RED, RED, BLUE, BLUE]]);
+    const grid = downsampleImageData(source, 2, 1, { x: 0, y: 0, width: 2, height: 1 }, 'median');
+    expect(Array.from(grid.data)).toEqual([RED, BLUE].flat());
+  });
+});
@@ -0,0 +1,176 @@
+// exportImage.js - Turn the native-resolution pixel grid into downloadable images
+
+import { encodeIndexedPng, encodeGif, encodeBmp, encodeSvg } from './imageEncoders';
+import { drawGridLines } from './gridLines';
+
+// Integer upscales offered for export; 1 is the true 1:1 pixel grid
+export const EXPORT_SCALES = [1, 2, 4, 8, 16];
+
+/**
+ * Nearest-neighbour upscale of an ImageData by an integer factor.
+ * Pixels are replicated directly, so the result never depends on browser smoothing.
+ * @param {ImageData} grid - Native-resolution pixels
+ * @param {number} scale - Integer factor (1 returns a copy)
+ * @returns {ImageData}
+ */
+export function scaleImageData(grid, scale) {
+  const factor = Math.max(1, Math.floor(scale));
+  const width = grid.width * factor;
+  const height = grid.height * factor;
+  const source = new Uint32Array(grid.data.buffer, grid.data.byteOffset, grid.width * grid.height);
+  const output = new ImageData(width, height);
+  const target = new Uint32Array(output.data.buffer);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = Math.floor(y / factor) * grid.width;
+    const targetRow = y * width;
+    for (let x = 0; x < width; x++) {
+      target[targetRow + x] = source[sourceRow + Math.floor(x / factor)];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Lay same-sized frames out left to right, top to bottom on one transparent sheet.
+ * @param {ImageData[]} frames - Native-resolution frames
+ * @param {number} columns - Frames per row
+ * @returns {ImageData}
+ */
+export function buildSpriteSheet(frames, columns) {
+  const { width, height } = frames[0];
+  const perRow = Math.max(1, Math.min(columns, frames.length));
+  const sheet = new ImageData(width * perRow, height * Math.ceil(frames.length / perRow));
+  frames.forEach((frame, index) => {
+    const left = (index % perRow) * width;
+    const top = Math.floor(index / perRow) * height;
+    for (let y = 0; y < height; y++) {
+      const row = frame.data.subarray(y * width * 4, (y + 1) * width * 4);
+      sheet.data.set(row, ((top + y) * sheet.width + left) * 4);
+    }
+  });
+  return sheet;
+}
+
+/**
+ * Draw the pixel grid onto a new canvas at an integer scale.
+ * @param {ImageData} grid - Native-resolution pixels
+ * @param {number} [scale=1] - Integer factor
+ * @returns {HTMLCanvasElement}
+ */
+export function gridToCanvas(grid, scale = 1) {
+  const pixels = scale > 1 ? scaleImageData(grid, scale) : grid;
+  const canvas = document.createElement('canvas');
+  canvas.width = pixels.width;
+  canvas.height = pixels.height;
+  canvas.getContext('2d').putImageData(pixels, 0, 0);
+  return canvas;
+}
+
+/**
+ * Draw the pixel grid back at preview size, each cell blown up to `cell` pixels
+ * and cropped to the original image size.
+ * @param {ImageData} grid - Native-resolution pixels
+ * @param {{width: number, height: number}} cell - Cell size in preview pixels
+ * @param {number} width - Preview width
+ * @param {number} height - Preview height
+ * @returns {HTMLCanvasElement}
+ */
+export function gridToPreviewCanvas(grid, cell, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(gridToCanvas(grid), 0, 0, grid.width * cell.width, grid.height * cell.height);
+  return canvas;
+}
+
+/**
+ * Promise wrapper around canvas.toBlob.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type='image/png']
+ * @param {number} [quality]
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Could not encode canvas as ${type}`));
+      }
+    }, type, quality);
+  });
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'png', name: 'PNG (truecolor)', extension: 'png' },
+  { id: 'png8', name: 'PNG (8-bit indexed)', extension: 'png' },
+  { id: 'gif', name: 'GIF', extension: 'gif' },
+  { id: 'webp', name: 'WebP', extension: 'webp' },
+  { id: 'bmp', name: 'BMP', extension: 'bmp' },
+  { id: 'svg', name: 'SVG (vector)', extension: 'svg' },
+];
+
+export const getExportFormat = (id) => EXPORT_FORMATS.find((format) => format.id === id);
+
+// Bake grid lines into an already upscaled image; each cell is `scale` pixels wide
+const withGridLines = (pixels, scale, gridLines) => {
+  const canvas = gridToCanvas(pixels);
+  const ctx = canvas.getContext('2d');
+  drawGridLines(ctx, {
+    columns: pixels.width / scale,
+    rows: pixels.height / scale,
+    cellWidth: scale,
+    cellHeight: scale,
+    color: gridLines.color,
+    opacity: gridLines.opacity,
+    majorEvery: gridLines.majorEvery,
+  });
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Encode the pixel grid in one of the EXPORT_FORMATS at an integer scale.
+ * @param {ImageData} grid - Native-resolution pixels
+ * @param {string} format - Format id
+ * @param {number} [scale=1] - Integer factor; SVG keeps one rect per pixel run and only scales its display size
+ * @param {object} [options]
+ * @param {object|null} [options.gridLines] - Grid line options (see DEFAULT_GRID_OPTIONS) to bake into the file
+ * @returns {Promise<Blob>}
+ */
+export async function exportGrid(grid, format, scale = 1, { gridLines = null } = {}) {
+  if (format === 'svg') {
+    return encodeSvg(grid, scale, gridLines);
+  }
+
+  let pixels = scale > 1 ? scaleImageData(grid, scale) : grid;
+  if (gridLines) {
+    pixels = withGridLines(pixels, scale, gridLines);
+  }
+
+  switch (format) {
+    case 'png8':
+      return encodeIndexedPng(pixels);
+    case 'gif':
+      return encodeGif(pixels);
+    case 'bmp':
+      return encodeBmp(pixels);
+    case 'webp': {
+      // Quality 1 is lossless in Chromium only; Firefox writes lossy WebP and
+      // Safari may fall back to PNG, which is refused below
+      const blob = await canvasToBlob(gridToCanvas(pixels), 'image/webp', 1);
+      if (blob.type !== 'image/webp') {
+        throw new Error('This browser cannot encode WebP images');
+      }
+      return blob;
+    }
+    case 'png':
+      return canvasToBlob(gridToCanvas(pixels));
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
@@ -0,0 +1,43 @@
+// fileNames.js - Build download file names from user templates
+
+export const DEFAULT_FILENAME_TEMPLATE = '{name}-pixel-{width}x{height}';
+
+// Last template typed in the export dialog, reused for batch downloads
+export const FILENAME_TEMPLATE_STORAGE_KEY = 'pixelart_filename_template';
+
+export const FILENAME_TOKENS = ['name', 'width', 'height', 'scale', 'palette', 'colors', 'date'];
+
+/**
+ * Fill a file name template such as "{name}-{width}x{height}" and append the extension.
+ * Unknown tokens are left as-is; characters that are unsafe in file names are replaced.
+ * @param {string} template - Template with {token} placeholders
+ * @param {object} values - Token values
+ * @param {string} extension - Extension without the dot
+ * @returns {string}
+ */
+export function formatFileName(template, values, extension) {
+  const filled = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)\}/g, (match, token) =>
+    values[token] !== undefined && values[token] !== null ? String(values[token]) : match
+  );
+  const safe = filled.replace(/[\\/:*?"<>|\s]+/g, '-').replace(/^-+|-+$/g, '') || 'pixel-art';
+  return `${safe}.${extension}`;
+}
+
+/**
+ * Strip the extension from an uploaded file name.
+ * @param {string} fileName
+ * @returns {string}
+ */
+export const baseName = (fileName) => (fileName || 'image').replace(/\.[^.]+$/, '');
+
+/**
+ * The file name template last used in the export dialog.
+ * @returns {string}
+ */
+export function loadFileNameTemplate() {
+  try {
+    return localStorage.getItem(FILENAME_TEMPLATE_STORAGE_KEY) || DEFAULT_FILENAME_TEMPLATE;
+  } catch (storageError) {
+    return DEFAULT_FILENAME_TEMPLATE;
+  }
+}
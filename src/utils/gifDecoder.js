@@ -0,0 +1,205 @@
+// gifDecoder.js - Animated GIF decoder for browsers without ImageDecoder; yields composited RGBA frames
+
+// Browsers play delays of 0 or 1 centisecond at this speed instead
+const DEFAULT_DELAY_MS = 100;
+
+const lzwDecode = (minCodeSize, data, pixelCount) => {
+  const output = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = clearCode + 2;
+  let previous = -1;
+  let first = 0;
+  let bits = 0;
+  let buffer = 0;
+  let position = 0;
+  let written = 0;
+
+  while (written < pixelCount) {
+    while (bits < codeSize) {
+      if (position >= data.length) return output;
+      buffer |= data[position++] << bits;
+      bits += 8;
+    }
+    let code = buffer & ((1 << codeSize) - 1);
+    buffer >>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = clearCode + 2;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+    if (previous === -1) {
+      first = suffix[code];
+      output[written++] = first;
+      previous = code;
+      continue;
+    }
+
+    const current = code;
+    let depth = 0;
+    if (code >= nextCode) {
+      stack[depth++] = first;
+      code = previous;
+    }
+    while (code > endCode) {
+      stack[depth++] = suffix[code];
+      code = prefix[code];
+    }
+    first = suffix[code];
+    stack[depth++] = first;
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = first;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    previous = current;
+    while (depth > 0 && written < pixelCount) output[written++] = stack[--depth];
+  }
+  return output;
+};
+
+// Interlaced images store rows in four passes
+const interlacedRows = (height) => {
+  const rows = [];
+  [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+    for (let y = start; y < height; y += step) rows.push(y);
+  });
+  return rows;
+};
+
+/**
+ * Decode the frames of a GIF, composited the way browsers play it.
+ * @param {Uint8Array} bytes - GIF file contents
+ * @param {object} [options]
+ * @param {number} [options.maxFrames=Infinity] - Stop after this many frames; each one is a
+ *   full-canvas copy, so long or large GIFs should not be decoded to the end
+ * @returns {{width: number, height: number, frames: Array<{data: Uint8ClampedArray, delay: number}>}}
+ *   Each frame is full-canvas RGBA; delay is in milliseconds
+ */
+export function decodeGif(bytes, { maxFrames = Infinity } = {}) {
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+    throw new Error('Not a GIF file');
+  }
+
+  const read16 = (at) => bytes[at] | (bytes[at + 1] << 8);
+  const width = read16(6);
+  const height = read16(8);
+  const readColorTable = (at, size) => {
+    const table = [];
+    for (let i = 0; i < size; i++) table.push([bytes[at + i * 3], bytes[at + i * 3 + 1], bytes[at + i * 3 + 2]]);
+    return table;
+  };
+
+  let position = 13;
+  let globalTable = null;
+  if (bytes[10] & 0x80) {
+    const size = 1 << ((bytes[10] & 7) + 1);
+    globalTable = readColorTable(position, size);
+    position += size * 3;
+  }
+
+  const readSubBlocks = () => {
+    const chunks = [];
+    let total = 0;
+    while (position < bytes.length && bytes[position] !== 0) {
+      const length = bytes[position];
+      chunks.push(bytes.subarray(position + 1, position + 1 + length));
+      total += length;
+      position += length + 1;
+    }
+    position++;
+    const joined = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      joined.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return joined;
+  };
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+  let control = { disposal: 0, transparentIndex: -1, delay: 0 };
+
+  while (position < bytes.length && frames.length < maxFrames) {
+    const block = bytes[position++];
+    if (block === 0x3b) break;
+
+    if (block === 0x21) {
+      const label = bytes[position++];
+      if (label === 0xf9) {
+        const packed = bytes[position + 1];
+        control = {
+          disposal: (packed >> 2) & 7,
+          transparentIndex: packed & 1 ? bytes[position + 4] : -1,
+          delay: read16(position + 2),
+        };
+      }
+      readSubBlocks();
+      continue;
+    }
+
+    if (block !== 0x2c) {
+      break;
+    }
+
+    const left = read16(position);
+    const top = read16(position + 2);
+    const frameWidth = read16(position + 4);
+    const frameHeight = read16(position + 6);
+    const packed = bytes[position + 8];
+    position += 9;
+    let table = globalTable;
+    if (packed & 0x80) {
+      const size = 1 << ((packed & 7) + 1);
+      table = readColorTable(position, size);
+      position += size * 3;
+    }
+    const minCodeSize = bytes[position++];
+    const indices = lzwDecode(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+    const rows = packed & 0x40 ? interlacedRows(frameHeight) : null;
+
+    const saved = control.disposal === 3 ? canvas.slice() : null;
+    for (let row = 0; row < frameHeight; row++) {
+      const y = top + (rows ? rows[row] : row);
+      if (y >= height) continue;
+      for (let column = 0; column < frameWidth; column++) {
+        const x = left + column;
+        const index = indices[row * frameWidth + column];
+        if (x >= width || index === control.transparentIndex || !table || index >= table.length) continue;
+        const i = (y * width + x) * 4;
+        canvas[i] = table[index][0];
+        canvas[i + 1] = table[index][1];
+        canvas[i + 2] = table[index][2];
+        canvas[i + 3] = 255;
+      }
+    }
+
+    frames.push({ data: canvas.slice(), delay: control.delay > 1 ? control.delay * 10 : DEFAULT_DELAY_MS });
+
+    // Disposal decides what the next frame is drawn over
+    if (control.disposal === 2) {
+      for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+        canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + frameWidth)) * 4);
+      }
+    } else if (saved) {
+      canvas.set(saved);
+    }
+    control = { disposal: 0, transparentIndex: -1, delay: 0 };
+  }
+
+  return { width, height, frames };
+}
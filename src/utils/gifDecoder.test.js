@@ -0,0 +1,85 @@
+import { GIFEncoder } from 'gifenc';
+import { decodeGif } from './gifDecoder';
+
+const PALETTE = [[0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255]];
+
+/**
+ * Encode a GIF from indexed frames; gifenc always writes full-canvas frames.
+ * @param {Array<{indices: number[], delay?: number, transparent?: boolean, dispose?: number}>} frames
+ */
+const gif = (width, height, frames, palette = PALETTE) => {
+  const encoder = GIFEncoder();
+  frames.forEach(({ indices, delay = 100, transparent = false, dispose = -1 }, i) => {
+    encoder.writeFrame(Uint8Array.from(indices), width, height, {
+      palette: i === 0 ? palette : undefined,
+      delay,
+      transparent,
+      transparentIndex: 0,
+      dispose,
+    });
+  });
+  encoder.finish();
+  return encoder.bytes();
+};
+
+// RGB triples of a decoded frame, with fully transparent pixels as null
+const colors = (frame) => {
+  const result = [];
+  for (let i = 0; i < frame.data.length; i += 4) {
+    result.push(frame.data[i + 3] ? Array.from(frame.data.subarray(i, i + 3)) : null);
+  }
+  return result;
+};
+
+describe('decodeGif', () => {
+  it('reads the size, pixels and delay of every frame', () => {
+    const { width, height, frames } = decodeGif(gif(2, 2, [
+      { indices: [1, 2, 3, 0], delay: 200 },
+      { indices: [3, 3, 1, 1], delay: 50 },
+    ]));
+    expect([width, height]).toEqual([2, 2]);
+    expect(frames).toHaveLength(2);
+    expect(colors(frames[0])).toEqual([[255, 0, 0], [0, 255, 0], [0, 0, 255], [0, 0, 0]]);
+    expect(colors(frames[1])).toEqual([[0, 0, 255], [0, 0, 255], [255, 0, 0], [255, 0, 0]]);
+    expect(frames.map((frame) => frame.delay)).toEqual([200, 50]);
+  });
+
+  it('plays delays of 0 or 1 centisecond at the browser default', () => {
+    const { frames } = decodeGif(gif(1, 1, [{ indices: [1], delay: 0 }, { indices: [2], delay: 10 }]));
+    expect(frames.map((frame) => frame.delay)).toEqual([100, 100]);
+  });
+
+  it('decodes images with many colors and long LZW codes', () => {
+    const palette = Array.from({ length: 256 }, (_, i) => [i, 255 - i, (i * 7) % 256]);
+    const indices = Array.from({ length: 32 * 32 }, (_, p) => (p * 13 + (p >> 5)) % 256);
+    const { frames } = decodeGif(gif(32, 32, [{ indices }], palette));
+    expect(colors(frames[0])).toEqual(indices.map((index) => palette[index]));
+  });
+
+  it('draws transparent pixels over the previous frame', () => {
+    const { frames } = decodeGif(gif(2, 1, [
+      { indices: [1, 2], dispose: 1 },
+      { indices: [0, 3], transparent: true, dispose: 1 },
+    ]));
+    expect(colors(frames[1])).toEqual([[255, 0, 0], [0, 0, 255]]);
+  });
+
+  it('clears the frame area before the next frame when asked', () => {
+    const { frames } = decodeGif(gif(2, 1, [
+      { indices: [1, 2], dispose: 2 },
+      { indices: [0, 3], transparent: true },
+    ]));
+    expect(colors(frames[1])).toEqual([null, [0, 0, 255]]);
+  });
+
+  it('stops decoding at maxFrames', () => {
+    const bytes = gif(1, 1, [1, 2, 3, 1, 2].map((index) => ({ indices: [index] })));
+    expect(decodeGif(bytes).frames).toHaveLength(5);
+    const { frames } = decodeGif(bytes, { maxFrames: 2 });
+    expect(frames.map(colors)).toEqual([[[255, 0, 0]], [[0, 255, 0]]]);
+  });
+
+  it('rejects other files', () => {
+    expect(() => decodeGif(new TextEncoder().encode('\x89PNG\r\n\x1a\n'))).toThrow('Not a GIF file');
+  });
+});
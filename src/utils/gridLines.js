@@ -0,0 +1,47 @@
+// gridLines.js - Pixel grid lines shared by the preview overlay and grid exports
+
+export const DEFAULT_GRID_OPTIONS = {
+  enabled: false,
+  color: '#000000',
+  opacity: 0.35,
+  majorEvery: 10,
+};
+
+/**
+ * Draw pixel grid lines onto a 2D context. Every `majorEvery`-th line is drawn twice as thick.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} options
+ * @param {number} options.columns - Number of grid columns
+ * @param {number} options.rows - Number of grid rows
+ * @param {number} options.cellWidth - Cell width in context pixels
+ * @param {number} options.cellHeight - Cell height in context pixels
+ * @param {string} options.color - Line color
+ * @param {number} options.opacity - Line opacity (0-1)
+ * @param {number} [options.majorEvery=0] - Major line spacing in cells, 0 to disable
+ * @param {number} [options.lineWidth=1] - Minor line width in context pixels
+ */
+export function drawGridLines(ctx, { columns, rows, cellWidth, cellHeight, color, opacity, majorEvery = 0, lineWidth = 1 }) {
+  const width = columns * cellWidth;
+  const height = rows * cellHeight;
+  const isMajor = (index) => majorEvery > 0 && index % majorEvery === 0;
+
+  // One path for every line, so crossings are not painted twice at partial opacity
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+
+  for (let column = 0; column <= columns; column++) {
+    const size = isMajor(column) ? lineWidth * 2 : lineWidth;
+    const x = Math.min(Math.round(column * cellWidth - size / 2), Math.round(width - size));
+    ctx.rect(Math.max(0, x), 0, size, height);
+  }
+  for (let row = 0; row <= rows; row++) {
+    const size = isMajor(row) ? lineWidth * 2 : lineWidth;
+    const y = Math.min(Math.round(row * cellHeight - size / 2), Math.round(height - size));
+    ctx.rect(0, Math.max(0, y), width, size);
+  }
+
+  ctx.fill();
+  ctx.restore();
+}
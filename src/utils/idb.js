@@ -0,0 +1,76 @@
+// idb.js - Small promise wrapper around the app's IndexedDB database
+
+const DB_NAME = 'image-to-art';
+const DB_VERSION = 2;
+
+// Object store holding user presets, keyed by preset id
+export const PRESETS_STORE = 'presets';
+
+// Object store holding the last session (source image and settings) under fixed keys
+export const SESSION_STORE = 'session';
+
+let databasePromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Opened once and shared; a failed open is forgotten so the next call can retry
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser cannot store data offline'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(PRESETS_STORE, { keyPath: 'id' });
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(SESSION_STORE);
+      }
+    };
+    databasePromise = promisify(request).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+const withStore = async (storeName, mode, run) => {
+  const db = await openDatabase();
+  return promisify(run(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<object[]>} Every record, in key order
+ */
+export const idbGetAll = (storeName) => withStore(storeName, 'readonly', (store) => store.getAll());
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<object|undefined>}
+ */
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', (store) => store.get(key));
+
+/**
+ * Insert or replace a record.
+ * @param {string} storeName
+ * @param {*} value - Carries its own key in stores with a keyPath
+ * @param {IDBValidKey} [key] - Required for stores without a keyPath
+ * @returns {Promise<IDBValidKey>}
+ */
+export const idbPut = (storeName, value, key) =>
+  withStore(storeName, 'readwrite', (store) => (key === undefined ? store.put(value) : store.put(value, key)));
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<undefined>}
+ */
+export const idbDelete = (storeName, key) => withStore(storeName, 'readwrite', (store) => store.delete(key));
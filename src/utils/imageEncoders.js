@@ -0,0 +1,298 @@
+// imageEncoders.js - Indexed PNG, GIF, BMP and SVG encoders for the pixel grid
+
+import { zlibSync } from 'fflate';
+import { GIFEncoder } from 'gifenc';
+import { medianCutPalette, applyPalette, createColorMatcher } from './quantize';
+import { rgbToHex } from './colorSpace';
+
+// Pixels below this alpha are written as fully transparent in indexed formats
+const ALPHA_CUTOFF = 128;
+
+/**
+ * Convert an ImageData into an indexed bitmap with an exact color table.
+ * Images with more than 256 colors (255 plus transparency) are reduced first.
+ * @param {ImageData} imageData
+ * @returns {{palette: Array<[number, number, number]>, indices: Uint8Array, transparentIndex: number}}
+ *   transparentIndex is -1 when every pixel is opaque
+ */
+export function indexImageData(imageData) {
+  const { data } = imageData;
+  const pixelCount = imageData.width * imageData.height;
+  let hasTransparency = false;
+  const colors = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < ALPHA_CUTOFF) {
+      hasTransparency = true;
+    } else {
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      if (!colors.has(key)) colors.set(key, colors.size);
+    }
+  }
+
+  const maxColors = hasTransparency ? 255 : 256;
+  let source = imageData;
+  if (colors.size > maxColors) {
+    source = new ImageData(new Uint8ClampedArray(data), imageData.width, imageData.height);
+    applyPalette(source, medianCutPalette(source, maxColors));
+    colors.clear();
+    for (let i = 0; i < source.data.length; i += 4) {
+      if (source.data[i + 3] < ALPHA_CUTOFF) continue;
+      const key = (source.data[i] << 16) | (source.data[i + 1] << 8) | source.data[i + 2];
+      if (!colors.has(key)) colors.set(key, colors.size);
+    }
+  }
+
+  const palette = [...colors.keys()].map((key) => [(key >> 16) & 255, (key >> 8) & 255, key & 255]);
+  const transparentIndex = hasTransparency ? palette.length : -1;
+  if (hasTransparency) palette.push([0, 0, 0]);
+
+  const indices = new Uint8Array(pixelCount);
+  for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+    indices[p] = source.data[i + 3] < ALPHA_CUTOFF
+      ? transparentIndex
+      : colors.get((source.data[i] << 16) | (source.data[i + 1] << 8) | source.data[i + 2]);
+  }
+
+  return { palette, indices, transparentIndex };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, body) => {
+  const chunk = new Uint8Array(12 + body.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(body, 8);
+  view.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)));
+  return chunk;
+};
+
+/**
+ * Encode an ImageData as an 8-bit palette-indexed PNG (color type 3).
+ * @param {ImageData} imageData
+ * @returns {Blob}
+ */
+export function encodeIndexedPng(imageData) {
+  const { width, height } = imageData;
+  const { palette, indices, transparentIndex } = indexImageData(imageData);
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 3; // indexed color
+
+  const plte = new Uint8Array(palette.flat());
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const raw = new Uint8Array(height * (width + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(indices.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+
+  const chunks = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('PLTE', plte),
+  ];
+  if (transparentIndex !== -1) {
+    const alpha = new Uint8Array(transparentIndex + 1).fill(255);
+    alpha[transparentIndex] = 0;
+    chunks.push(pngChunk('tRNS', alpha));
+  }
+  chunks.push(pngChunk('IDAT', zlibSync(raw, { level: 9 })), pngChunk('IEND', new Uint8Array(0)));
+
+  return new Blob(chunks, { type: 'image/png' });
+}
+
+/**
+ * Encode an ImageData as a single-frame GIF with 1-bit transparency.
+ * @param {ImageData} imageData
+ * @returns {Blob}
+ */
+export function encodeGif(imageData) {
+  const { palette, indices, transparentIndex } = indexImageData(imageData);
+  const gif = GIFEncoder();
+  gif.writeFrame(indices, imageData.width, imageData.height, {
+    palette,
+    transparent: transparentIndex !== -1,
+    transparentIndex: Math.max(0, transparentIndex),
+  });
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
+
+/**
+ * Encode frames as a looping animated GIF that shares one color table.
+ * @param {ImageData[]} frames - Same-sized frames, already mapped to `palette`
+ * @param {number[]} delays - Per-frame delay in milliseconds
+ * @param {Array<[number, number, number]>} palette - Shared palette
+ * @returns {Blob}
+ */
+export function encodeAnimatedGif(frames, delays, palette) {
+  const { width, height } = frames[0];
+  const hasTransparency = frames.some((frame) => {
+    for (let i = 3; i < frame.data.length; i += 4) {
+      if (frame.data[i] < ALPHA_CUTOFF) return true;
+    }
+    return false;
+  });
+
+  // A 256-color palette leaves no slot for transparency, so refit it to 255
+  let colors = palette;
+  if (hasTransparency && colors.length > 255) {
+    const stacked = new ImageData(width, height * frames.length);
+    frames.forEach((frame, index) => stacked.data.set(frame.data, index * frame.data.length));
+    colors = medianCutPalette(stacked, 255);
+  }
+  const transparentIndex = hasTransparency ? colors.length : -1;
+  const table = hasTransparency ? [...colors, [0, 0, 0]] : colors;
+
+  const exact = new Map(colors.map(([r, g, b], index) => [(r << 16) | (g << 8) | b, index]));
+  const nearest = createColorMatcher(colors);
+  const gif = GIFEncoder();
+  frames.forEach((frame, index) => {
+    const { data } = frame;
+    const indices = new Uint8Array(width * height);
+    for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+      if (data[i + 3] < ALPHA_CUTOFF) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      indices[p] = exact.has(key) ? exact.get(key) : nearest(data[i], data[i + 1], data[i + 2]);
+    }
+    gif.writeFrame(indices, width, height, {
+      palette: index === 0 ? table : undefined,
+      delay: delays[index],
+      repeat: 0,
+      transparent: hasTransparency,
+      transparentIndex: Math.max(0, transparentIndex),
+      // Clear each frame before the next, or transparent pixels would show the previous one
+      dispose: hasTransparency ? 2 : -1,
+    });
+  });
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
+
+/**
+ * Encode an ImageData as a 32-bit BMP (BITMAPV4HEADER with an alpha mask).
+ * @param {ImageData} imageData
+ * @returns {Blob}
+ */
+export function encodeBmp(imageData) {
+  const { width, height, data } = imageData;
+  const headerSize = 14 + 108;
+  const pixelBytes = width * height * 4;
+  const buffer = new ArrayBuffer(headerSize + pixelBytes);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, 0x42); // 'B'
+  view.setUint8(1, 0x4d); // 'M'
+  view.setUint32(2, buffer.byteLength, true);
+  view.setUint32(10, headerSize, true);
+
+  view.setUint32(14, 108, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, -height, true); // negative height = top-down rows
+  view.setUint16(26, 1, true);
+  view.setUint16(28, 32, true);
+  view.setUint32(30, 3, true); // BI_BITFIELDS
+  view.setUint32(34, pixelBytes, true);
+  view.setInt32(38, 2835, true); // 72 DPI
+  view.setInt32(42, 2835, true);
+  view.setUint32(54, 0x00ff0000, true); // red mask
+  view.setUint32(58, 0x0000ff00, true); // green mask
+  view.setUint32(62, 0x000000ff, true); // blue mask
+  view.setUint32(66, 0xff000000, true); // alpha mask
+  view.setUint32(70, 0x73524742, true); // 'sRGB'
+
+  const pixels = new Uint8Array(buffer, headerSize);
+  for (let i = 0; i < data.length; i += 4) {
+    pixels[i] = data[i + 2];
+    pixels[i + 1] = data[i + 1];
+    pixels[i + 2] = data[i];
+    pixels[i + 3] = data[i + 3];
+  }
+
+  return new Blob([buffer], { type: 'image/bmp' });
+}
+
+// Grid lines as two stroked paths (minor and major); a single path never double-paints crossings
+const svgGridLines = (width, height, scale, { color, opacity, majorEvery }) => {
+  const minor = [];
+  const major = [];
+  const isMajor = (index) => majorEvery > 0 && index % majorEvery === 0;
+  for (let x = 0; x <= width; x++) (isMajor(x) ? major : minor).push(`M${x} 0V${height}`);
+  for (let y = 0; y <= height; y++) (isMajor(y) ? major : minor).push(`M0 ${y}H${width}`);
+
+  const stroke = (segments, lineWidth) =>
+    segments.length
+      ? `<path d="${segments.join('')}" fill="none" stroke="${color}" stroke-opacity="${opacity}" stroke-width="${lineWidth / scale}"/>`
+      : '';
+  return [stroke(minor, 1), stroke(major, 2)].filter(Boolean);
+};
+
+/**
+ * Encode an ImageData as SVG, one rect per horizontal run of identical pixels.
+ * @param {ImageData} imageData
+ * @param {number} [scale=1] - Display size multiplier for the width/height attributes
+ * @param {object|null} [gridLines=null] - Grid line options to draw over the pixels
+ * @returns {Blob}
+ */
+export function encodeSvg(imageData, scale = 1, gridLines = null) {
+  const { width, height, data } = imageData;
+  const rects = [];
+
+  for (let y = 0; y < height; y++) {
+    let x = 0;
+    while (x < width) {
+      const i = (y * width + x) * 4;
+      let run = 1;
+      while (
+        x + run < width &&
+        data[i + run * 4] === data[i] &&
+        data[i + run * 4 + 1] === data[i + 1] &&
+        data[i + run * 4 + 2] === data[i + 2] &&
+        data[i + run * 4 + 3] === data[i + 3]
+      ) {
+        run++;
+      }
+
+      const alpha = data[i + 3];
+      if (alpha > 0) {
+        const opacity = alpha < 255 ? ` fill-opacity="${(alpha / 255).toFixed(3)}"` : '';
+        rects.push(`<rect x="${x}" y="${y}" width="${run}" height="1" fill="${rgbToHex([data[i], data[i + 1], data[i + 2]])}"${opacity}/>`);
+      }
+      x += run;
+    }
+  }
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+    ...rects,
+    ...(gridLines ? svgGridLines(width, height, scale, gridLines) : []),
+    '</svg>',
+    '',
+  ].join('\n');
+
+  return new Blob([svg], { type: 'image/svg+xml' });
+}
@@ -0,0 +1,114 @@
+import { unzlibSync } from 'fflate';
+import { indexImageData, encodeIndexedPng, encodeGif, encodeAnimatedGif, encodeBmp, encodeSvg } from './imageEncoders';
+import { imageFromRows, readBytes, readText } from '../testUtils';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// 2x2: red, blue / transparent, red
+const sample = () => imageFromRows([[RED, BLUE], [CLEAR, RED]]);
+
+// PNG chunks as {type: body}; later chunks of the same type are concatenated
+const pngChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const chunks = {};
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    chunks[type] = chunks[type] ? Uint8Array.from([...chunks[type], ...body]) : body;
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+describe('indexImageData', () => {
+  it('builds an exact color table with a trailing transparent slot', () => {
+    const { palette, indices, transparentIndex } = indexImageData(sample());
+    expect(palette).toEqual([[255, 0, 0], [0, 0, 255], [0, 0, 0]]);
+    expect(transparentIndex).toBe(2);
+    expect(Array.from(indices)).toEqual([0, 1, 2, 0]);
+  });
+
+  it('reports -1 when every pixel is opaque', () => {
+    const image = imageFromRows([[RED, BLUE]]);
+    expect(indexImageData(image).transparentIndex).toBe(-1);
+  });
+
+  it('reduces images with too many colors', () => {
+    const image = new ImageData(32, 32);
+    for (let p = 0; p < 1024; p++) {
+      image.data.set([p & 255, (p >> 2) & 255, (p * 7) & 255, 255], p * 4);
+    }
+    const { palette, indices } = indexImageData(image);
+    expect(palette.length).toBeLessThanOrEqual(256);
+    expect(Math.max(...indices)).toBeLessThan(palette.length);
+  });
+});
+
+describe('encodeIndexedPng', () => {
+  it('writes an indexed PNG with PLTE, tRNS and the right scanlines', async () => {
+    const blob = encodeIndexedPng(sample());
+    expect(blob.type).toBe('image/png');
+    const bytes = await readBytes(blob);
+    expect(Array.from(bytes.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const chunks = pngChunks(bytes);
+    const header = new DataView(chunks.IHDR.buffer, chunks.IHDR.byteOffset);
+    expect([header.getUint32(0), header.getUint32(4), chunks.IHDR[8], chunks.IHDR[9]]).toEqual([2, 2, 8, 3]);
+    expect(Array.from(chunks.PLTE)).toEqual([255, 0, 0, 0, 0, 255, 0, 0, 0]);
+    expect(Array.from(chunks.tRNS)).toEqual([255, 255, 0]);
+    expect(Array.from(unzlibSync(chunks.IDAT))).toEqual([0, 0, 1, 0, 2, 0]);
+    expect(chunks.IEND).toBeDefined();
+  });
+});
+
+describe('encodeGif / encodeAnimatedGif', () => {
+  it('writes a GIF89a of the image size', async () => {
+    const bytes = await readBytes(encodeGif(sample()));
+    expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+    expect([bytes[6] | (bytes[7] << 8), bytes[8] | (bytes[9] << 8)]).toEqual([2, 2]);
+    expect(bytes[bytes.length - 1]).toBe(0x3b);
+  });
+
+  it('writes one image descriptor per frame', async () => {
+    const frames = [sample(), sample(), sample()];
+    const bytes = await readBytes(encodeAnimatedGif(frames, [100, 100, 100], [[255, 0, 0], [0, 0, 255]]));
+    expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+    // Graphic control extensions (0x21 0xF9) precede each frame
+    let controls = 0;
+    for (let i = 0; i < bytes.length - 1; i++) {
+      if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9) controls++;
+    }
+    expect(controls).toBe(frames.length);
+  });
+});
+
+describe('encodeBmp', () => {
+  it('writes a top-down 32-bit BMP with BGRA pixels', async () => {
+    const bytes = await readBytes(encodeBmp(sample()));
+    const view = new DataView(bytes.buffer);
+    expect(String.fromCharCode(bytes[0], bytes[1])).toBe('BM');
+    expect(view.getUint32(2, true)).toBe(bytes.length);
+    expect([view.getInt32(18, true), view.getInt32(22, true), view.getUint16(28, true)]).toEqual([2, -2, 32]);
+    const pixels = Array.from(bytes.subarray(view.getUint32(10, true)));
+    expect(pixels).toEqual([0, 0, 255, 255, 255, 0, 0, 255, 0, 0, 0, 0, 0, 0, 255, 255]);
+  });
+});
+
+describe('encodeSvg', () => {
+  it('merges runs, skips transparent pixels and scales the display size', async () => {
+    const image = imageFromRows([[RED, RED, CLEAR, BLUE]]);
+    const svg = await readText(encodeSvg(image, 4));
+    expect(svg).toContain('width="16" height="4" viewBox="0 0 4 1"');
+    expect(svg).toContain('<rect x="0" y="0" width="2" height="1" fill="#FF0000"/>');
+    expect(svg).toContain('<rect x="3" y="0" width="1" height="1" fill="#0000FF"/>');
+    expect(svg.match(/<rect/g)).toHaveLength(2);
+  });
+
+  it('draws grid lines when asked', async () => {
+    const svg = await readText(encodeSvg(sample(), 1, { color: '#000000', opacity: 0.5, majorEvery: 0 }));
+    expect(svg).toContain('<path d="M0 0V2M1 0V2M2 0V2M0 0H2M0 1H2M0 2H2"');
+  });
+});
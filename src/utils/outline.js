@@ -0,0 +1,110 @@
+// outline.js - Sprite-style 1px outlines drawn onto the quantized grid
+
+import { rgbToLab, hexToRgb } from './colorSpace';
+import { createColorMatcher } from './quantize';
+
+export const OUTLINE_MODES = [
+  { id: 'none', name: 'None' },
+  { id: 'outer', name: 'Outer' },
+  { id: 'inner', name: 'Inner' },
+];
+
+// Pixels below this alpha count as background
+const ALPHA_CUTOFF = 128;
+
+// Largest CIE76 distance a sensitivity of 0 still ignores (black to white is 100)
+const MAX_EDGE_DISTANCE = 100;
+
+/**
+ * The palette entry used when no outline color is chosen: the darkest one.
+ * @param {Array<[number, number, number]>} palette
+ * @returns {[number, number, number]}
+ */
+export function darkestColor(palette) {
+  let darkest = palette[0];
+  let lowest = Infinity;
+  palette.forEach((color) => {
+    const [lightness] = rgbToLab(color[0], color[1], color[2]);
+    if (lightness < lowest) {
+      lowest = lightness;
+      darkest = color;
+    }
+  });
+  return darkest;
+}
+
+/**
+ * Draw a 1px outline along alpha boundaries and strong color edges, in place.
+ *
+ * Against transparency, 'outer' paints the background pixels touching the subject
+ * and 'inner' paints the subject's own border pixels. Between two opaque colors
+ * there is no inside or outside, so 'outer' paints the lighter side of the edge
+ * and 'inner' the darker side.
+ *
+ * @param {ImageData} imageData - Quantized grid
+ * @param {Array<[number, number, number]>} palette - Active palette; the outline color is snapped to it
+ * @param {object} options
+ * @param {string} options.mode - An OUTLINE_MODES id
+ * @param {string|null} [options.color] - Hex color, or null for the darkest palette color
+ * @param {number} [options.sensitivity=0.5] - 0 outlines alpha boundaries only, 1 outlines every color change
+ */
+export function applyOutline(imageData, palette, { mode, color = null, sensitivity = 0.5 }) {
+  if (mode === 'none' || !palette || !palette.length) {
+    return;
+  }
+
+  const { width, height, data } = imageData;
+  const pixelCount = width * height;
+  const outline = color
+    ? palette[createColorMatcher(palette)(...hexToRgb(color))]
+    : darkestColor(palette);
+  const threshold = (1 - Math.min(1, Math.max(0, sensitivity))) * MAX_EDGE_DISTANCE;
+
+  const opaque = new Uint8Array(pixelCount);
+  const lab = new Float32Array(pixelCount * 3);
+  for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+    if (data[i + 3] >= ALPHA_CUTOFF) {
+      opaque[p] = 1;
+      lab.set(rgbToLab(data[i], data[i + 1], data[i + 2]), p * 3);
+    }
+  }
+
+  // Decide every outline pixel from the untouched grid before painting any
+  const marked = new Uint8Array(pixelCount);
+  const compare = (p, q) => {
+    if (opaque[p] !== opaque[q]) {
+      const background = opaque[p] ? q : p;
+      marked[mode === 'outer' ? background : p + q - background] = 1;
+      return;
+    }
+    if (!opaque[p] || threshold >= MAX_EDGE_DISTANCE) {
+      return;
+    }
+    const dl = lab[p * 3] - lab[q * 3];
+    const da = lab[p * 3 + 1] - lab[q * 3 + 1];
+    const db = lab[p * 3 + 2] - lab[q * 3 + 2];
+    if (Math.sqrt(dl * dl + da * da + db * db) > threshold) {
+      const pIsLighter = dl > 0;
+      const lighter = pIsLighter ? p : q;
+      const darker = pIsLighter ? q : p;
+      marked[mode === 'outer' ? lighter : darker] = 1;
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (x + 1 < width) compare(p, p + 1);
+      if (y + 1 < height) compare(p, p + width);
+    }
+  }
+
+  for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+    if (marked[p]) {
+      data[i] = outline[0];
+      data[i + 1] = outline[1];
+      data[i + 2] = outline[2];
+      data[i + 3] = 255;
+    }
+  }
+}
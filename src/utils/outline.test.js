@@ -0,0 +1,71 @@
+import { applyOutline, darkestColor } from './outline';
+import { imageFromRows } from '../testUtils';
+
+const PALETTE = [[255, 255, 255], [255, 0, 0], [0, 0, 0]];
+const RED = [255, 0, 0, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// A single red pixel in the middle of a 3x3 sprite
+const sprite = () => imageFromRows([
+  [CLEAR, CLEAR, CLEAR],
+  [CLEAR, RED, CLEAR],
+  [CLEAR, CLEAR, CLEAR],
+]);
+
+// 'o' for outline black, 'r' for red, '.' for transparent
+const draw = (image) => {
+  const rows = [];
+  for (let y = 0; y < image.height; y++) {
+    let row = '';
+    for (let x = 0; x < image.width; x++) {
+      const [r, , , a] = image.data.subarray((y * image.width + x) * 4);
+      row += !a ? '.' : r ? 'r' : 'o';
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+describe('applyOutline', () => {
+  it('outer paints the background pixels touching the sprite', () => {
+    const image = sprite();
+    applyOutline(image, PALETTE, { mode: 'outer' });
+    expect(draw(image)).toEqual(['.o.', 'oro', '.o.']);
+  });
+
+  it('inner paints the sprite border itself', () => {
+    const image = sprite();
+    applyOutline(image, PALETTE, { mode: 'inner' });
+    expect(draw(image)).toEqual(['...', '.o.', '...']);
+  });
+
+  it('does nothing when off', () => {
+    const image = sprite();
+    applyOutline(image, PALETTE, { mode: 'none' });
+    expect(draw(image)).toEqual(['...', '.r.', '...']);
+  });
+
+  it('snaps a chosen color to the palette', () => {
+    const image = sprite();
+    applyOutline(image, PALETTE, { mode: 'inner', color: '#EE1111' });
+    expect(Array.from(image.data.subarray(16, 20))).toEqual(RED);
+  });
+
+  it('outlines color edges by sensitivity, on the lighter side for outer', () => {
+    const WHITE = [255, 255, 255, 255];
+    const edge = () => imageFromRows([[WHITE, RED]]);
+    const image = edge();
+    applyOutline(image, PALETTE, { mode: 'outer', sensitivity: 1 });
+    expect(draw(image)).toEqual(['or']);
+    const untouched = edge();
+    applyOutline(untouched, PALETTE, { mode: 'outer', sensitivity: 0 });
+    expect(Array.from(untouched.data)).toEqual([WHITE, RED].flat());
+  });
+});
+
+describe('darkestColor', () => {
+  it('picks the lowest lightness', () => {
+    expect(darkestColor(PALETTE)).toEqual([0, 0, 0]);
+    expect(darkestColor([[255, 255, 0], [0, 0, 255]])).toEqual([0, 0, 255]);
+  });
+});
@@ -0,0 +1,32 @@
+// paletteExtraction.js - Pull an N-color palette out of an uploaded image
+
+import { medianCutPalette, MAX_COLORS } from './quantize';
+import { rgbToHex, rgbToLab } from './colorSpace';
+
+// The image is sampled at this size at most; plenty for a stable palette
+const SAMPLE_SIZE = 256;
+
+// Extracting more than this many colors makes the swatch grid unwieldy
+export const MAX_EXTRACT_COLORS = Math.min(64, MAX_COLORS);
+
+/**
+ * Extract a palette from an image with median cut, sorted dark to light.
+ * @param {HTMLImageElement} image - Loaded image element
+ * @param {number} colorCount - Number of colors to extract
+ * @returns {string[]} Colors as "#RRGGBB"
+ */
+export function extractPalette(image, colorCount) {
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  return medianCutPalette(pixels, colorCount)
+    .map((rgb) => ({ rgb, lightness: rgbToLab(...rgb)[0] }))
+    .sort((a, b) => a.lightness - b.lightness)
+    .map(({ rgb }) => rgbToHex(rgb));
+}
@@ -0,0 +1,37 @@
+import { extractPalette } from './paletteExtraction';
+import { imageFromRows } from '../testUtils';
+
+const RED = [220, 20, 20, 255];
+const NAVY = [10, 10, 80, 255];
+const CREAM = [250, 240, 200, 255];
+
+// jsdom has no 2D canvas: hand back the test pixels whatever size the sample canvas has
+const mockCanvas = (pixels) => {
+  const sizes = [];
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+    sizes.push([this.width, this.height]);
+    return { drawImage: () => {}, getImageData: () => pixels };
+  });
+  return sizes;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('extractPalette', () => {
+  it('returns the main colors as hex, dark to light', () => {
+    mockCanvas(imageFromRows([[RED, NAVY, CREAM, RED], [NAVY, CREAM, RED, NAVY]]));
+    expect(extractPalette({ width: 4, height: 2 }, 3)).toEqual(['#0A0A50', '#DC1414', '#FAF0C8']);
+  });
+
+  it('never returns more colors than the image has', () => {
+    mockCanvas(imageFromRows([[RED, RED], [NAVY, NAVY]]));
+    expect(extractPalette({ width: 2, height: 2 }, 16)).toEqual(['#0A0A50', '#DC1414']);
+  });
+
+  it('samples large images at a reduced size, keeping their shape', () => {
+    const sizes = mockCanvas(imageFromRows([[RED]]));
+    extractPalette({ width: 1024, height: 512 }, 4);
+    extractPalette({ width: 40, height: 30 }, 4);
+    expect(sizes).toEqual([[256, 128], [40, 30]]);
+  });
+});
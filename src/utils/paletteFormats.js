@@ -0,0 +1,268 @@
+// paletteFormats.js - Read and write GIMP .gpl, Lospec .hex, JASC .pal and Adobe .ase palette files
+
+import { hexToRgb, rgbToHex, labToRgb } from './colorSpace';
+import { baseName } from './fileNames';
+
+export const PALETTE_FORMATS = [
+  { id: 'gpl', name: 'GIMP (.gpl)', mimeType: 'text/plain' },
+  { id: 'hex', name: 'Lospec (.hex)', mimeType: 'text/plain' },
+  { id: 'pal', name: 'JASC (.pal)', mimeType: 'text/plain' },
+  { id: 'ase', name: 'Adobe (.ase)', mimeType: 'application/octet-stream' },
+];
+
+const byteInRange = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+
+const toColors = (triples, format) => {
+  triples.forEach((rgb) => {
+    if (!rgb.every(byteInRange)) {
+      throw new Error(`Invalid color value in ${format} palette`);
+    }
+  });
+  return triples.map(rgbToHex);
+};
+
+// GIMP palette: header, optional Name/Columns, then "R G B<tab>name" rows
+const parseGpl = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette: missing "GIMP Palette" header');
+  }
+
+  let name = '';
+  const triples = [];
+  lines.slice(1).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('Columns:')) return;
+    if (trimmed.startsWith('Name:')) {
+      name = trimmed.slice(5).trim();
+      return;
+    }
+    const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+    if (match) {
+      triples.push([Number(match[1]), Number(match[2]), Number(match[3])]);
+    }
+  });
+
+  return { name, colors: toColors(triples, 'GIMP') };
+};
+
+const writeGpl = ({ name, colors }) => {
+  const rows = colors.map((color) => {
+    const [r, g, b] = hexToRgb(color);
+    return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${color.slice(1)}`;
+  });
+  return ['GIMP Palette', `Name: ${name || 'Untitled'}`, `Columns: ${Math.min(colors.length, 16)}`, '#', ...rows, ''].join('\n');
+};
+
+// Lospec hex: one RRGGBB per line
+const parseHex = (text) => {
+  const colors = text
+    .split(/\r?\n/)
+    .map((line) => line.trim().replace(/^#/, ''))
+    .filter(Boolean)
+    .map((line) => {
+      if (!/^[0-9a-fA-F]{6}$/.test(line)) {
+        throw new Error(`Invalid hex color: ${line}`);
+      }
+      return `#${line.toUpperCase()}`;
+    });
+  return { name: '', colors };
+};
+
+const writeHex = ({ colors }) => `${colors.map((color) => color.slice(1).toLowerCase()).join('\n')}\n`;
+
+// JASC (Paint Shop Pro) palette: "JASC-PAL", "0100", count, then "R G B" rows
+const parsePal = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines[0] !== 'JASC-PAL') {
+    throw new Error('Not a JASC palette: missing "JASC-PAL" header');
+  }
+
+  const count = parseInt(lines[2], 10);
+  const triples = lines.slice(3, 3 + count).map((line) => line.split(/\s+/).map(Number));
+  if (Number.isNaN(count) || triples.length !== count) {
+    throw new Error('JASC palette color count does not match its entries');
+  }
+
+  return { name: '', colors: toColors(triples, 'JASC') };
+};
+
+const writePal = ({ colors }) => [
+  'JASC-PAL',
+  '0100',
+  String(colors.length),
+  ...colors.map((color) => hexToRgb(color).join(' ')),
+  '',
+].join('\r\n');
+
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR_ENTRY = 0x0001;
+
+const unitToByte = (value) => Math.max(0, Math.min(255, Math.round(value * 255)));
+
+const aseColorToRgb = (model, values) => {
+  switch (model) {
+    case 'RGB ':
+      return values.map(unitToByte);
+    case 'Gray':
+      return [values[0], values[0], values[0]].map(unitToByte);
+    case 'CMYK': {
+      const [c, m, y, k] = values;
+      return [(1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k)].map(unitToByte);
+    }
+    case 'LAB ':
+      return labToRgb(values[0] * 100, values[1], values[2]);
+    default:
+      throw new Error(`Unsupported ASE color model: ${model}`);
+  }
+};
+
+// Adobe Swatch Exchange: big-endian binary, blocks of color entries optionally inside groups
+const parseAse = (buffer) => {
+  const view = new DataView(buffer);
+  const readString = (offset, length) =>
+    String.fromCharCode(...new Uint8Array(buffer, offset, length));
+
+  if (buffer.byteLength < 12 || readString(0, 4) !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file: missing "ASEF" signature');
+  }
+
+  const blockCount = view.getUint32(8);
+  let offset = 12;
+  let name = '';
+  const colors = [];
+
+  for (let block = 0; block < blockCount; block++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const body = offset + 6;
+
+    if (type === ASE_COLOR_ENTRY || type === ASE_GROUP_START) {
+      const nameLength = view.getUint16(body);
+      let entryName = '';
+      for (let i = 0; i < nameLength - 1; i++) {
+        entryName += String.fromCharCode(view.getUint16(body + 2 + i * 2));
+      }
+
+      if (type === ASE_GROUP_START) {
+        name = name || entryName;
+      } else {
+        const modelOffset = body + 2 + nameLength * 2;
+        const model = readString(modelOffset, 4);
+        const channels = { 'RGB ': 3, 'LAB ': 3, CMYK: 4, Gray: 1 }[model] || 0;
+        const values = [];
+        for (let i = 0; i < channels; i++) {
+          values.push(view.getFloat32(modelOffset + 4 + i * 4));
+        }
+        colors.push(rgbToHex(aseColorToRgb(model, values)));
+      }
+    } else if (type !== ASE_GROUP_END) {
+      throw new Error(`Unknown ASE block type: 0x${type.toString(16)}`);
+    }
+
+    offset = body + length;
+  }
+
+  return { name, colors };
+};
+
+const writeAse = ({ name, colors }) => {
+  // Names are null-terminated UTF-16 code units
+  const encodeName = (text) => [...Array.from(text, (_, i) => text.charCodeAt(i)), 0];
+  const groupName = encodeName(name || 'Untitled');
+  const entries = colors.map((color) => ({ name: encodeName(color.slice(1)), rgb: hexToRgb(color) }));
+
+  const groupLength = 2 + groupName.length * 2;
+  const entryLength = (entry) => 2 + entry.name.length * 2 + 4 + 12 + 2;
+  const size = 12 + (6 + groupLength) + entries.reduce((sum, entry) => sum + 6 + entryLength(entry), 0) + 6;
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  let offset = 0;
+  const writeChars = (text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset++, text.charCodeAt(i));
+  };
+  const writeName = (chars) => {
+    view.setUint16(offset, chars.length);
+    offset += 2;
+    chars.forEach((code) => {
+      view.setUint16(offset, code);
+      offset += 2;
+    });
+  };
+
+  writeChars('ASEF');
+  view.setUint16(offset, 1);
+  view.setUint16(offset + 2, 0);
+  view.setUint32(offset + 4, entries.length + 2);
+  offset += 8;
+
+  view.setUint16(offset, ASE_GROUP_START);
+  view.setUint32(offset + 2, groupLength);
+  offset += 6;
+  writeName(groupName);
+
+  entries.forEach((entry) => {
+    view.setUint16(offset, ASE_COLOR_ENTRY);
+    view.setUint32(offset + 2, entryLength(entry));
+    offset += 6;
+    writeName(entry.name);
+    writeChars('RGB ');
+    entry.rgb.forEach((value) => {
+      view.setFloat32(offset, value / 255);
+      offset += 4;
+    });
+    // Color type 2 = normal (neither global nor spot)
+    view.setUint16(offset, 2);
+    offset += 2;
+  });
+
+  view.setUint16(offset, ASE_GROUP_END);
+  view.setUint32(offset + 2, 0);
+
+  return buffer;
+};
+
+const PARSERS = { gpl: parseGpl, hex: parseHex, pal: parsePal };
+const WRITERS = { gpl: writeGpl, hex: writeHex, pal: writePal, ase: writeAse };
+
+const extensionOf = (fileName) => fileName.split('.').pop().toLowerCase();
+
+/**
+ * Parse a palette file. The format is picked from the file extension.
+ * @param {File} file - .gpl, .hex, .pal or .ase file
+ * @returns {Promise<{name: string, colors: string[]}>} Palette with "#RRGGBB" colors
+ */
+export async function parsePaletteFile(file) {
+  const format = extensionOf(file.name);
+  let palette;
+
+  if (format === 'ase') {
+    palette = parseAse(await file.arrayBuffer());
+  } else if (PARSERS[format]) {
+    palette = PARSERS[format](await file.text());
+  } else {
+    throw new Error(`Unsupported palette format: .${format}`);
+  }
+
+  if (palette.colors.length === 0) {
+    throw new Error('The palette file does not contain any colors');
+  }
+  return { name: palette.name || baseName(file.name), colors: palette.colors };
+}
+
+/**
+ * Serialize a palette into one of the supported file formats.
+ * @param {{name: string, colors: string[]}} palette - Palette with "#RRGGBB" colors
+ * @param {string} format - Format id from PALETTE_FORMATS
+ * @returns {Blob}
+ */
+export function serializePalette(palette, format) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unsupported palette format: .${format}`);
+  }
+  const { mimeType } = PALETTE_FORMATS.find((option) => option.id === format);
+  return new Blob([writer(palette)], { type: mimeType });
+}
@@ -0,0 +1,60 @@
+import { parsePaletteFile, serializePalette, PALETTE_FORMATS } from './paletteFormats';
+import { readBlob } from '../testUtils';
+
+const asFile = (content, name) => {
+  const blob = content instanceof Blob ? content : new Blob([content]);
+  return {
+    name,
+    text: () => readBlob(blob, 'readAsText'),
+    arrayBuffer: () => readBlob(blob, 'readAsArrayBuffer'),
+  };
+};
+
+const palette = { name: 'Sunset', colors: ['#000000', '#FF8000', '#1A2B3C', '#FFFFFF'] };
+
+describe('serializePalette / parsePaletteFile', () => {
+  it.each(PALETTE_FORMATS.map((format) => format.id))('round-trips the colors through .%s', async (format) => {
+    const parsed = await parsePaletteFile(asFile(serializePalette(palette, format), `sunset.${format}`));
+    expect(parsed.colors).toEqual(palette.colors);
+  });
+
+  it('keeps the palette name in formats that store one', async () => {
+    const gpl = await parsePaletteFile(asFile(serializePalette(palette, 'gpl'), 'export.gpl'));
+    const ase = await parsePaletteFile(asFile(serializePalette(palette, 'ase'), 'export.ase'));
+    expect(gpl.name).toBe('Sunset');
+    expect(ase.name).toBe('Sunset');
+  });
+
+  it('names nameless palettes after the file', async () => {
+    const parsed = await parsePaletteFile(asFile('ff0000\n00ff00\n', 'my-colors.hex'));
+    expect(parsed).toEqual({ name: 'my-colors', colors: ['#FF0000', '#00FF00'] });
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => serializePalette(palette, 'act')).toThrow('Unsupported palette format');
+    return expect(parsePaletteFile(asFile('', 'colors.act'))).rejects.toThrow('Unsupported palette format');
+  });
+});
+
+describe('parsePaletteFile', () => {
+  it('reads GIMP rows and skips comments', async () => {
+    const text = 'GIMP Palette\nName: Two\nColumns: 2\n# comment\n255   0   0\tRed\n  0   0 255\tBlue\n';
+    expect(await parsePaletteFile(asFile(text, 'two.gpl'))).toEqual({ name: 'Two', colors: ['#FF0000', '#0000FF'] });
+  });
+
+  it('rejects files without the expected header', async () => {
+    await expect(parsePaletteFile(asFile('255 0 0\n', 'bad.gpl'))).rejects.toThrow('Not a GIMP palette');
+    await expect(parsePaletteFile(asFile('0100\n1\n0 0 0\n', 'bad.pal'))).rejects.toThrow('Not a JASC palette');
+    await expect(parsePaletteFile(asFile('nope', 'bad.ase'))).rejects.toThrow('Not an Adobe Swatch Exchange file');
+  });
+
+  it('rejects out-of-range and malformed colors', async () => {
+    await expect(parsePaletteFile(asFile('JASC-PAL\r\n0100\r\n1\r\n256 0 0\r\n', 'bad.pal'))).rejects.toThrow('Invalid color value');
+    await expect(parsePaletteFile(asFile('JASC-PAL\r\n0100\r\n2\r\n0 0 0\r\n', 'short.pal'))).rejects.toThrow('does not match');
+    await expect(parsePaletteFile(asFile('12345g\n', 'bad.hex'))).rejects.toThrow('Invalid hex color');
+  });
+
+  it('rejects empty palettes', async () => {
+    await expect(parsePaletteFile(asFile('GIMP Palette\n', 'empty.gpl'))).rejects.toThrow('does not contain any colors');
+  });
+});
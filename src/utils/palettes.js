@@ -0,0 +1,92 @@
+// palettes.js - Built-in retro console palettes
+
+import { hexToRgb } from './colorSpace';
+
+// Palette id used when colors are derived from the image itself
+export const ADAPTIVE_PALETTE = 'adaptive';
+
+// Palette id for the user-edited palette stored in the converter settings
+export const CUSTOM_PALETTE = 'custom';
+
+// Palette id for colors extracted once from the uploaded image, then tweaked by hand
+export const EXTRACTED_PALETTE = 'extracted';
+
+const NES_COLORS = [
+  '#7C7C7C', '#0000FC', '#0000BC', '#4428BC', '#940084', '#A80020', '#A81000', '#881400',
+  '#503000', '#007800', '#006800', '#005800', '#004058', '#000000', '#BCBCBC', '#0078F8',
+  '#0058F8', '#6844FC', '#D800CC', '#E40058', '#F83800', '#E45C10', '#AC7C00', '#00B800',
+  '#00A800', '#00A844', '#008888', '#F8F8F8', '#3CBCFC', '#6888FC', '#9878F8', '#F878F8',
+  '#F85898', '#F87858', '#FCA044', '#F8B800', '#B8F818', '#58D854', '#58F898', '#00E8D8',
+  '#787878', '#FCFCFC', '#A4E4FC', '#B8B8F8', '#D8B8F8', '#F8B8F8', '#F8A4C0', '#F0D0B0',
+  '#FCE0A8', '#F8D878', '#D8F878', '#B8F8B8', '#B8F8D8', '#00FCFC', '#F8D8F8',
+];
+
+export const PALETTES = [
+  {
+    id: 'nes',
+    name: 'NES',
+    colors: NES_COLORS,
+  },
+  {
+    id: 'gameboy',
+    name: 'Game Boy',
+    colors: ['#0F380F', '#306230', '#8BAC0F', '#9BBC0F'],
+  },
+  {
+    id: 'pico8',
+    name: 'PICO-8',
+    colors: [
+      '#000000', '#1D2B53', '#7E2553', '#008751', '#AB5236', '#5F574F', '#C2C3C7', '#FFF1E8',
+      '#FF004D', '#FFA300', '#FFEC27', '#00E436', '#29ADFF', '#83769C', '#FF77A8', '#FFCCAA',
+    ],
+  },
+  {
+    id: 'cga',
+    name: 'CGA (Mode 4)',
+    colors: ['#000000', '#55FFFF', '#FF55FF', '#FFFFFF'],
+  },
+  {
+    id: 'c64',
+    name: 'Commodore 64',
+    colors: [
+      '#000000', '#FFFFFF', '#68372B', '#70A4B2', '#6F3D86', '#588D43', '#352879', '#B8C76F',
+      '#6F4F25', '#433900', '#9A6759', '#444444', '#6C6C6C', '#9AD284', '#6C5EB5', '#959595',
+    ],
+  },
+  {
+    id: 'ega',
+    name: 'EGA',
+    colors: [
+      '#000000', '#0000AA', '#00AA00', '#00AAAA', '#AA0000', '#AA00AA', '#AA5500', '#AAAAAA',
+      '#555555', '#5555FF', '#55FF55', '#55FFFF', '#FF5555', '#FF55FF', '#FFFF55', '#FFFFFF',
+    ],
+  },
+];
+
+/**
+ * Look up a built-in palette by id.
+ * @param {string} id - Palette id
+ * @returns {{id: string, name: string, colors: string[]}|undefined}
+ */
+export const getPalette = (id) => PALETTES.find((palette) => palette.id === id);
+
+/**
+ * Resolve a built-in palette to RGB triples for the pipeline.
+ * @param {string} id - Palette id
+ * @returns {Array<[number, number, number]>|null} null for the adaptive palette or unknown ids
+ */
+export function getPaletteColors(id) {
+  const palette = getPalette(id);
+  return palette ? palette.colors.map(hexToRgb) : null;
+}
+
+/**
+ * Human-readable name of the palette a settings object uses, for file names and labels.
+ * @param {object} settings - Converter settings
+ * @returns {string}
+ */
+export function paletteDisplayName(settings) {
+  return settings.palette === CUSTOM_PALETTE
+    ? settings.customPalette.name
+    : getPalette(settings.palette)?.name || settings.palette;
+}
@@ -0,0 +1,157 @@
+// pdf.js - Minimal vector PDF writer for page draw lists (rects, lines and Helvetica text)
+import { zlibSync } from 'fflate';
+import { hexToRgb } from './colorSpace';
+
+// Page sizes in PostScript points (1/72 inch)
+export const PAGE_SIZES = [
+  { id: 'a4', name: 'A4', width: 595.28, height: 841.89 },
+  { id: 'letter', name: 'US Letter', width: 612, height: 792 },
+];
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+/**
+ * Approximate width of Helvetica text; Latin-1 characters outside ASCII count as a digit.
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+export function measureText(text, size) {
+  let units = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * size;
+}
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+const color = (hex, operator) => hexToRgb(hex).map((channel) => num(channel / 255)).join(' ') + ` ${operator}`;
+
+// Standard fonts use WinAnsiEncoding, which matches Latin-1 for the characters we draw
+const pdfString = (text) => {
+  let out = '';
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    const safe = code > 255 ? '?' : char;
+    out += safe === '(' || safe === ')' || safe === '\\' ? `\\${safe}` : safe;
+  }
+  return `(${out})`;
+};
+
+const latin1Bytes = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+// Draw list items use a top-left origin; PDF user space starts bottom-left
+const pageContent = ({ height, items }) => {
+  const ops = [];
+  for (const item of items) {
+    if (item.type === 'rect') {
+      const y = height - item.y - item.height;
+      const box = `${num(item.x)} ${num(y)} ${num(item.width)} ${num(item.height)} re`;
+      if (item.fill) ops.push(color(item.fill, 'rg'));
+      if (item.stroke) ops.push(color(item.stroke, 'RG'), `${num(item.lineWidth || 1)} w`);
+      ops.push(`${box} ${item.fill && item.stroke ? 'B' : item.fill ? 'f' : 'S'}`);
+    } else if (item.type === 'line') {
+      ops.push(
+        color(item.stroke, 'RG'),
+        `${num(item.lineWidth || 1)} w`,
+        `${num(item.x1)} ${num(height - item.y1)} m ${num(item.x2)} ${num(height - item.y2)} l S`
+      );
+    } else if (item.type === 'text') {
+      const width = measureText(item.text, item.size);
+      const x = item.anchor === 'middle' ? item.x - width / 2 : item.anchor === 'end' ? item.x - width : item.x;
+      ops.push(
+        `BT ${color(item.fill || '#000000', 'rg')} /${item.bold ? 'F2' : 'F1'} ${num(item.size)} Tf`
+          + ` ${num(x)} ${num(height - item.y)} Td ${pdfString(item.text)} Tj ET`
+      );
+    }
+  }
+  return ops.join('\n');
+};
+
+/**
+ * Write pages of draw items as a PDF.
+ * Items are {type: 'rect', x, y, width, height, fill?, stroke?, lineWidth?},
+ * {type: 'line', x1, y1, x2, y2, stroke, lineWidth?} or
+ * {type: 'text', x, y, text, size, fill?, bold?, anchor?: 'start'|'middle'|'end'} with y on the baseline,
+ * all in points from the top-left corner.
+ * @param {Array<{width: number, height: number, items: object[]}>} pages
+ * @param {object} [options]
+ * @param {string} [options.title] - Document title shown by viewers
+ * @returns {Blob}
+ */
+export function encodePdf(pages, { title = '' } = {}) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title ${pdfString(title)} /Producer (Image-to-ART) >>`);
+
+  const pageIds = pages.map((page) => {
+    const content = zlibSync(latin1Bytes(pageContent(page)), { level: 6 });
+    const contentId = addObject({ dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}]`
+        + ` /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [latin1Bytes('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  const push = (bytes) => {
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+
+  objects.forEach((object, index) => {
+    offsets.push(offset);
+    if (typeof object === 'string') {
+      push(latin1Bytes(`${index + 1} 0 obj\n${object}\nendobj\n`));
+    } else {
+      push(latin1Bytes(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`));
+      push(object.stream);
+      push(latin1Bytes('\nendstream\nendobj\n'));
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((value) => `${String(value).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    '',
+  ].join('\n');
+  push(latin1Bytes(xref));
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
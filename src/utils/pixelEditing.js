@@ -0,0 +1,140 @@
+// pixelEditing.js - Pixel operations for the result editor, all working in place on ImageData
+
+// Eraser "color": fully transparent
+export const TRANSPARENT = null;
+
+/**
+ * Copy an ImageData so edits never touch the rendered result.
+ * @param {ImageData} imageData
+ * @returns {ImageData}
+ */
+export function cloneImageData(imageData) {
+  return new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+}
+
+/**
+ * Read one pixel.
+ * @param {ImageData} imageData
+ * @param {number} x
+ * @param {number} y
+ * @returns {[number, number, number, number]|null} RGBA, or null outside the image
+ */
+export function getPixel(imageData, x, y) {
+  if (x < 0 || y < 0 || x >= imageData.width || y >= imageData.height) {
+    return null;
+  }
+  const i = (y * imageData.width + x) * 4;
+  const { data } = imageData;
+  return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+}
+
+/**
+ * Write one pixel; coordinates outside the image are ignored.
+ * @param {ImageData} imageData
+ * @param {number} x
+ * @param {number} y
+ * @param {[number, number, number]|null} color - RGB, or TRANSPARENT to erase
+ */
+export function setPixel(imageData, x, y, color) {
+  if (x < 0 || y < 0 || x >= imageData.width || y >= imageData.height) {
+    return;
+  }
+  const i = (y * imageData.width + x) * 4;
+  const { data } = imageData;
+  if (color === TRANSPARENT) {
+    data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+  } else {
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+    data[i + 3] = 255;
+  }
+}
+
+/**
+ * Draw a 1px line with Bresenham's algorithm.
+ * @param {ImageData} imageData
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @param {[number, number, number]|null} color
+ */
+export function drawLine(imageData, x0, y0, x1, y1, color) {
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const stepX = x0 < x1 ? 1 : -1;
+  const stepY = y0 < y1 ? 1 : -1;
+  let error = dx + dy;
+  let x = x0;
+  let y = y0;
+
+  for (;;) {
+    setPixel(imageData, x, y, color);
+    if (x === x1 && y === y1) break;
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+}
+
+/**
+ * Draw a 1px rectangle outline between two corners.
+ * @param {ImageData} imageData
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @param {[number, number, number]|null} color
+ */
+export function drawRect(imageData, x0, y0, x1, y1, color) {
+  drawLine(imageData, x0, y0, x1, y0, color);
+  drawLine(imageData, x1, y0, x1, y1, color);
+  drawLine(imageData, x1, y1, x0, y1, color);
+  drawLine(imageData, x0, y1, x0, y0, color);
+}
+
+/**
+ * Replace the 4-connected region of identical pixels around (x, y).
+ * All transparent pixels count as the same color.
+ * @param {ImageData} imageData
+ * @param {number} x
+ * @param {number} y
+ * @param {[number, number, number]|null} color
+ */
+export function floodFill(imageData, x, y, color) {
+  const { width, height } = imageData;
+  if (x < 0 || y < 0 || x >= width || y >= height) {
+    return;
+  }
+
+  const pixels = new Uint32Array(imageData.data.buffer, imageData.data.byteOffset, width * height);
+  const normalize = (value) => ((value >>> 24) === 0 ? 0 : value);
+  const target = normalize(pixels[y * width + x]);
+
+  setPixel(imageData, x, y, color);
+  const replacement = normalize(pixels[y * width + x]);
+  pixels[y * width + x] = target;
+  if (replacement === target) {
+    return;
+  }
+
+  const stack = [y * width + x];
+  while (stack.length) {
+    const index = stack.pop();
+    if (normalize(pixels[index]) !== target) continue;
+    pixels[index] = replacement;
+
+    const px = index % width;
+    if (px > 0) stack.push(index - 1);
+    if (px < width - 1) stack.push(index + 1);
+    if (index >= width) stack.push(index - width);
+    if (index < width * (height - 1)) stack.push(index + width);
+  }
+}
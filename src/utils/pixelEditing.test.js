@@ -0,0 +1,84 @@
+import { cloneImageData, drawLine, drawRect, floodFill, getPixel, setPixel, TRANSPARENT } from './pixelEditing';
+import { imageFromRows } from '../testUtils';
+
+const RED = [255, 0, 0];
+const BLUE = [0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// Characters per pixel: r red, b blue, w white, k black, . transparent
+const draw = (image) => {
+  const names = { '255,0,0': 'r', '0,0,255': 'b', '255,255,255': 'w', '0,0,0': 'k' };
+  const rows = [];
+  for (let y = 0; y < image.height; y++) {
+    let row = '';
+    for (let x = 0; x < image.width; x++) {
+      const [r, g, b, a] = getPixel(image, x, y);
+      row += a ? names[`${r},${g},${b}`] : '.';
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+const canvas = () => imageFromRows([
+  [WHITE, WHITE, BLACK, WHITE],
+  [WHITE, BLACK, WHITE, WHITE],
+  [BLACK, CLEAR, CLEAR, WHITE],
+]);
+
+describe('floodFill', () => {
+  it('fills the 4-connected region only', () => {
+    const image = canvas();
+    floodFill(image, 0, 0, RED);
+    expect(draw(image)).toEqual(['rrkw', 'rkww', 'k..w']);
+  });
+
+  it('treats diagonal neighbours as separate regions', () => {
+    const image = canvas();
+    floodFill(image, 3, 0, BLUE);
+    expect(draw(image)).toEqual(['wwkb', 'wkbb', 'k..b']);
+  });
+
+  it('fills and erases transparent areas', () => {
+    const image = canvas();
+    floodFill(image, 1, 2, RED);
+    expect(draw(image)[2]).toBe('krrw');
+    floodFill(image, 3, 2, TRANSPARENT);
+    expect(draw(image)).toEqual(['wwk.', 'wk..', 'krr.']);
+  });
+
+  it('does nothing when the region already has the color or the point is outside', () => {
+    const image = canvas();
+    floodFill(image, 0, 0, [255, 255, 255]);
+    floodFill(image, 9, 9, RED);
+    expect(draw(image)).toEqual(draw(canvas()));
+  });
+});
+
+describe('undo snapshots', () => {
+  it('restores the image from a clone taken before the edit', () => {
+    const image = canvas();
+    const before = cloneImageData(image);
+    floodFill(image, 0, 0, RED);
+    setPixel(image, 3, 2, BLUE);
+    expect(draw(before)).toEqual(draw(canvas()));
+    image.data.set(before.data);
+    expect(draw(image)).toEqual(draw(canvas()));
+  });
+});
+
+describe('lines and rectangles', () => {
+  it('draws a Bresenham line and clips it to the image', () => {
+    const image = new ImageData(4, 3);
+    drawLine(image, 0, 0, 5, 2, RED);
+    expect(draw(image)).toEqual(['rr..', '..rr', '....']);
+  });
+
+  it('draws a rectangle outline between two corners', () => {
+    const image = new ImageData(4, 3);
+    drawRect(image, 3, 2, 0, 0, BLUE);
+    expect(draw(image)).toEqual(['bbbb', 'b..b', 'bbbb']);
+  });
+});
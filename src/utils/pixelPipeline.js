@@ -0,0 +1,310 @@
+// pixelPipeline.js - Canvas-agnostic pixel art pipeline shared by the worker and the main-thread fallback
+
+import { medianCutPalette } from './quantize';
+import { ditherImageData } from './dithering';
+import { ADAPTIVE_PALETTE, CUSTOM_PALETTE, EXTRACTED_PALETTE, getPalette, getPaletteColors } from './palettes';
+import { hexToRgb } from './colorSpace';
+import { DEFAULT_TRANSFORM, isIdentityTransform, transformSource } from './transform';
+import { downsampleImageData } from './downsample';
+import { applyOutline } from './outline';
+import { DEFAULT_ALPHA_THRESHOLD, removeBackground, snapAlpha } from './background';
+import { DEFAULT_ADJUSTMENTS, applyAdjustments, applyDropShadow, applyInnerShadow } from './adjustments';
+
+export const SIZE_MODES = [
+  { id: 'block', name: 'Block size' },
+  { id: 'target', name: 'Target size' },
+];
+
+// How the source is placed when its aspect ratio differs from the target size
+export const TARGET_FITS = [
+  { id: 'fit', name: 'Fit (letterbox)' },
+  { id: 'fill', name: 'Fill (crop)' },
+  { id: 'stretch', name: 'Stretch' },
+];
+
+export const MAX_TARGET_SIZE = 512;
+
+export const DEFAULT_SETTINGS = {
+  sizeMode: 'block',
+  pixelSize: 10,
+  targetWidth: 32,
+  targetHeight: 32,
+  targetLock: true,
+  targetFit: 'fit',
+  sampling: 'nearest',
+  ...DEFAULT_ADJUSTMENTS,
+  colorCount: 32,
+  palette: ADAPTIVE_PALETTE,
+  dither: 'none',
+  ditherStrength: 1,
+  customPalette: {
+    name: 'Custom',
+    swatches: getPalette('pico8').colors.map((color) => ({ color, locked: false })),
+  },
+  extractCount: 16,
+  extractedPalette: [],
+  background: 'keep',
+  backgroundColor: null,
+  backgroundTolerance: 0.15,
+  alphaThreshold: DEFAULT_ALPHA_THRESHOLD,
+  outline: 'none',
+  outlineColor: null,
+  outlineSensitivity: 0.5,
+  transform: DEFAULT_TRANSFORM,
+};
+
+// Settings that belong to one image rather than to a look: its crop and the colors
+// extracted from it. Presets and batch jobs never carry them over to other images
+export const IMAGE_SETTINGS = ['transform', 'extractedPalette'];
+
+/**
+ * Settings for converting other images: the per-image ones go back to their defaults,
+ * so an extracted palette falls back to one fitted to each image.
+ * @param {object} settings - Converter settings
+ * @returns {object}
+ */
+export function withoutImageSettings(settings) {
+  return { ...settings, ...Object.fromEntries(IMAGE_SETTINGS.map((key) => [key, DEFAULT_SETTINGS[key]])) };
+}
+
+/**
+ * Changes that drop the previous image's crop and extracted colors when another image is opened.
+ * An extracted palette that is in use is taken from the new image instead of being emptied.
+ * @param {object} settings - Converter settings
+ * @param {(count: number) => string[]} extract - Extracts that many colors from the new image
+ * @returns {object} Changes for the settings; empty when there is nothing to reset
+ */
+export function newImageSettings(settings, extract) {
+  const changes = {};
+  if (!isIdentityTransform(settings.transform)) {
+    changes.transform = DEFAULT_SETTINGS.transform;
+  }
+  if (settings.palette === EXTRACTED_PALETTE) {
+    changes.extractedPalette = extract(settings.extractCount);
+  } else if (settings.extractedPalette.length) {
+    changes.extractedPalette = [];
+  }
+  return changes;
+}
+
+/**
+ * Resolve the fixed palette selected in the settings to RGB triples.
+ * @param {object} settings - Converter settings
+ * @returns {Array<[number, number, number]>|null} null when the palette is adaptive
+ */
+export function resolvePaletteColors(settings) {
+  if (settings.palette === CUSTOM_PALETTE) {
+    const swatches = settings.customPalette?.swatches || [];
+    return swatches.length ? swatches.map((swatch) => hexToRgb(swatch.color)) : null;
+  }
+  if (settings.palette === EXTRACTED_PALETTE) {
+    const colors = settings.extractedPalette || [];
+    return colors.length ? colors.map(hexToRgb) : null;
+  }
+  return getPaletteColors(settings.palette);
+}
+
+/**
+ * Work out the pixel grid for a source of the given size.
+ *
+ * In block mode each cell covers pixelSize source pixels and the preview keeps the
+ * source size. In target mode the grid is the requested size and the block size is
+ * derived from it, so the preview is the grid blown up by a whole number.
+ *
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {object} settings - Converter settings
+ * @returns {{columns: number, rows: number, block: number, draw: object, outputWidth: number, outputHeight: number}|null}
+ *   draw is where the source lands on the grid; null when pixelation is off
+ */
+export function computeGridLayout(width, height, settings) {
+  const { sizeMode, pixelSize, targetWidth, targetHeight, targetFit } = { ...DEFAULT_SETTINGS, ...settings };
+
+  if (sizeMode === 'target') {
+    const columns = Math.min(MAX_TARGET_SIZE, Math.max(1, Math.round(targetWidth) || 1));
+    const rows = Math.min(MAX_TARGET_SIZE, Math.max(1, Math.round(targetHeight) || 1));
+    const block = Math.max(1, Math.round(Math.max(width / columns, height / rows)));
+
+    let draw = { x: 0, y: 0, width: columns, height: rows };
+    if (targetFit !== 'stretch') {
+      const scale = targetFit === 'fill'
+        ? Math.max(columns / width, rows / height)
+        : Math.min(columns / width, rows / height);
+      // Whole cells only, so letterbox edges never come out half transparent
+      const drawWidth = Math.max(1, Math.round(width * scale));
+      const drawHeight = Math.max(1, Math.round(height * scale));
+      draw = {
+        x: Math.round((columns - drawWidth) / 2),
+        y: Math.round((rows - drawHeight) / 2),
+        width: drawWidth,
+        height: drawHeight,
+      };
+    }
+
+    return { columns, rows, block, draw, outputWidth: columns * block, outputHeight: rows * block };
+  }
+
+  if (pixelSize <= 0) {
+    return null;
+  }
+  const columns = Math.ceil(width / pixelSize);
+  const rows = Math.ceil(height / pixelSize);
+  return {
+    columns,
+    rows,
+    block: pixelSize,
+    draw: { x: 0, y: 0, width: columns, height: rows },
+    outputWidth: width,
+    outputHeight: height,
+  };
+}
+
+/**
+ * Crop, downsample and adjust a source into the pixel grid, stopping before the palette.
+ * @param {CanvasImageSource} image - ImageBitmap or loaded HTMLImageElement, before crop and rotation
+ * @param {object} settings - Converter settings (see DEFAULT_SETTINGS)
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @returns {{grid: ImageData, layout: object}|null} null when pixelation is off
+ */
+export function buildSourceGrid(image, settings, createCanvas) {
+  const resolved = { ...DEFAULT_SETTINGS, ...settings };
+  const { innerShadow, sampling, background, backgroundColor, backgroundTolerance, alphaThreshold } = resolved;
+  const source = transformSource(image, resolved.transform, createCanvas);
+  const { width, height } = source;
+  const layout = computeGridLayout(width, height, resolved);
+  if (!layout) {
+    return null;
+  }
+
+  const { columns: w, rows: h, block, draw } = layout;
+  let grid;
+  if (sampling === 'nearest') {
+    const gridCanvas = createCanvas(w, h);
+    const gridCtx = gridCanvas.getContext('2d', { willReadFrequently: true });
+    gridCtx.imageSmoothingEnabled = false;
+    gridCtx.drawImage(source, draw.x, draw.y, draw.width, draw.height);
+    grid = gridCtx.getImageData(0, 0, w, h);
+  } else {
+    // The other kernels look at every source pixel in a cell
+    const fullCanvas = createCanvas(width, height);
+    const fullCtx = fullCanvas.getContext('2d', { willReadFrequently: true });
+    fullCtx.drawImage(source, 0, 0, width, height);
+    grid = downsampleImageData(fullCtx.getImageData(0, 0, width, height), w, h, draw, sampling);
+  }
+
+  // Background goes before the palette is fitted, so it cannot claim any colors;
+  // alpha is made binary so every export keeps the same clean edges
+  removeBackground(grid, { mode: background, color: backgroundColor, tolerance: backgroundTolerance });
+  snapAlpha(grid, alphaThreshold);
+
+  // Adjustments go in before quantization so the final pixels stay inside the
+  // palette; the inner shadow reach is given in result pixels, so convert it to cells
+  applyAdjustments(grid, resolved);
+  applyInnerShadow(grid, innerShadow / block);
+
+  return { grid, layout };
+}
+
+/**
+ * Map a prepared grid onto its palette and draw the outline, in place.
+ * @param {ImageData} grid - From buildSourceGrid
+ * @param {Array<[number, number, number]>} colors - Palette
+ * @param {object} settings - Converter settings
+ */
+export function finishGrid(grid, colors, settings) {
+  const { dither, ditherStrength, outline, outlineColor, outlineSensitivity } = { ...DEFAULT_SETTINGS, ...settings };
+  ditherImageData(grid, colors, { mode: dither, strength: ditherStrength });
+  applyOutline(grid, colors, { mode: outline, color: outlineColor, sensitivity: outlineSensitivity });
+}
+
+/**
+ * Render pixel art from a source image.
+ *
+ * `createCanvas(width, height)` supplies the canvases, so the same code runs on
+ * OffscreenCanvas inside the worker and on DOM canvases on the main thread.
+ *
+ * @param {CanvasImageSource} image - ImageBitmap or loaded HTMLImageElement, before crop and rotation
+ * @param {object} settings - Converter settings (see DEFAULT_SETTINGS)
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @param {object} [options]
+ * @param {Array<[number, number, number]>|null} [options.palette] - Use these colors instead of
+ *   the palette from the settings, e.g. one shared by every frame of an animation
+ * @returns {{canvas: HTMLCanvasElement|OffscreenCanvas, grid: ImageData|null, palette: Array|null, cell: object|null}}
+ *   The full-size result, the native-resolution pixel grid, the palette it uses and the
+ *   size of one grid cell in result pixels (grid, palette and cell are null when pixelation is off)
+ */
+export function renderPixelArt(image, settings, createCanvas, { palette = null } = {}) {
+  const resolved = { ...DEFAULT_SETTINGS, ...settings };
+  const prepared = buildSourceGrid(image, resolved, createCanvas);
+
+  // When pixelation is off, show original image
+  if (!prepared) {
+    const { shadow, innerShadow, background, backgroundColor, backgroundTolerance, alphaThreshold } = resolved;
+    const source = transformSource(image, resolved.transform, createCanvas);
+    const { width, height } = source;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height);
+    removeBackground(pixels, { mode: background, color: backgroundColor, tolerance: backgroundTolerance });
+    snapAlpha(pixels, alphaThreshold);
+    applyAdjustments(pixels, resolved);
+    applyInnerShadow(pixels, innerShadow);
+    applyDropShadow(pixels, shadow);
+    ctx.putImageData(pixels, 0, 0);
+    return { canvas, grid: null, palette: null, cell: null };
+  }
+
+  const { grid, layout } = prepared;
+  const { columns: w, rows: h, outputWidth, outputHeight } = layout;
+
+  // Reduce the downsampled pixels to a limited palette: either one
+  // fitted to the image or a fixed console palette
+  const colors = palette || resolvePaletteColors(resolved) || medianCutPalette(grid, resolved.colorCount);
+  finishGrid(grid, colors, resolved);
+
+  const gridCanvas = createCanvas(w, h);
+  gridCanvas.getContext('2d').putImageData(grid, 0, 0);
+
+  // Scale the small image back up to create pixelation effect
+  const canvas = createCanvas(outputWidth, outputHeight);
+  const ctx = canvas.getContext('2d', { willReadFrequently: resolved.shadow > 0 });
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(gridCanvas, 0, 0, w, h, 0, 0, outputWidth, outputHeight);
+
+  // The drop shadow is soft, so it only goes on the displayed result; the grid,
+  // and every export made from it (see renderFullSize), keeps its binary alpha
+  if (resolved.shadow > 0) {
+    const pixels = ctx.getImageData(0, 0, outputWidth, outputHeight);
+    applyDropShadow(pixels, resolved.shadow);
+    ctx.putImageData(pixels, 0, 0);
+  }
+
+  // Cells stretch slightly when the size is not a multiple of the pixel size
+  return { canvas, grid, palette: colors, cell: { width: outputWidth / w, height: outputHeight / h } };
+}
+
+/**
+ * Draw the full-size result for export: the grid blown up to the preview size, or the image
+ * rendered again when pixelation is off. The preview-only drop shadow is left out, so the
+ * file keeps a binary alpha.
+ * @param {object} result
+ * @param {ImageData|null} result.grid - Native-resolution pixels, possibly edited
+ * @param {{width: number, height: number}|null} result.cell - Cell size in result pixels
+ * @param {CanvasImageSource|null} result.image - Source image; only needed without a grid
+ * @param {object} result.settings - Converter settings the result was rendered with
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function renderFullSize({ grid, cell, image, settings }, createCanvas) {
+  if (!grid) {
+    return renderPixelArt(image, { ...settings, shadow: 0 }, createCanvas).canvas;
+  }
+  const gridCanvas = createCanvas(grid.width, grid.height);
+  gridCanvas.getContext('2d').putImageData(grid, 0, 0);
+  const canvas = createCanvas(Math.round(grid.width * cell.width), Math.round(grid.height * cell.height));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(gridCanvas, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
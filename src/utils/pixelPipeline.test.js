@@ -0,0 +1,87 @@
+import {
+  DEFAULT_SETTINGS, IMAGE_SETTINGS, MAX_TARGET_SIZE, computeGridLayout, newImageSettings, withoutImageSettings,
+} from './pixelPipeline';
+import { EXTRACTED_PALETTE } from './palettes';
+
+describe('withoutImageSettings', () => {
+  const editor = {
+    ...DEFAULT_SETTINGS,
+    pixelSize: 6,
+    palette: EXTRACTED_PALETTE,
+    extractedPalette: ['#112233', '#445566'],
+    transform: { ...DEFAULT_SETTINGS.transform, rotation: 90, flipH: true, crop: { x: 0.1, y: 0.1, width: 0.5, height: 0.5 } },
+  };
+
+  it('resets the crop and the extracted colors', () => {
+    const settings = withoutImageSettings(editor);
+    IMAGE_SETTINGS.forEach((key) => expect(settings[key]).toEqual(DEFAULT_SETTINGS[key]));
+  });
+
+  it('keeps the look', () => {
+    const settings = withoutImageSettings(editor);
+    expect(settings.pixelSize).toBe(6);
+    expect(settings.palette).toBe(EXTRACTED_PALETTE);
+  });
+
+  it('leaves the editor settings alone', () => {
+    withoutImageSettings(editor);
+    expect(editor.extractedPalette).toEqual(['#112233', '#445566']);
+  });
+});
+
+describe('newImageSettings', () => {
+  const cropped = { ...DEFAULT_SETTINGS.transform, rotation: 180, straighten: 4, crop: { x: 0, y: 0, width: 0.5, height: 0.5 } };
+  const noExtract = () => {
+    throw new Error('should not extract');
+  };
+
+  it('drops the previous crop, rotation and straightening', () => {
+    expect(newImageSettings({ ...DEFAULT_SETTINGS, transform: cropped }, noExtract)).toEqual({ transform: DEFAULT_SETTINGS.transform });
+  });
+
+  it('extracts a new palette when the extracted one is in use', () => {
+    const settings = { ...DEFAULT_SETTINGS, palette: EXTRACTED_PALETTE, extractCount: 4, extractedPalette: ['#FF0000'] };
+    const extract = jest.fn(() => ['#000000', '#FFFFFF']);
+    expect(newImageSettings(settings, extract)).toEqual({ extractedPalette: ['#000000', '#FFFFFF'] });
+    expect(extract).toHaveBeenCalledWith(4);
+  });
+
+  it('forgets extracted colors that are not in use', () => {
+    expect(newImageSettings({ ...DEFAULT_SETTINGS, extractedPalette: ['#FF0000'] }, noExtract)).toEqual({ extractedPalette: [] });
+  });
+
+  it('changes nothing for settings without per-image values', () => {
+    expect(newImageSettings({ ...DEFAULT_SETTINGS, pixelSize: 4 }, noExtract)).toEqual({});
+  });
+});
+
+describe('computeGridLayout', () => {
+  const target = (targetWidth, targetHeight, targetFit) => ({ sizeMode: 'target', targetWidth, targetHeight, targetFit });
+
+  it('cuts block mode into whole and partial cells at the source size', () => {
+    expect(computeGridLayout(95, 40, { pixelSize: 10 })).toEqual({
+      columns: 10, rows: 4, block: 10, draw: { x: 0, y: 0, width: 10, height: 4 }, outputWidth: 95, outputHeight: 40,
+    });
+    expect(computeGridLayout(95, 40, { pixelSize: 0 })).toBeNull();
+  });
+
+  it('fills the whole grid when the target keeps the source aspect ratio', () => {
+    ['fit', 'fill', 'stretch'].forEach((fit) => {
+      const layout = computeGridLayout(200, 100, target(64, 32, fit));
+      expect(layout.draw).toEqual({ x: 0, y: 0, width: 64, height: 32 });
+      expect([layout.block, layout.outputWidth, layout.outputHeight]).toEqual([3, 192, 96]);
+    });
+  });
+
+  it('letterboxes with fit and overflows with fill in whole cells', () => {
+    expect(computeGridLayout(200, 100, target(64, 64, 'fit')).draw).toEqual({ x: 0, y: 16, width: 64, height: 32 });
+    expect(computeGridLayout(200, 100, target(64, 64, 'fill')).draw).toEqual({ x: -32, y: 0, width: 128, height: 64 });
+    expect(computeGridLayout(200, 100, target(64, 64, 'stretch')).draw).toEqual({ x: 0, y: 0, width: 64, height: 64 });
+    expect(computeGridLayout(99, 100, target(10, 10, 'fit')).draw).toEqual({ x: 0, y: 0, width: 10, height: 10 });
+  });
+
+  it('keeps the target size between one cell and the maximum', () => {
+    const layout = computeGridLayout(100, 100, target(4096, 0, 'stretch'));
+    expect([layout.columns, layout.rows]).toEqual([MAX_TARGET_SIZE, 1]);
+  });
+});
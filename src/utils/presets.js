@@ -0,0 +1,114 @@
+// presets.js - Named looks: built-in, published by admins, or saved by the user
+import { DEFAULT_SETTINGS, IMAGE_SETTINGS } from './pixelPipeline';
+import { CUSTOM_PALETTE, EXTRACTED_PALETTE } from './palettes';
+import { sanitizeSettings } from './recipe';
+
+// Content slug holding the site-wide presets, edited in the admin panel
+export const PRESETS_SLUG = 'pixelart_presets';
+
+// Window event fired after the admin panel saves the site presets
+export const PRESETS_UPDATED_EVENT = 'presetsUpdated';
+
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin-gameboy',
+    name: 'Game Boy 4-tone',
+    description: 'Four greens with ordered dithering',
+    settings: { pixelSize: 6, palette: 'gameboy', dither: 'bayer4', ditherStrength: 0.8, contrast: 1.15 },
+  },
+  {
+    id: 'builtin-16bit-portrait',
+    name: '16-bit portrait',
+    description: '64 px tall, 32 colors, soft outline',
+    settings: {
+      sizeMode: 'target',
+      targetWidth: 64,
+      targetHeight: 64,
+      targetFit: 'fill',
+      sampling: 'average',
+      colorCount: 32,
+      saturation: 1.15,
+      outline: 'inner',
+      outlineSensitivity: 0.35,
+    },
+  },
+  {
+    id: 'builtin-nes-sprite',
+    name: 'NES sprite',
+    description: 'NES palette, dominant-color sampling, outer outline',
+    settings: { pixelSize: 8, sampling: 'mode', palette: 'nes', outline: 'outer', background: 'flood' },
+  },
+  {
+    id: 'builtin-pico8',
+    name: 'PICO-8 scene',
+    description: '128 px, PICO-8 palette, blue-noise dither',
+    settings: { sizeMode: 'target', targetWidth: 128, targetHeight: 128, palette: 'pico8', dither: 'blue-noise', ditherStrength: 0.6 },
+  },
+  {
+    id: 'builtin-c64',
+    name: 'C64 chunky',
+    description: 'Commodore 64 colors with Bayer dithering',
+    settings: { pixelSize: 12, palette: 'c64', dither: 'bayer2', saturation: 1.2 },
+  },
+  {
+    id: 'builtin-poster',
+    name: 'Flat poster',
+    description: '8 colors, posterized, no dithering',
+    settings: { pixelSize: 5, sampling: 'median', colorCount: 8, posterize: 6, contrast: 1.1 },
+  },
+];
+
+/**
+ * The look-defining part of the settings, ready to store as a preset.
+ * An extracted palette is turned into a custom one so the preset keeps its colors on other images.
+ * @param {object} settings - Converter settings
+ * @param {string} name - Preset name, also used for a converted palette
+ * @returns {object}
+ */
+export function presetSettingsFrom(settings, name) {
+  const look = Object.fromEntries(
+    Object.keys(DEFAULT_SETTINGS)
+      .filter((key) => !IMAGE_SETTINGS.includes(key))
+      .map((key) => [key, settings[key]])
+  );
+  if (settings.palette === EXTRACTED_PALETTE && settings.extractedPalette.length) {
+    look.palette = CUSTOM_PALETTE;
+    look.customPalette = { name, swatches: settings.extractedPalette.map((color) => ({ color, locked: false })) };
+  }
+  return look;
+}
+
+/**
+ * Settings after applying a preset: everything that is not in the preset goes back to
+ * its default, so a preset always gives the same look, while crop and extracted colors stay.
+ * @param {object} settings - Current converter settings
+ * @param {{settings: object}} preset
+ * @returns {object}
+ */
+export function applyPreset(settings, preset) {
+  const look = sanitizeSettings(preset.settings).settings;
+  IMAGE_SETTINGS.forEach((key) => delete look[key]);
+  const kept = Object.fromEntries(IMAGE_SETTINGS.map((key) => [key, settings[key]]));
+  return { ...DEFAULT_SETTINGS, ...look, ...kept };
+}
+
+/**
+ * Drop malformed entries from a stored list of presets (IndexedDB or the site content).
+ * @param {*} list
+ * @returns {Array<{id: string, name: string, description?: string, settings: object}>}
+ */
+export function normalizePresets(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list.filter((preset) =>
+    preset && typeof preset.id === 'string' && typeof preset.name === 'string' &&
+    preset.settings && typeof preset.settings === 'object'
+  );
+}
+
+/**
+ * @returns {string} Unique preset id
+ */
+export const createPresetId = () =>
+  `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
@@ -0,0 +1,60 @@
+import { applyPreset, BUILT_IN_PRESETS, normalizePresets, presetSettingsFrom } from './presets';
+import { DEFAULT_SETTINGS, IMAGE_SETTINGS } from './pixelPipeline';
+import { sanitizeSettings } from './recipe';
+import { CUSTOM_PALETTE, EXTRACTED_PALETTE } from './palettes';
+
+const crop = { ...DEFAULT_SETTINGS.transform, rotation: 90, crop: { x: 0.1, y: 0.1, width: 0.5, height: 0.5 } };
+
+describe('applyPreset', () => {
+  it('resets everything the preset leaves out but keeps the crop and extracted colors', () => {
+    const current = { ...DEFAULT_SETTINGS, pixelSize: 3, contrast: 1.4, transform: crop, extractedPalette: ['#123456'] };
+    const settings = applyPreset(current, { settings: { pixelSize: 8, palette: 'nes' } });
+    expect(settings).toEqual({ ...DEFAULT_SETTINGS, pixelSize: 8, palette: 'nes', transform: crop, extractedPalette: ['#123456'] });
+  });
+
+  it('never takes a crop or extracted colors from the preset', () => {
+    const settings = applyPreset(DEFAULT_SETTINGS, { settings: { transform: crop, extractedPalette: ['#FFFFFF'] } });
+    IMAGE_SETTINGS.forEach((key) => expect(settings[key]).toEqual(DEFAULT_SETTINGS[key]));
+  });
+
+  it('skips malformed values from stored presets', () => {
+    const settings = applyPreset(DEFAULT_SETTINGS, { settings: { pixelSize: 'big', dither: 'sparkle', colorCount: 8 } });
+    expect(settings).toEqual({ ...DEFAULT_SETTINGS, colorCount: 8 });
+  });
+
+  it.each(BUILT_IN_PRESETS.map((preset) => [preset.name, preset]))('built-in preset %s is fully valid', (name, preset) => {
+    expect(sanitizeSettings(preset.settings).ignored).toEqual([]);
+  });
+});
+
+describe('presetSettingsFrom', () => {
+  it('stores the look without the per-image settings', () => {
+    const look = presetSettingsFrom({ ...DEFAULT_SETTINGS, pixelSize: 4, transform: crop }, 'Mine');
+    IMAGE_SETTINGS.forEach((key) => expect(look).not.toHaveProperty(key));
+    expect(look.pixelSize).toBe(4);
+    expect(applyPreset(DEFAULT_SETTINGS, { settings: look })).toEqual({ ...DEFAULT_SETTINGS, pixelSize: 4 });
+  });
+
+  it('turns extracted colors into a custom palette named after the preset', () => {
+    const look = presetSettingsFrom({ ...DEFAULT_SETTINGS, palette: EXTRACTED_PALETTE, extractedPalette: ['#000000', '#FF0000'] }, 'Sunset');
+    expect(look.palette).toBe(CUSTOM_PALETTE);
+    expect(look.customPalette).toEqual({ name: 'Sunset', swatches: [{ color: '#000000', locked: false }, { color: '#FF0000', locked: false }] });
+  });
+
+  it('keeps the extracted palette choice when nothing was extracted yet', () => {
+    expect(presetSettingsFrom({ ...DEFAULT_SETTINGS, palette: EXTRACTED_PALETTE }, 'Empty').palette).toBe(EXTRACTED_PALETTE);
+  });
+});
+
+describe('normalizePresets', () => {
+  it('keeps only entries with an id, a name and settings', () => {
+    const good = { id: 'a', name: 'A', settings: {} };
+    expect(normalizePresets([good, null, { id: 1, name: 'B', settings: {} }, { id: 'c', name: 'C' }, { id: 'd', name: 'D', settings: 'x' }]))
+      .toEqual([good]);
+  });
+
+  it('returns an empty list for anything but an array', () => {
+    expect(normalizePresets(undefined)).toEqual([]);
+    expect(normalizePresets({ id: 'a' })).toEqual([]);
+  });
+});
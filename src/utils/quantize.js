@@ -0,0 +1,179 @@
+// quantize.js - Median-cut color quantization for the pixel art pipeline
+
+import { rgbToLab } from './colorSpace';
+
+export const MIN_COLORS = 2;
+export const MAX_COLORS = 256;
+
+// Colors are bucketed at 5 bits per channel so the cut works on at most
+// 32768 entries no matter how large the image is.
+const BUCKETS = 1 << 15;
+
+const bucketOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+const channelOf = (bucket, channel) => (bucket >> (10 - channel * 5)) & 31;
+
+export const clampColorCount = (count) =>
+  Math.max(MIN_COLORS, Math.min(MAX_COLORS, Math.round(count) || MIN_COLORS));
+
+const createBox = (buckets, histogram) => {
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  let count = 0;
+
+  buckets.forEach((bucket) => {
+    for (let channel = 0; channel < 3; channel++) {
+      const value = channelOf(bucket, channel);
+      if (value < min[channel]) min[channel] = value;
+      if (value > max[channel]) max[channel] = value;
+    }
+    count += histogram[bucket];
+  });
+
+  const ranges = max.map((value, channel) => value - min[channel]);
+  const channel = ranges.indexOf(Math.max(...ranges));
+
+  return { buckets, count, channel, range: ranges[channel] };
+};
+
+const splitBox = (box, histogram) => {
+  const sorted = [...box.buckets].sort(
+    (a, b) => channelOf(a, box.channel) - channelOf(b, box.channel)
+  );
+
+  // Split at the population median, keeping at least one bucket per side
+  let seen = 0;
+  let splitAt = 1;
+  for (let i = 0; i < sorted.length - 1; i++) {
+    seen += histogram[sorted[i]];
+    splitAt = i + 1;
+    if (seen >= box.count / 2) break;
+  }
+
+  return [
+    createBox(sorted.slice(0, splitAt), histogram),
+    createBox(sorted.slice(splitAt), histogram),
+  ];
+};
+
+/**
+ * Build a palette of at most `colorCount` colors from the opaque pixels of an ImageData.
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} colorCount - Requested palette size (2-256)
+ * @returns {Array<[number, number, number]>} Palette as RGB triples
+ */
+export function medianCutPalette(imageData, colorCount) {
+  const target = clampColorCount(colorCount);
+  const { data } = imageData;
+  const histogram = new Uint32Array(BUCKETS);
+  const sums = new Float64Array(BUCKETS * 3);
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const bucket = bucketOf(data[i], data[i + 1], data[i + 2]);
+    histogram[bucket]++;
+    sums[bucket * 3] += data[i];
+    sums[bucket * 3 + 1] += data[i + 1];
+    sums[bucket * 3 + 2] += data[i + 2];
+  }
+
+  const used = [];
+  for (let bucket = 0; bucket < BUCKETS; bucket++) {
+    if (histogram[bucket]) used.push(bucket);
+  }
+  if (used.length === 0) {
+    return [];
+  }
+
+  const boxes = [createBox(used, histogram)];
+  while (boxes.length < target) {
+    let index = -1;
+    let best = 0;
+    boxes.forEach((box, i) => {
+      const score = box.range * box.count;
+      if (box.buckets.length > 1 && score > best) {
+        best = score;
+        index = i;
+      }
+    });
+    if (index === -1) break;
+    boxes.splice(index, 1, ...splitBox(boxes[index], histogram));
+  }
+
+  return boxes.map((box) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    box.buckets.forEach((bucket) => {
+      r += sums[bucket * 3];
+      g += sums[bucket * 3 + 1];
+      b += sums[bucket * 3 + 2];
+    });
+    return [Math.round(r / box.count), Math.round(g / box.count), Math.round(b / box.count)];
+  });
+}
+
+/**
+ * Create a nearest-color lookup for a palette. Distance is Euclidean in CIE Lab,
+ * which tracks perceived difference far better than raw RGB for small fixed palettes.
+ * Results are cached per exact 24-bit color, so the match never depends on which
+ * colors were looked up before.
+ * @param {Array<[number, number, number]>} palette - Target palette
+ * @returns {(r: number, g: number, b: number) => number} Returns the palette index
+ */
+export function createColorMatcher(palette) {
+  const paletteLab = palette.map(([r, g, b]) => rgbToLab(r, g, b));
+  const lookup = new Map();
+
+  const nearestIndex = (r, g, b) => {
+    const [l, a, bb] = rgbToLab(r, g, b);
+    let index = 0;
+    let best = Infinity;
+    for (let i = 0; i < paletteLab.length; i++) {
+      const dl = paletteLab[i][0] - l;
+      const da = paletteLab[i][1] - a;
+      const db = paletteLab[i][2] - bb;
+      const distance = dl * dl + da * da + db * db;
+      if (distance < best) {
+        best = distance;
+        index = i;
+      }
+    }
+    return index;
+  };
+
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let index = lookup.get(key);
+    if (index === undefined) {
+      index = nearestIndex(r, g, b);
+      lookup.set(key, index);
+    }
+    return index;
+  };
+}
+
+/**
+ * Replace every pixel with its perceptually nearest palette color, in place.
+ * Alpha is left untouched.
+ * @param {ImageData} imageData - Pixels to remap
+ * @param {Array<[number, number, number]>} palette - Target palette
+ * @returns {ImageData} The same ImageData
+ */
+export function applyPalette(imageData, palette) {
+  if (!palette.length) {
+    return imageData;
+  }
+
+  const { data } = imageData;
+  const match = createColorMatcher(palette);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const color = palette[match(data[i], data[i + 1], data[i + 2])];
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+  }
+
+  return imageData;
+}
@@ -0,0 +1,78 @@
+import { medianCutPalette, applyPalette, createColorMatcher, clampColorCount, MIN_COLORS, MAX_COLORS } from './quantize';
+import { getPaletteColors } from './palettes';
+import { imageFromRows } from '../testUtils';
+
+// One row of pixels; alpha defaults to opaque
+const pixels = (colors) => imageFromRows([colors.map(([r, g, b, a = 255]) => [r, g, b, a])]);
+
+describe('clampColorCount', () => {
+  it('keeps the count within the supported range', () => {
+    expect(clampColorCount(1)).toBe(MIN_COLORS);
+    expect(clampColorCount(1000)).toBe(MAX_COLORS);
+    expect(clampColorCount(16.4)).toBe(16);
+    expect(clampColorCount(NaN)).toBe(MIN_COLORS);
+  });
+});
+
+describe('medianCutPalette', () => {
+  it('returns the exact colors when there are no more than requested', () => {
+    const palette = medianCutPalette(pixels([[255, 0, 0], [0, 0, 255], [255, 0, 0]]), 4);
+    expect(palette).toHaveLength(2);
+    expect(palette).toEqual(expect.arrayContaining([[255, 0, 0], [0, 0, 255]]));
+  });
+
+  it('never returns more colors than requested', () => {
+    const colors = [];
+    for (let i = 0; i < 64; i++) colors.push([i * 4, 255 - i * 4, (i * 37) % 256]);
+    expect(medianCutPalette(pixels(colors), 8).length).toBeLessThanOrEqual(8);
+  });
+
+  it('ignores transparent pixels', () => {
+    expect(medianCutPalette(pixels([[255, 0, 0, 0]]), 4)).toEqual([]);
+    expect(medianCutPalette(pixels([[255, 0, 0, 0], [0, 255, 0]]), 4)).toEqual([[0, 255, 0]]);
+  });
+
+  it('averages the pixels of a box', () => {
+    expect(medianCutPalette(pixels([[10, 10, 10], [20, 20, 20]]), 2)).toEqual(
+      expect.arrayContaining([[10, 10, 10], [20, 20, 20]])
+    );
+    expect(medianCutPalette(pixels([[10, 10, 10], [12, 12, 12]]), 2)).toEqual([[11, 11, 11]]);
+  });
+});
+
+describe('applyPalette', () => {
+  it('maps every pixel onto the palette and keeps alpha', () => {
+    const image = pixels([[250, 10, 10, 200], [5, 5, 240]]);
+    applyPalette(image, [[255, 0, 0], [0, 0, 255]]);
+    expect(Array.from(image.data)).toEqual([255, 0, 0, 200, 0, 0, 255, 255]);
+  });
+
+  it('leaves pixels alone for an empty palette', () => {
+    const image = pixels([[1, 2, 3]]);
+    applyPalette(image, []);
+    expect(Array.from(image.data)).toEqual([1, 2, 3, 255]);
+  });
+});
+
+describe('createColorMatcher', () => {
+  it('finds exact palette colors whatever was looked up before', () => {
+    const nes = getPaletteColors('nes');
+    const offWhite = nes.findIndex(([r, g, b]) => r === 0xf8 && g === 0xf8 && b === 0xf8);
+    const white = nes.findIndex(([r, g, b]) => r === 0xfc && g === 0xfc && b === 0xfc);
+    const match = createColorMatcher(nes);
+    // Both colors fall in the same 5-bit bucket; each must still match itself
+    expect(match(0xf8, 0xf8, 0xf8)).toBe(offWhite);
+    expect(match(0xfc, 0xfc, 0xfc)).toBe(white);
+
+    const reversed = createColorMatcher(nes);
+    expect(reversed(0xfc, 0xfc, 0xfc)).toBe(white);
+    expect(reversed(0xf8, 0xf8, 0xf8)).toBe(offWhite);
+  });
+
+  it('matches by perceived (Lab) distance', () => {
+    const match = createColorMatcher([[0, 0, 0], [255, 255, 255], [255, 0, 0]]);
+    expect(match(10, 10, 10)).toBe(0);
+    expect(match(240, 240, 240)).toBe(1);
+    expect(match(200, 30, 30)).toBe(2);
+  });
+});
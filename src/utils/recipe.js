@@ -0,0 +1,279 @@
+// recipe.js - Versioned, shareable snapshots of the converter settings (URL hash and .json files)
+import { zlibSync, unzlibSync, strToU8, strFromU8 } from 'fflate';
+import { DEFAULT_SETTINGS, MAX_TARGET_SIZE, SIZE_MODES, TARGET_FITS } from './pixelPipeline';
+import { DEFAULT_LEVELS } from './adjustments';
+import { MIN_COLORS, MAX_COLORS } from './quantize';
+import { MAX_EXTRACT_COLORS } from './paletteExtraction';
+import { MAX_STRAIGHTEN } from './transform';
+import { ADAPTIVE_PALETTE, CUSTOM_PALETTE, EXTRACTED_PALETTE, getPalette } from './palettes';
+import { DITHER_MODES } from './dithering';
+import { SAMPLING_MODES } from './downsample';
+import { OUTLINE_MODES } from './outline';
+import { BACKGROUND_MODES } from './background';
+
+export const RECIPE_FORMAT = 'image-to-art-recipe';
+
+// Bump when a settings key changes meaning, and migrate older recipes in parseRecipe
+export const RECIPE_VERSION = 1;
+
+// URL hash parameter holding a compressed recipe, e.g. #recipe=eJy...
+const HASH_KEY = 'recipe';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}){1,2}$/i;
+
+const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Number settings are clamped to the range of their control, so a link cannot ask for
+// a 0.001px block or a slider position the editor cannot show
+const NUMBER_RANGES = {
+  pixelSize: [0, 50],
+  targetWidth: [1, MAX_TARGET_SIZE],
+  targetHeight: [1, MAX_TARGET_SIZE],
+  brightness: [0.5, 2],
+  contrast: [0.5, 2],
+  saturation: [0, 2],
+  hue: [-180, 180],
+  gamma: [0.2, 3],
+  posterize: [0, 16],
+  shadow: [0, 30],
+  innerShadow: [0, 30],
+  colorCount: [MIN_COLORS, MAX_COLORS],
+  ditherStrength: [0, 1],
+  extractCount: [MIN_COLORS, MAX_EXTRACT_COLORS],
+  backgroundTolerance: [0, 1],
+  alphaThreshold: [1, 255],
+  outlineSensitivity: [0, 1],
+};
+
+// String settings that pick one option of a control; anything else would leave the select blank
+const OPTION_SETTINGS = {
+  sizeMode: SIZE_MODES,
+  targetFit: TARGET_FITS,
+  sampling: SAMPLING_MODES,
+  dither: DITHER_MODES,
+  background: BACKGROUND_MODES,
+  outline: OUTLINE_MODES,
+};
+
+const isPaletteId = (id) => [ADAPTIVE_PALETTE, CUSTOM_PALETTE, EXTRACTED_PALETTE].includes(id) || Boolean(getPalette(id));
+
+const ROTATIONS = [0, 90, 180, 270];
+
+// Optional fields may be left out and fall back to their default
+const optional = (value, check) => value === undefined || check(value);
+
+const isCurvePoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+
+const isCrop = (crop) =>
+  isPlainObject(crop)
+  && ['x', 'y', 'width', 'height'].every((name) => Number.isFinite(crop[name]))
+  && crop.width > 0
+  && crop.height > 0;
+
+const clampCrop = ({ x, y, width, height }) => {
+  const clampedWidth = Math.min(1, width);
+  const clampedHeight = Math.min(1, height);
+  return {
+    x: clamp(x, 0, 1 - clampedWidth),
+    y: clamp(y, 0, 1 - clampedHeight),
+    width: clampedWidth,
+    height: clampedHeight,
+  };
+};
+
+// Nested settings are checked field by field and rebuilt from known fields only;
+// each returns undefined when the value has the wrong shape
+const NESTED_SETTINGS = {
+  levels: (value) => {
+    if (!isPlainObject(value) || !Object.keys(DEFAULT_LEVELS).every((name) => optional(value[name], Number.isFinite))) {
+      return undefined;
+    }
+    return Object.fromEntries(
+      Object.keys(DEFAULT_LEVELS).map((name) => [name, clamp(value[name] ?? DEFAULT_LEVELS[name], 0, 255)])
+    );
+  },
+  curve: (value) => {
+    if (!Array.isArray(value) || value.length < 2 || !value.every(isCurvePoint)) {
+      return undefined;
+    }
+    return value.map((point) => point.map((coordinate) => clamp(coordinate, 0, 255)));
+  },
+  customPalette: (value) => {
+    const isSwatch = (swatch) =>
+      isPlainObject(swatch) && isHexColor(swatch.color) && optional(swatch.locked, (locked) => typeof locked === 'boolean');
+    if (
+      !isPlainObject(value)
+      || !optional(value.name, (name) => typeof name === 'string')
+      || !Array.isArray(value.swatches)
+      || value.swatches.length > MAX_COLORS
+      || !value.swatches.every(isSwatch)
+    ) {
+      return undefined;
+    }
+    return {
+      name: value.name ?? DEFAULT_SETTINGS.customPalette.name,
+      swatches: value.swatches.map(({ color, locked = false }) => ({ color, locked })),
+    };
+  },
+  extractedPalette: (value) =>
+    Array.isArray(value) && value.length <= MAX_EXTRACT_COLORS && value.every(isHexColor) ? [...value] : undefined,
+  transform: (value) => {
+    if (
+      !isPlainObject(value)
+      || !optional(value.rotation, (rotation) => ROTATIONS.includes(rotation))
+      || !['flipH', 'flipV'].every((name) => optional(value[name], (flag) => typeof flag === 'boolean'))
+      || !optional(value.straighten, Number.isFinite)
+      || !optional(value.crop, (crop) => crop === null || isCrop(crop))
+    ) {
+      return undefined;
+    }
+    const transform = { ...DEFAULT_SETTINGS.transform, ...value };
+    return {
+      rotation: transform.rotation,
+      flipH: transform.flipH,
+      flipV: transform.flipV,
+      straighten: clamp(transform.straighten, -MAX_STRAIGHTEN, MAX_STRAIGHTEN),
+      crop: transform.crop && clampCrop(transform.crop),
+    };
+  },
+};
+
+// A recipe value in the shape its setting expects, or undefined when it cannot be used;
+// keys that default to null (auto colors) take a hex color
+const sanitizeValue = (key, value) => {
+  const defaultValue = DEFAULT_SETTINGS[key];
+  if (key in NESTED_SETTINGS) return NESTED_SETTINGS[key](value);
+  if (key === 'palette') return isPaletteId(value) ? value : undefined;
+  if (key in OPTION_SETTINGS) return OPTION_SETTINGS[key].some((option) => option.id === value) ? value : undefined;
+  if (defaultValue === null) return value === null || isHexColor(value) ? value : undefined;
+  if (typeof defaultValue === 'number') {
+    if (!Number.isFinite(value)) return undefined;
+    return key in NUMBER_RANGES ? clamp(value, ...NUMBER_RANGES[key]) : value;
+  }
+  return typeof value === typeof defaultValue ? value : undefined;
+};
+
+/**
+ * Snapshot the settings as a recipe. Every key is written, so a recipe does not
+ * depend on the defaults of the version that reads it.
+ * @param {object} settings - Converter settings
+ * @returns {{format: string, version: number, createdAt: string, settings: object}}
+ */
+export function createRecipe(settings) {
+  return {
+    format: RECIPE_FORMAT,
+    version: RECIPE_VERSION,
+    createdAt: new Date().toISOString(),
+    settings: Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map((key) => [key, settings[key]])),
+  };
+}
+
+/**
+ * Keep the settings keys whose values have the right shape, e.g. from a recipe or a stored preset.
+ * Nested values are checked down to every field, options must be ones the controls offer and
+ * numbers are clamped to their control's range.
+ * @param {object} values - Partial converter settings
+ * @returns {{settings: object, ignored: string[]}} settings holds only the accepted keys
+ */
+export function sanitizeSettings(values) {
+  const settings = {};
+  const ignored = [];
+  Object.entries(values).forEach(([key, value]) => {
+    const sanitized = key in DEFAULT_SETTINGS ? sanitizeValue(key, value) : undefined;
+    if (sanitized === undefined) {
+      ignored.push(key);
+      return;
+    }
+    settings[key] = sanitized;
+  });
+  return { settings, ignored };
+}
+
+/**
+ * Validate a recipe and turn it back into complete converter settings.
+ * Missing keys fall back to the defaults; unknown or malformed ones are skipped and reported.
+ * @param {object} recipe - Parsed recipe JSON
+ * @returns {{settings: object, ignored: string[]}}
+ */
+export function parseRecipe(recipe) {
+  if (!isPlainObject(recipe) || recipe.format !== RECIPE_FORMAT || !isPlainObject(recipe.settings)) {
+    throw new Error('This is not an Image-to-ART recipe');
+  }
+  if (!Number.isInteger(recipe.version) || recipe.version > RECIPE_VERSION) {
+    throw new Error('This recipe was made with a newer version of the converter');
+  }
+
+  const { settings, ignored } = sanitizeSettings(recipe.settings);
+  return { settings: { ...DEFAULT_SETTINGS, ...settings }, ignored };
+}
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * The settings as a URL hash, without the leading "#".
+ * @param {object} settings - Converter settings
+ * @returns {string}
+ */
+export function recipeToHash(settings) {
+  const json = JSON.stringify(createRecipe(settings));
+  return `${HASH_KEY}=${toBase64Url(zlibSync(strToU8(json), { level: 9 }))}`;
+}
+
+/**
+ * Read a recipe from a URL hash.
+ * @param {string} hash - location.hash, with or without the leading "#"
+ * @returns {{settings: object, ignored: string[]}|null} null when the hash holds no recipe
+ */
+export function recipeFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) {
+    return null;
+  }
+  let recipe;
+  try {
+    recipe = JSON.parse(strFromU8(unzlibSync(fromBase64Url(encoded))));
+  } catch (decodeError) {
+    throw new Error('The recipe in this link is damaged or incomplete');
+  }
+  return parseRecipe(recipe);
+}
+
+/**
+ * The settings as a downloadable .json recipe.
+ * @param {object} settings - Converter settings
+ * @returns {Blob}
+ */
+export function recipeToBlob(settings) {
+  return new Blob([JSON.stringify(createRecipe(settings), null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Read a .json recipe file.
+ * @param {File} file
+ * @returns {Promise<{settings: object, ignored: string[]}>}
+ */
+export async function readRecipeFile(file) {
+  let recipe;
+  try {
+    recipe = JSON.parse(await file.text());
+  } catch (parseError) {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return parseRecipe(recipe);
+}
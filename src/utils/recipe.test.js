@@ -0,0 +1,125 @@
+import { createRecipe, parseRecipe, readRecipeFile, recipeFromHash, recipeToHash, sanitizeSettings, RECIPE_VERSION } from './recipe';
+import { DEFAULT_SETTINGS } from './pixelPipeline';
+import { DEFAULT_LEVELS } from './adjustments';
+import { CUSTOM_PALETTE, EXTRACTED_PALETTE } from './palettes';
+
+const edited = {
+  ...DEFAULT_SETTINGS,
+  pixelSize: 6,
+  palette: CUSTOM_PALETTE,
+  dither: 'bayer4',
+  ditherStrength: 0.75,
+  curve: [[0, 20], [128, 140], [255, 235]],
+  levels: { ...DEFAULT_LEVELS, inputBlack: 12 },
+  customPalette: { name: 'Mine', swatches: [{ color: '#102030', locked: true }, { color: '#FFEEDD', locked: false }] },
+  extractedPalette: ['#000000', '#FFFFFF'],
+  outlineColor: '#FF0000',
+  transform: { rotation: 90, flipH: true, flipV: false, straighten: -3.5, crop: { x: 0.1, y: 0.2, width: 0.5, height: 0.6 } },
+};
+
+describe('recipeToHash / recipeFromHash', () => {
+  it('round-trips every setting through a link', () => {
+    const hash = recipeToHash(edited);
+    expect(hash).toMatch(/^recipe=[\w-]+$/);
+    expect(recipeFromHash(`#${hash}`)).toEqual({ settings: edited, ignored: [] });
+  });
+
+  it('returns null for hashes without a recipe', () => {
+    expect(recipeFromHash('')).toBeNull();
+    expect(recipeFromHash('#section=2')).toBeNull();
+  });
+
+  it('rejects damaged links', () => {
+    expect(() => recipeFromHash(`#${recipeToHash(edited).slice(0, -12)}`)).toThrow('damaged or incomplete');
+  });
+});
+
+describe('parseRecipe', () => {
+  it('fills settings missing from older recipes with the defaults', () => {
+    const recipe = { ...createRecipe(edited), settings: { pixelSize: 3 } };
+    expect(parseRecipe(recipe)).toEqual({ settings: { ...DEFAULT_SETTINGS, pixelSize: 3 }, ignored: [] });
+  });
+
+  it('rejects other JSON and recipes from newer versions', () => {
+    expect(() => parseRecipe({ settings: {} })).toThrow('not an Image-to-ART recipe');
+    expect(() => parseRecipe({ ...createRecipe(edited), version: RECIPE_VERSION + 1 })).toThrow('newer version');
+  });
+
+  it('reads recipe files', async () => {
+    const file = (text) => ({ name: 'look.json', text: () => Promise.resolve(text) });
+    expect((await readRecipeFile(file(JSON.stringify(createRecipe(edited))))).settings).toEqual(edited);
+    await expect(readRecipeFile(file('{'))).rejects.toThrow('look.json is not valid JSON');
+  });
+});
+
+describe('sanitizeSettings', () => {
+  const ignoredFor = (values) => sanitizeSettings(values).ignored;
+
+  it('keeps well-formed values and reports unknown keys', () => {
+    const { settings, ignored } = sanitizeSettings({ pixelSize: 4, dither: 'floyd-steinberg', colour: 'red' });
+    expect(settings).toEqual({ pixelSize: 4, dither: 'floyd-steinberg' });
+    expect(ignored).toEqual(['colour']);
+  });
+
+  it('rejects values of the wrong type', () => {
+    expect(ignoredFor({ pixelSize: '4', targetLock: 1, hue: NaN, dither: null })).toEqual(['pixelSize', 'targetLock', 'hue', 'dither']);
+  });
+
+  it('only takes options the controls offer', () => {
+    const { settings, ignored } = sanitizeSettings({
+      palette: 'bogus', dither: 'foo', sampling: 'x', outline: 'outer', background: 'magic', sizeMode: 'target', targetFit: 'zoom',
+    });
+    expect(settings).toEqual({ outline: 'outer', sizeMode: 'target' });
+    expect(ignored).toEqual(['palette', 'dither', 'sampling', 'background', 'targetFit']);
+    expect(sanitizeSettings({ palette: 'nes' }).settings).toEqual({ palette: 'nes' });
+    expect(sanitizeSettings({ palette: EXTRACTED_PALETTE }).settings).toEqual({ palette: EXTRACTED_PALETTE });
+  });
+
+  it('clamps numbers to the range of their control', () => {
+    const { settings } = sanitizeSettings({ pixelSize: 1e6, colorCount: 1, hue: -720, ditherStrength: 0.5 });
+    expect(settings).toEqual({ pixelSize: 50, colorCount: 2, hue: -180, ditherStrength: 0.5 });
+  });
+
+  it('only takes hex colors for auto colors', () => {
+    expect(sanitizeSettings({ outlineColor: '#ABC', backgroundColor: null }).settings).toEqual({ outlineColor: '#ABC', backgroundColor: null });
+    expect(ignoredFor({ outlineColor: 'red', backgroundColor: '#12345' })).toEqual(['outlineColor', 'backgroundColor']);
+  });
+
+  it('checks every curve point', () => {
+    expect(ignoredFor({ curve: [1] })).toEqual(['curve']);
+    expect(ignoredFor({ curve: [[0, 0]] })).toEqual(['curve']);
+    expect(ignoredFor({ curve: [[0, 0], [255, '255']] })).toEqual(['curve']);
+    expect(ignoredFor({ curve: [[0, 0], [255, 255, 0]] })).toEqual(['curve']);
+    expect(sanitizeSettings({ curve: [[-10, 0], [300, 999]] }).settings.curve).toEqual([[0, 0], [255, 255]]);
+  });
+
+  it('checks and clamps levels, keeping defaults for missing fields', () => {
+    expect(ignoredFor({ levels: { inputBlack: '10' } })).toEqual(['levels']);
+    expect(ignoredFor({ levels: [0, 255] })).toEqual(['levels']);
+    expect(sanitizeSettings({ levels: { inputWhite: 400, outputBlack: -5, extra: true } }).settings.levels)
+      .toEqual({ ...DEFAULT_LEVELS, inputWhite: 255, outputBlack: 0 });
+  });
+
+  it('checks palette colors and swatches', () => {
+    expect(ignoredFor({ extractedPalette: ['#000000', 7] })).toEqual(['extractedPalette']);
+    expect(ignoredFor({ extractedPalette: '#000000' })).toEqual(['extractedPalette']);
+    expect(ignoredFor({ customPalette: { name: 'x', swatches: {} } })).toEqual(['customPalette']);
+    expect(ignoredFor({ customPalette: { swatches: ['#000000'] } })).toEqual(['customPalette']);
+    expect(ignoredFor({ customPalette: { swatches: [{ color: 'black' }] } })).toEqual(['customPalette']);
+    expect(sanitizeSettings({ customPalette: { swatches: [{ color: '#000000' }] } }).settings.customPalette)
+      .toEqual({ name: DEFAULT_SETTINGS.customPalette.name, swatches: [{ color: '#000000', locked: false }] });
+  });
+
+  it('checks the transform and keeps the crop inside the frame', () => {
+    expect(ignoredFor({ transform: { rotation: 45 } })).toEqual(['transform']);
+    expect(ignoredFor({ transform: { flipH: 'yes' } })).toEqual(['transform']);
+    expect(ignoredFor({ transform: { crop: { x: 0, y: 0, width: '1', height: 1 } } })).toEqual(['transform']);
+    expect(ignoredFor({ transform: { crop: { x: 0, y: 0, width: 0, height: 1 } } })).toEqual(['transform']);
+    const { settings } = sanitizeSettings({ transform: { straighten: 90, crop: { x: 0.8, y: -1, width: 0.5, height: 2 } } });
+    expect(settings.transform).toEqual({
+      ...DEFAULT_SETTINGS.transform,
+      straighten: 45,
+      crop: { x: 0.5, y: 0, width: 0.5, height: 1 },
+    });
+  });
+});
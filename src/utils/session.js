@@ -0,0 +1,72 @@
+// session.js - Keep the open image and its settings in IndexedDB so a reload can pick up again
+import { idbGet, idbPut, idbDelete, SESSION_STORE } from './idb';
+import { createRecipe, parseRecipe } from './recipe';
+
+const SOURCE_KEY = 'source';
+const SETTINGS_KEY = 'settings';
+
+// Larger sources (mostly videos) are not kept, so storage quota is not spent on them
+export const MAX_SESSION_SOURCE_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Remember the uploaded file. It is written once per upload, apart from the settings,
+ * which change far more often.
+ * @param {Blob} blob - The uploaded file as it was picked
+ * @param {string} fileName
+ * @returns {Promise<boolean>} false when the file is too large to keep
+ */
+export async function saveSessionSource(blob, fileName) {
+  if (blob.size > MAX_SESSION_SOURCE_BYTES) {
+    await idbDelete(SESSION_STORE, SOURCE_KEY);
+    return false;
+  }
+  await idbPut(SESSION_STORE, { blob, fileName, savedAt: Date.now() }, SOURCE_KEY);
+  return true;
+}
+
+/**
+ * Remember the settings, as a recipe so they survive changes to the defaults.
+ * @param {object} settings - Converter settings
+ * @returns {Promise<void>}
+ */
+export async function saveSessionSettings(settings) {
+  await idbPut(SESSION_STORE, createRecipe(settings), SETTINGS_KEY);
+}
+
+/**
+ * The last session, if an image was open.
+ * @returns {Promise<{blob: Blob, fileName: string, savedAt: number, settings: object|null}|null>}
+ *   settings is null when none were stored or they could not be read
+ */
+export async function loadSession() {
+  const source = await idbGet(SESSION_STORE, SOURCE_KEY);
+  if (!source) {
+    return null;
+  }
+  let settings = null;
+  const recipe = await idbGet(SESSION_STORE, SETTINGS_KEY);
+  if (recipe) {
+    try {
+      settings = parseRecipe(recipe).settings;
+    } catch (recipeError) {
+      console.error('Error reading saved settings:', recipeError);
+    }
+  }
+  return { ...source, settings };
+}
+
+/**
+ * Forget the saved image; the settings stay for the next upload.
+ * @returns {Promise<void>}
+ */
+export async function clearSessionSource() {
+  await idbDelete(SESSION_STORE, SOURCE_KEY);
+}
+
+/**
+ * Forget the whole session.
+ * @returns {Promise<void>}
+ */
+export async function clearSession() {
+  await Promise.all([idbDelete(SESSION_STORE, SOURCE_KEY), idbDelete(SESSION_STORE, SETTINGS_KEY)]);
+}
@@ -0,0 +1,71 @@
+import { idbGet, idbPut } from './idb';
+import { clearSession, clearSessionSource, loadSession, MAX_SESSION_SOURCE_BYTES, saveSessionSettings, saveSessionSource } from './session';
+import { DEFAULT_SETTINGS } from './pixelPipeline';
+
+// An in-memory store stands in for IndexedDB, which jsdom does not have
+jest.mock('./idb', () => {
+  const stores = new Map();
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    SESSION_STORE: 'session',
+    reset: () => stores.clear(),
+    idbGet: async (name, key) => store(name).get(key),
+    idbPut: async (name, value, key) => {
+      store(name).set(key, value);
+      return key;
+    },
+    idbDelete: async (name, key) => {
+      store(name).delete(key);
+    },
+  };
+});
+
+const { reset } = jest.requireMock('./idb');
+
+const settings = { ...DEFAULT_SETTINGS, pixelSize: 7, palette: 'nes', transform: { ...DEFAULT_SETTINGS.transform, rotation: 270 } };
+const blob = { size: 3, type: 'image/png' };
+
+beforeEach(() => reset());
+
+describe('session', () => {
+  it('is empty until an image is saved', async () => {
+    await saveSessionSettings(settings);
+    expect(await loadSession()).toBeNull();
+  });
+
+  it('round-trips the image and its settings', async () => {
+    expect(await saveSessionSource(blob, 'cat.png')).toBe(true);
+    await saveSessionSettings(settings);
+    const session = await loadSession();
+    expect(session).toEqual({ blob, fileName: 'cat.png', savedAt: expect.any(Number), settings });
+  });
+
+  it('keeps the settings for the next upload when only the image is cleared', async () => {
+    await saveSessionSource(blob, 'cat.png');
+    await saveSessionSettings(settings);
+    await clearSessionSource();
+    expect(await loadSession()).toBeNull();
+    await saveSessionSource(blob, 'dog.png');
+    expect((await loadSession()).settings).toEqual(settings);
+    await clearSession();
+    expect(await idbGet('session', 'settings')).toBeUndefined();
+  });
+
+  it('drops a source too large to keep', async () => {
+    await saveSessionSource(blob, 'cat.png');
+    expect(await saveSessionSource({ size: MAX_SESSION_SOURCE_BYTES + 1 }, 'movie.mp4')).toBe(false);
+    expect(await loadSession()).toBeNull();
+  });
+
+  it('still restores the image when the stored settings cannot be read', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await saveSessionSource(blob, 'cat.png');
+    await idbPut('session', { app: 'something else' }, 'settings');
+    expect((await loadSession()).settings).toBeNull();
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
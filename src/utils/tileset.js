@@ -0,0 +1,230 @@
+// tileset.js - Slice the pixel grid into tiles, pack them into a sheet and describe it for game engines
+
+export const TILESET_FORMATS = [
+  { id: 'tiled', name: 'Tiled (.tsx tileset + .tmj map)' },
+  { id: 'atlas', name: 'JSON atlas' },
+];
+
+// Pixels below this alpha count as empty when looking for blank tiles
+const ALPHA_CUTOFF = 128;
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const copyTile = (grid, left, top, tileWidth, tileHeight) => {
+  const tile = new ImageData(tileWidth, tileHeight);
+  for (let y = 0; y < tileHeight && top + y < grid.height; y++) {
+    const width = Math.min(tileWidth, grid.width - left);
+    const start = ((top + y) * grid.width + left) * 4;
+    tile.data.set(grid.data.subarray(start, start + width * 4), y * tileWidth * 4);
+  }
+  return tile;
+};
+
+const isEmptyTile = (tile) => {
+  for (let i = 3; i < tile.data.length; i += 4) {
+    if (tile.data[i] >= ALPHA_CUTOFF) return false;
+  }
+  return true;
+};
+
+// FNV-1a over the pixels; only used to find candidates, matches are confirmed byte by byte
+const hashTile = (tile) => {
+  let hash = 0x811c9dc5;
+  const { data } = tile;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const sameTile = (a, b) => {
+  for (let i = 0; i < a.data.length; i++) {
+    if (a.data[i] !== b.data[i]) return false;
+  }
+  return true;
+};
+
+/**
+ * Cut the grid into tiles. Edge tiles that run past the grid are padded with transparency.
+ * @param {ImageData} grid - Native-resolution pixels
+ * @param {number} tileWidth
+ * @param {number} tileHeight
+ * @param {object} [options]
+ * @param {boolean} [options.dedupe=true] - Store identical tiles once
+ * @param {boolean} [options.skipEmpty=true] - Leave fully transparent tiles out of the tileset
+ * @returns {{tiles: ImageData[], map: Int32Array, columns: number, rows: number}}
+ *   map holds the tile index for every grid cell, row by row, or -1 for a skipped empty tile
+ */
+export function sliceTiles(grid, tileWidth, tileHeight, { dedupe = true, skipEmpty = true } = {}) {
+  const columns = Math.ceil(grid.width / tileWidth);
+  const rows = Math.ceil(grid.height / tileHeight);
+  const tiles = [];
+  const map = new Int32Array(columns * rows);
+  const seen = new Map();
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const tile = copyTile(grid, column * tileWidth, row * tileHeight, tileWidth, tileHeight);
+      const cell = row * columns + column;
+      if (skipEmpty && isEmptyTile(tile)) {
+        map[cell] = -1;
+        continue;
+      }
+
+      if (dedupe) {
+        const hash = hashTile(tile);
+        const candidates = seen.get(hash) || [];
+        const match = candidates.find((index) => sameTile(tiles[index], tile));
+        if (match !== undefined) {
+          map[cell] = match;
+          continue;
+        }
+        candidates.push(tiles.length);
+        seen.set(hash, candidates);
+      }
+
+      map[cell] = tiles.length;
+      tiles.push(tile);
+    }
+  }
+
+  return { tiles, map, columns, rows };
+}
+
+/**
+ * Pack tiles into a sheet, left to right and top to bottom.
+ * @param {ImageData[]} tiles - Same-sized tiles
+ * @param {object} options
+ * @param {number} options.columns - Tiles per sheet row
+ * @param {number} [options.margin=0] - Transparent border around the sheet, in pixels
+ * @param {number} [options.spacing=0] - Transparent gap between tiles, in pixels
+ * @returns {{sheet: ImageData, positions: Array<{x: number, y: number}>}}
+ */
+export function packTileset(tiles, { columns, margin = 0, spacing = 0 }) {
+  const { width: tileWidth, height: tileHeight } = tiles[0];
+  const perRow = Math.max(1, Math.min(columns, tiles.length));
+  const sheetRows = Math.ceil(tiles.length / perRow);
+  const sheet = new ImageData(
+    margin * 2 + perRow * tileWidth + (perRow - 1) * spacing,
+    margin * 2 + sheetRows * tileHeight + (sheetRows - 1) * spacing
+  );
+
+  const positions = tiles.map((tile, index) => {
+    const x = margin + (index % perRow) * (tileWidth + spacing);
+    const y = margin + Math.floor(index / perRow) * (tileHeight + spacing);
+    for (let row = 0; row < tileHeight; row++) {
+      sheet.data.set(
+        tile.data.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4),
+        ((y + row) * sheet.width + x) * 4
+      );
+    }
+    return { x, y };
+  });
+
+  return { sheet, positions };
+}
+
+/**
+ * Tiled external tileset (.tsx) pointing at the packed sheet.
+ * @param {object} tileset
+ * @param {string} tileset.name
+ * @param {string} tileset.image - Sheet file name, relative to the .tsx
+ * @param {ImageData} tileset.sheet
+ * @param {number} tileset.tileWidth
+ * @param {number} tileset.tileHeight
+ * @param {number} tileset.tileCount
+ * @param {number} tileset.columns - Tiles per sheet row
+ * @param {number} tileset.margin
+ * @param {number} tileset.spacing
+ * @returns {string}
+ */
+export function tiledTilesetXml({ name, image, sheet, tileWidth, tileHeight, tileCount, columns, margin, spacing }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tileset version="1.10" tiledversion="1.10.2" name="${escapeXml(name)}" tilewidth="${tileWidth}" tileheight="${tileHeight}" spacing="${spacing}" margin="${margin}" tilecount="${tileCount}" columns="${columns}">`,
+    ` <image source="${escapeXml(image)}" width="${sheet.width}" height="${sheet.height}"/>`,
+    '</tileset>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Tiled JSON map (.tmj) with one tile layer that rebuilds the original image.
+ * @param {object} map
+ * @param {string} map.tilesetSource - .tsx file name, relative to the .tmj
+ * @param {Int32Array} map.cells - From sliceTiles; -1 becomes the empty gid 0
+ * @param {number} map.columns
+ * @param {number} map.rows
+ * @param {number} map.tileWidth
+ * @param {number} map.tileHeight
+ * @returns {string}
+ */
+export function tiledMapJson({ tilesetSource, cells, columns, rows, tileWidth, tileHeight }) {
+  return JSON.stringify({
+    type: 'map',
+    version: '1.10',
+    tiledversion: '1.10.2',
+    orientation: 'orthogonal',
+    renderorder: 'right-down',
+    infinite: false,
+    width: columns,
+    height: rows,
+    tilewidth: tileWidth,
+    tileheight: tileHeight,
+    nextlayerid: 2,
+    nextobjectid: 1,
+    tilesets: [{ firstgid: 1, source: tilesetSource }],
+    layers: [{
+      id: 1,
+      name: 'Tiles',
+      type: 'tilelayer',
+      x: 0,
+      y: 0,
+      width: columns,
+      height: rows,
+      opacity: 1,
+      visible: true,
+      data: Array.from(cells, (index) => index + 1),
+    }],
+  }, null, 2);
+}
+
+/**
+ * Engine-neutral atlas in the common "frames" hash layout (Phaser, PixiJS), plus the tile map.
+ * @param {object} atlas
+ * @param {string} atlas.name - Prefix for frame names
+ * @param {string} atlas.image - Sheet file name
+ * @param {ImageData} atlas.sheet
+ * @param {Array<{x: number, y: number}>} atlas.positions - From packTileset
+ * @param {number} atlas.tileWidth
+ * @param {number} atlas.tileHeight
+ * @param {Int32Array} atlas.cells - From sliceTiles
+ * @param {number} atlas.columns - Map width in tiles
+ * @param {number} atlas.rows - Map height in tiles
+ * @returns {string}
+ */
+export function jsonAtlas({ name, image, sheet, positions, tileWidth, tileHeight, cells, columns, rows }) {
+  const frames = {};
+  positions.forEach(({ x, y }, index) => {
+    frames[`${name}_${index}`] = {
+      frame: { x, y, w: tileWidth, h: tileHeight },
+      rotated: false,
+      trimmed: false,
+      spriteSourceSize: { x: 0, y: 0, w: tileWidth, h: tileHeight },
+      sourceSize: { w: tileWidth, h: tileHeight },
+    };
+  });
+  return JSON.stringify({
+    frames,
+    meta: {
+      app: 'Image-to-ART',
+      image,
+      format: 'RGBA8888',
+      size: { w: sheet.width, h: sheet.height },
+      scale: '1',
+    },
+    map: { width: columns, height: rows, tileWidth, tileHeight, tiles: Array.from(cells) },
+  }, null, 2);
+}
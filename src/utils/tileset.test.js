@@ -0,0 +1,97 @@
+import { sliceTiles, packTileset, tiledTilesetXml, tiledMapJson, jsonAtlas } from './tileset';
+import { imageFromRows } from '../testUtils';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// 4x4 pixels as 2x2 tiles: red, blue / red, clear
+const grid = () => imageFromRows([
+  [RED, RED, BLUE, BLUE],
+  [RED, RED, BLUE, BLUE],
+  [RED, RED, CLEAR, CLEAR],
+  [RED, RED, CLEAR, CLEAR],
+]);
+
+const pixelsOf = (tile) => Array.from(tile.data);
+
+describe('sliceTiles', () => {
+  it('stores identical tiles once and skips empty ones', () => {
+    const { tiles, map, columns, rows } = sliceTiles(grid(), 2, 2);
+    expect([columns, rows]).toEqual([2, 2]);
+    expect(tiles).toHaveLength(2);
+    expect(Array.from(map)).toEqual([0, 1, 0, -1]);
+    expect(pixelsOf(tiles[0])).toEqual([RED, RED, RED, RED].flat());
+  });
+
+  it('keeps every tile when asked', () => {
+    const { tiles, map } = sliceTiles(grid(), 2, 2, { dedupe: false, skipEmpty: false });
+    expect(tiles).toHaveLength(4);
+    expect(Array.from(map)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('treats tiles that differ by one pixel as different', () => {
+    const rows = [[RED, RED, RED, RED], [RED, RED, RED, BLUE]];
+    const { tiles, map } = sliceTiles(imageFromRows(rows), 2, 2);
+    expect(tiles).toHaveLength(2);
+    expect(Array.from(map)).toEqual([0, 1]);
+  });
+
+  it('pads edge tiles with transparency', () => {
+    const { tiles, columns, rows } = sliceTiles(imageFromRows([[RED, RED, BLUE]]), 2, 2);
+    expect([columns, rows]).toEqual([2, 1]);
+    expect(pixelsOf(tiles[1])).toEqual([BLUE, CLEAR, CLEAR, CLEAR].flat());
+  });
+});
+
+describe('packTileset', () => {
+  it('lays tiles out in rows with margin and spacing', () => {
+    const { tiles } = sliceTiles(grid(), 2, 2, { dedupe: false, skipEmpty: false });
+    const { sheet, positions } = packTileset(tiles, { columns: 3, margin: 1, spacing: 2 });
+    expect([sheet.width, sheet.height]).toEqual([1 * 2 + 3 * 2 + 2 * 2, 1 * 2 + 2 * 2 + 2]);
+    expect(positions).toEqual([{ x: 1, y: 1 }, { x: 5, y: 1 }, { x: 9, y: 1 }, { x: 1, y: 5 }]);
+    const at = (x, y) => Array.from(sheet.data.subarray((y * sheet.width + x) * 4, (y * sheet.width + x) * 4 + 4));
+    expect(at(0, 0)).toEqual(CLEAR);
+    expect(at(2, 2)).toEqual(RED);
+    expect(at(5, 1)).toEqual(BLUE);
+    expect(at(3, 1)).toEqual(CLEAR);
+  });
+
+  it('never makes the sheet wider than the tiles need', () => {
+    const { tiles } = sliceTiles(grid(), 2, 2);
+    const { sheet } = packTileset(tiles, { columns: 8 });
+    expect([sheet.width, sheet.height]).toEqual([4, 2]);
+  });
+});
+
+describe('Tiled and atlas output', () => {
+  const { tiles, map, columns, rows } = sliceTiles(grid(), 2, 2);
+  const { sheet, positions } = packTileset(tiles, { columns: 2 });
+
+  it('describes the sheet as a Tiled tileset', () => {
+    const xml = tiledTilesetXml({
+      name: 'Hills & "Caves"', image: 'hills.png', sheet, tileWidth: 2, tileHeight: 2,
+      tileCount: tiles.length, columns: 2, margin: 0, spacing: 0,
+    });
+    expect(xml).toContain('name="Hills &amp; &quot;Caves&quot;" tilewidth="2" tileheight="2"');
+    expect(xml).toContain('tilecount="2" columns="2"');
+    expect(xml).toContain('<image source="hills.png" width="4" height="2"/>');
+  });
+
+  it('rebuilds the image as a Tiled map with gid 0 for empty cells', () => {
+    const tmj = JSON.parse(tiledMapJson({ tilesetSource: 'hills.tsx', cells: map, columns, rows, tileWidth: 2, tileHeight: 2 }));
+    expect([tmj.width, tmj.height]).toEqual([2, 2]);
+    expect(tmj.tilesets).toEqual([{ firstgid: 1, source: 'hills.tsx' }]);
+    expect(tmj.layers[0].data).toEqual([1, 2, 1, 0]);
+  });
+
+  it('lists one atlas frame per tile and keeps the map', () => {
+    const atlas = JSON.parse(jsonAtlas({
+      name: 'hills', image: 'hills.png', sheet, positions, tileWidth: 2, tileHeight: 2, cells: map, columns, rows,
+    }));
+    expect(Object.keys(atlas.frames)).toEqual(['hills_0', 'hills_1']);
+    expect(atlas.frames.hills_1.frame).toEqual({ x: 2, y: 0, w: 2, h: 2 });
+    expect(atlas.meta.size).toEqual({ w: 4, h: 2 });
+    expect(atlas.map).toEqual({ width: 2, height: 2, tileWidth: 2, tileHeight: 2, tiles: [0, 1, 0, -1] });
+  });
+});
@@ -0,0 +1,209 @@
+// transform.js - Non-destructive crop, rotation, flips and straightening applied before pixelation
+
+// crop is null (whole frame) or {x, y, width, height} as fractions of the rotated, straightened frame
+export const DEFAULT_TRANSFORM = {
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+  straighten: 0,
+  crop: null,
+};
+
+// Straighten range in degrees, either way
+export const MAX_STRAIGHTEN = 45;
+
+// ratio is width / height in pixels; 'original' uses the frame's own ratio.
+// inverse is the ratio a crop turns into after a 90° rotation.
+export const ASPECT_RATIOS = [
+  { id: 'free', name: 'Free', ratio: null, inverse: 'free' },
+  { id: 'original', name: 'Original', ratio: null, inverse: 'original' },
+  { id: '1:1', name: '1:1 (avatar)', ratio: 1, inverse: '1:1' },
+  { id: '4:3', name: '4:3', ratio: 4 / 3, inverse: '3:4' },
+  { id: '3:4', name: '3:4', ratio: 3 / 4, inverse: '4:3' },
+  { id: '16:9', name: '16:9', ratio: 16 / 9, inverse: '9:16' },
+  { id: '9:16', name: '9:16', ratio: 9 / 16, inverse: '16:9' },
+];
+
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Whether a transform leaves the source exactly as it is.
+ * @param {object} [transform]
+ * @returns {boolean}
+ */
+export function isIdentityTransform(transform) {
+  if (!transform) return true;
+  const { rotation, flipH, flipV, straighten, crop } = transform;
+  return !rotation && !flipH && !flipV && !straighten && !crop;
+}
+
+/**
+ * Size of the source after the 90° rotation (straightening keeps the frame size).
+ * @param {number} width
+ * @param {number} height
+ * @param {number} rotation - 0, 90, 180 or 270
+ * @returns {{width: number, height: number}}
+ */
+export function orientedSize(width, height, rotation) {
+  return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Pixel width / height ratio, expressed in the crop's fractional units for a frame.
+ * @param {number} ratio - Pixel aspect ratio (width / height)
+ * @param {{width: number, height: number}} frame
+ * @returns {number}
+ */
+export function fractionalRatio(ratio, frame) {
+  return (ratio * frame.height) / frame.width;
+}
+
+/**
+ * Apply the transform to a source image. The source itself is never modified;
+ * an identity transform returns it unchanged.
+ * @param {CanvasImageSource} source - ImageBitmap or loaded HTMLImageElement
+ * @param {object} transform - See DEFAULT_TRANSFORM
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @returns {CanvasImageSource}
+ */
+export function transformSource(source, transform, createCanvas) {
+  if (isIdentityTransform(transform)) {
+    return source;
+  }
+
+  const { rotation = 0, flipH, flipV, straighten = 0, crop } = transform;
+  const frame = orientedSize(source.width, source.height, rotation);
+  const region = crop || FULL_CROP;
+  const left = Math.round(region.x * frame.width);
+  const top = Math.round(region.y * frame.height);
+  const width = Math.max(1, Math.min(frame.width - left, Math.round(region.width * frame.width)));
+  const height = Math.max(1, Math.min(frame.height - top, Math.round(region.height * frame.height)));
+
+  // Scale a straightened image up just enough that no empty corners show in the frame
+  const angle = (straighten * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const cover = Math.max(
+    (frame.width * cos + frame.height * sin) / frame.width,
+    (frame.width * sin + frame.height * cos) / frame.height
+  );
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(frame.width / 2 - left, frame.height / 2 - top);
+  ctx.rotate(angle);
+  ctx.scale(cover, cover);
+  // Flips act on the rotated image, so "horizontal" always means left-right on screen
+  ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+
+  return canvas;
+}
+
+/**
+ * Keep a crop on the same part of the image through a 90° turn.
+ * @param {object|null} crop
+ * @param {1|-1} direction - 1 clockwise, -1 counter-clockwise
+ * @returns {object|null}
+ */
+export function rotateCrop(crop, direction) {
+  if (!crop) return null;
+  const { x, y, width, height } = crop;
+  return direction > 0
+    ? { x: 1 - (y + height), y: x, width: height, height: width }
+    : { x: y, y: 1 - (x + width), width: height, height: width };
+}
+
+/**
+ * Mirror a crop along with the image.
+ * @param {object|null} crop
+ * @param {'h'|'v'} axis
+ * @returns {object|null}
+ */
+export function flipCrop(crop, axis) {
+  if (!crop) return null;
+  return axis === 'h'
+    ? { ...crop, x: 1 - (crop.x + crop.width) }
+    : { ...crop, y: 1 - (crop.y + crop.height) };
+}
+
+/**
+ * Largest crop with the given fractional ratio, centred inside an existing crop.
+ * @param {object|null} crop - null for the whole frame
+ * @param {number} ratio - width / height in fractional units (see fractionalRatio)
+ * @returns {object}
+ */
+export function fitCropToRatio(crop, ratio) {
+  const base = crop || FULL_CROP;
+  let width = base.width;
+  let height = width / ratio;
+  if (height > base.height) {
+    height = base.height;
+    width = height * ratio;
+  }
+  return {
+    x: base.x + (base.width - width) / 2,
+    y: base.y + (base.height - height) / 2,
+    width,
+    height,
+  };
+}
+
+/**
+ * Crop spanned by dragging from an anchor to a point, optionally ratio-locked,
+ * and kept inside the frame. All values are fractions of the frame.
+ * @param {{x: number, y: number}} anchor
+ * @param {{x: number, y: number}} point
+ * @param {number|null} ratio - width / height in fractional units, or null for free
+ * @returns {object}
+ */
+export function cropFromPoints(anchor, point, ratio) {
+  const directionX = point.x >= anchor.x ? 1 : -1;
+  const directionY = point.y >= anchor.y ? 1 : -1;
+  const maxWidth = directionX > 0 ? 1 - anchor.x : anchor.x;
+  const maxHeight = directionY > 0 ? 1 - anchor.y : anchor.y;
+
+  let width = Math.min(Math.abs(point.x - anchor.x), maxWidth);
+  let height = Math.min(Math.abs(point.y - anchor.y), maxHeight);
+  if (ratio) {
+    if (width / ratio > height) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+    if (width > maxWidth) {
+      width = maxWidth;
+      height = width / ratio;
+    }
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * ratio;
+    }
+  }
+
+  return {
+    x: directionX > 0 ? anchor.x : anchor.x - width,
+    y: directionY > 0 ? anchor.y : anchor.y - height,
+    width,
+    height,
+  };
+}
+
+/**
+ * Move a crop by a fractional offset without leaving the frame.
+ * @param {object} crop
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {object}
+ */
+export function moveCrop(crop, dx, dy) {
+  return {
+    ...crop,
+    x: clamp(crop.x + dx, 0, 1 - crop.width),
+    y: clamp(crop.y + dy, 0, 1 - crop.height),
+  };
+}
@@ -0,0 +1,96 @@
+import {
+  transformSource, rotateCrop, flipCrop, fitCropToRatio, cropFromPoints, moveCrop, isIdentityTransform, DEFAULT_TRANSFORM,
+} from './transform';
+
+// jsdom has no 2D canvas; this one tracks the transform matrix and point-samples drawImage,
+// which is all transformSource needs. Sources are ImageData-like, pixels are single letters.
+const createCanvas = (width, height) => {
+  const pixels = new Array(width * height).fill(null);
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const multiply = ([a, b, c, d, e, f]) => {
+    const [ma, mb, mc, md, me, mf] = matrix;
+    matrix = [ma * a + mc * b, mb * a + md * b, ma * c + mc * d, mb * c + md * d, ma * e + mc * f + me, mb * e + md * f + mf];
+  };
+  const ctx = {
+    translate: (x, y) => multiply([1, 0, 0, 1, x, y]),
+    rotate: (angle) => multiply([Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]),
+    scale: (x, y) => multiply([x, 0, 0, y, 0, 0]),
+    drawImage: (source, dx, dy) => {
+      const [a, b, c, d, e, f] = matrix;
+      const det = a * d - b * c;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const px = x + 0.5 - e;
+          const py = y + 0.5 - f;
+          const sx = Math.floor((d * px - c * py) / det - dx + 1e-9);
+          const sy = Math.floor((a * py - b * px) / det - dy + 1e-9);
+          if (sx >= 0 && sy >= 0 && sx < source.width && sy < source.height) {
+            pixels[y * width + x] = source.pixels[sy * source.width + sx];
+          }
+        }
+      }
+    },
+  };
+  return { width, height, pixels, getContext: () => ctx };
+};
+
+// 3x2 source:
+// A B C
+// D E F
+const source = { width: 3, height: 2, pixels: ['A', 'B', 'C', 'D', 'E', 'F'] };
+
+const rowsOf = (canvas) => Array.from({ length: canvas.height }, (_, y) =>
+  canvas.pixels.slice(y * canvas.width, (y + 1) * canvas.width).join(''));
+
+const transformed = (transform) => rowsOf(transformSource(source, { ...DEFAULT_TRANSFORM, ...transform }, createCanvas));
+
+describe('transformSource', () => {
+  it('returns the source itself for the identity transform', () => {
+    expect(isIdentityTransform(DEFAULT_TRANSFORM)).toBe(true);
+    expect(transformSource(source, DEFAULT_TRANSFORM, createCanvas)).toBe(source);
+  });
+
+  it('rotates in quarter turns clockwise', () => {
+    expect(transformed({ rotation: 90 })).toEqual(['DA', 'EB', 'FC']);
+    expect(transformed({ rotation: 180 })).toEqual(['FED', 'CBA']);
+    expect(transformed({ rotation: 270 })).toEqual(['CF', 'BE', 'AD']);
+  });
+
+  it('flips on screen axes after rotating', () => {
+    expect(transformed({ flipH: true })).toEqual(['CBA', 'FED']);
+    expect(transformed({ flipV: true })).toEqual(['DEF', 'ABC']);
+    expect(transformed({ rotation: 90, flipH: true })).toEqual(['AD', 'BE', 'CF']);
+  });
+
+  it('crops in fractions of the rotated frame', () => {
+    const crop = { x: 1 / 3, y: 0, width: 2 / 3, height: 0.5 };
+    expect(transformed({ crop })).toEqual(['BC']);
+    expect(transformed({ rotation: 90, crop: { x: 0.5, y: 0, width: 0.5, height: 1 } })).toEqual(['A', 'B', 'C']);
+  });
+
+  it('keeps a crop on the same pixels through rotations and flips', () => {
+    const crop = { x: 1 / 3, y: 0, width: 1 / 3, height: 0.5 };
+    expect(transformed({ crop })).toEqual(['B']);
+    expect(transformed({ rotation: 90, crop: rotateCrop(crop, 1) })).toEqual(['B']);
+    expect(transformed({ rotation: 270, crop: rotateCrop(crop, -1) })).toEqual(['B']);
+    expect(transformed({ flipV: true, crop: flipCrop(crop, 'v') })).toEqual(['B']);
+    expect(rotateCrop(rotateCrop(crop, 1), -1)).toEqual(crop);
+  });
+});
+
+describe('crop geometry', () => {
+  it('fits the largest centred crop of a ratio', () => {
+    expect(fitCropToRatio(null, 0.5)).toEqual({ x: 0.25, y: 0, width: 0.5, height: 1 });
+    expect(fitCropToRatio({ x: 0, y: 0, width: 0.5, height: 1 }, 1)).toEqual({ x: 0, y: 0.25, width: 0.5, height: 0.5 });
+  });
+
+  it('spans a crop between two points, in any direction, inside the frame', () => {
+    expect(cropFromPoints({ x: 0.5, y: 0.5 }, { x: 0.2, y: 0.9 }, null)).toEqual({ x: 0.2, y: 0.5, width: 0.3, height: 0.4 });
+    expect(cropFromPoints({ x: 0.5, y: 0.5 }, { x: 0.9, y: 0.6 }, 1)).toEqual({ x: 0.5, y: 0.5, width: 0.4, height: 0.4 });
+    expect(cropFromPoints({ x: 0.8, y: 0.2 }, { x: 2, y: 2 }, 1)).toEqual({ x: 0.8, y: 0.2, width: expect.closeTo(0.2), height: expect.closeTo(0.2) });
+  });
+
+  it('moves a crop without leaving the frame', () => {
+    expect(moveCrop({ x: 0.5, y: 0.5, width: 0.4, height: 0.4 }, 0.3, -0.7)).toEqual({ x: 0.6, y: 0, width: 0.4, height: 0.4 });
+  });
+});
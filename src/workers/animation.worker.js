@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+// animation.worker.js - Pixelates every frame of an animation off the main thread
+import { renderAnimationFrames } from '../utils/animation';
+
+let frames = [];
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+
+  if (type === 'frames') {
+    frames.forEach((frame) => frame.image.close());
+    frames = event.data.frames;
+    return;
+  }
+
+  if (type === 'render') {
+    const { jobId, settings } = event.data;
+    try {
+      const result = renderAnimationFrames(frames, settings, createCanvas, (done, total) => {
+        self.postMessage({ type: 'progress', jobId, done, total });
+      });
+      self.postMessage(
+        { type: 'result', jobId, result },
+        result ? result.grids.map((grid) => grid.data.buffer) : []
+      );
+    } catch (error) {
+      self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+  }
+};
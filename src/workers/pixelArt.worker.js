@@ -0,0 +1,55 @@
+/* eslint-disable no-restricted-globals */
+// pixelArt.worker.js - Runs the pixel art pipeline off the main thread on OffscreenCanvas
+import { renderPixelArt } from '../utils/pixelPipeline';
+
+let source = null;
+let pendingJob = null;
+let scheduled = false;
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+const scheduleRun = () => {
+  if (!scheduled) {
+    scheduled = true;
+    setTimeout(runLatestJob, 0);
+  }
+};
+
+// Render requests are coalesced: while one job runs, newer ones replace
+// whatever is still queued, so only the latest queued settings get rendered.
+// A render that has started runs to the end; the hook drops its result if stale.
+const runLatestJob = async () => {
+  scheduled = false;
+  if (!pendingJob || !source) {
+    return;
+  }
+  const job = pendingJob;
+  pendingJob = null;
+
+  try {
+    const { canvas, grid, palette, cell } = renderPixelArt(source, job.settings, createCanvas);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    self.postMessage(
+      { type: 'result', jobId: job.jobId, blob, grid, palette, cell },
+      grid ? [grid.data.buffer] : []
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId: job.jobId, message: error.message });
+  }
+};
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+
+  if (type === 'source') {
+    if (source) source.close();
+    source = event.data.bitmap;
+    if (source) scheduleRun();
+    return;
+  }
+
+  if (type === 'render') {
+    pendingJob = { jobId: event.data.jobId, settings: event.data.settings };
+    scheduleRun();
+  }
+};